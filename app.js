@@ -2,6 +2,18 @@
 (function() {
     "use strict";
 
+    // Catalogue loading, points and rule validation live in
+    // listbuilder-core.js, which the command-line validator shares.
+    const {
+        POINTS_COST_NAME, readRosterFile, buildArmyFromRoster, createId, listChildren,
+        getLinkedCatalogueFileName, getEntryPoints, getBattleSizes, loadFactionData, findUnitRecord,
+        createSelection, buildRosterContext, getRuleViolations, getUnitOptions, getGroupEntries,
+        getOptionLimits, findOptionSelection, clearOptions, reconcileUnitSelections,
+        calculateUnitPoints, getProfileTypes, collectInfo, buildDatasheet, getUnitModels,
+        getLeaderTargets, getAttachmentProblem, getEligibleBodyguards, normalizeName,
+        getRosterConfiguration,
+    } = ListbuilderCore;
+
     // --- Global Constants and State Variables ---
     // This is the base URL that points to your Netlify serverless function.
     // It is used to proxy requests to external XML files, which is necessary
@@ -9,34 +21,303 @@
     const BASE_URL = '/api';
     // This is the path to the main game catalogue file. This file contains
     // a list of all available factions and their corresponding file paths.
+    // Another data source can name a different game system file.
     const MASTER_CATALOGUE_PATH = 'Warhammer 40,000.gst';
+    // Where the data files come from unless the user has chosen otherwise:
+    // a BSData repository, a branch, tag or commit in it, and the game
+    // system file. A local data source, `{ type: 'local', gameSystemFile }`,
+    // reads uploaded files instead.
+    const DEFAULT_DATA_SOURCE = { type: 'remote', repo: 'wh40k-10e', ref: 'main', gameSystemFile: MASTER_CATALOGUE_PATH };
+    // The localStorage keys holding the chosen data source and the list of
+    // uploaded data files.
+    const DATA_SOURCE_STORAGE_KEY = 'dataSource';
+    const LOCAL_DATA_FILES_STORAGE_KEY = 'localDataFiles';
+    // Uploaded files that are read as data files, and zipped files (data
+    // packs and BattleScribe's compressed .gstz/.catz) that are unpacked.
+    const DATA_FILE_PATTERN = /\.(?:gst|cat)$/i;
+    const ZIPPED_DATA_FILE_PATTERN = /\.(?:gstz|catz|zip|bsr)$/i;
+    // The battle size selected when the game system offers one with this name.
+    const DEFAULT_BATTLE_SIZE = 'Strike Force';
+    // The localStorage key holding the saved rosters, and the version of the
+    // format they are stored in. Bump the version and add a migration to
+    // ROSTER_MIGRATIONS whenever the stored shape changes.
+    const ROSTER_STORAGE_KEY = 'rosters';
+    const ROSTER_STORE_VERSION = 2;
+    // Functions that upgrade a stored roster collection from the version
+    // they are keyed by to the next one.
+    const ROSTER_MIGRATIONS = {
+        // Version 2 gives every army list unit an instance id (`uid`), which
+        // Leader attachments refer to.
+        1: store => ({
+            ...store,
+            version: 2,
+            rosters: store.rosters.map(roster => ({
+                ...roster,
+                units: roster.units.map(unit => ({ uid: createId(), ...unit })),
+            })),
+        }),
+    };
+    // The name of a roster created before a faction has been chosen.
+    const DEFAULT_ROSTER_NAME = 'New Army';
+    // How many army list changes can be undone.
+    const ARMY_HISTORY_LIMIT = 100;
+    // Where the Crusade forces are saved, and the version of their format.
+    const CRUSADE_STORAGE_KEY = 'crusadeForces';
+    const CRUSADE_STORE_VERSION = 1;
+    // Where earlier versions of the app saved the single set of tracker fields.
+    const LEGACY_CRUSADE_STORAGE_KEY = 'crusadeData';
+    // The Crusade ranks and the XP each starts at.
+    const CRUSADE_RANKS = [
+        { name: 'Battle-ready', minXp: 0 },
+        { name: 'Blooded', minXp: 6 },
+        { name: 'Battle-hardened', minXp: 16 },
+        { name: 'Heroic', minXp: 31 },
+        { name: 'Legendary', minXp: 51 },
+    ];
+    // The most XP a unit that is not a Character can gain without Legendary Veterans.
+    const NON_CHARACTER_XP_CAP = 30;
+    // The extra XP a unit Marked for Greatness gains.
+    const MARKED_FOR_GREATNESS_XP = 3;
+    const DEFAULT_SUPPLY_LIMIT = 1000;
+    const SUPPLY_LIMIT_INCREASE = 200;
+    const STARTING_REQUISITION_POINTS = 5;
+    const MAX_REQUISITION_POINTS = 10;
+    // The Requisitions a force can spend points on. `maxCost` is set for
+    // those whose cost depends on the unit; `needsUnit` for those used on a unit.
+    const CRUSADE_REQUISITIONS = [
+        { id: 'increase-supply-limit', name: 'Increase Supply Limit', cost: 1, description: `Increase the supply limit by ${SUPPLY_LIMIT_INCREASE} points.` },
+        { id: 'renowned-heroes', name: 'Renowned Heroes', cost: 1, maxCost: 3, needsUnit: true, description: 'Give a Character unit an Enhancement.' },
+        { id: 'legendary-veterans', name: 'Legendary Veterans', cost: 3, needsUnit: true, description: 'Let a unit that is not a Character exceed 30 XP and rank up past Battle-hardened.' },
+        { id: 'rearm-and-resupply', name: 'Rearm and Resupply', cost: 1, needsUnit: true, description: "Change a unit's wargear." },
+        { id: 'repair-and-recuperate', name: 'Repair and Recuperate', cost: 1, maxCost: 5, needsUnit: true, description: 'Remove a Battle Scar from a unit.' },
+        { id: 'fresh-recruits', name: 'Fresh Recruits', cost: 1, maxCost: 4, needsUnit: true, description: 'Add models to a unit.' },
+    ];
+    const BATTLE_HONOUR_TYPES = ['Battle Trait', 'Weapon Enhancement', 'Crusade Relic'];
+    const BATTLE_RESULTS = { victory: 'Victory', draw: 'Draw', defeat: 'Defeat' };
+    // Where the games being played are saved (one per roster), and the
+    // version of their format.
+    const PLAY_STORAGE_KEY = 'playGames';
+    const PLAY_STORE_VERSION = 1;
+    // The phases of a player's turn, in order, and the number of battle rounds.
+    const GAME_PHASES = ['Command', 'Movement', 'Shooting', 'Charge', 'Fight'];
+    const BATTLE_ROUNDS = 5;
+    // The Command points both players gain at the start of every Command phase.
+    const COMMAND_PHASE_CP = 1;
+    const PLAYER_LABELS = { player: 'You', opponent: 'Opponent' };
+    // Abilities whose text says this are tracked on the Play tab.
+    const ONCE_PER_BATTLE_PATTERN = /once per battle/i;
+    // Identifies a favorites collection exported to a file.
+    const FAVORITES_FILE_FORMAT = 'listbuilder-favorites';
+    // The characters of a BattleScribe entry id (e.g. 'a1b2-c3d4-e5f6-a7b8').
+    const ENTRY_ID_PATTERN = /^[\w.:-]{1,100}$/;
+    // Share links carry the army in the URL fragment after this prefix.
+    const SHARE_FRAGMENT_PREFIX = 'list=';
+    const SHARE_FORMAT_VERSION = 1;
+    // The IndexedDB database and object store that hold the offline copies
+    // of the game system and catalogue files.
+    const CATALOGUE_DB_NAME = 'listbuilder';
+    const CATALOGUE_DB_VERSION = 2;
+    const CATALOGUE_STORE = 'catalogues';
+    // The namespace and format version of exported BattleScribe rosters.
+    const ROSTER_NAMESPACE = 'http://www.battlescribe.net/schema/rosterSchema';
+    const BATTLESCRIBE_VERSION = '2.03';
+    // The role headings of a text list and the category that puts a unit
+    // under each, in the order they are listed. Other units are listed last.
+    const TEXT_LIST_ROLES = [
+        { heading: 'CHARACTERS', category: 'Character' },
+        { heading: 'BATTLELINE', category: 'Battleline' },
+        { heading: 'DEDICATED TRANSPORTS', category: 'Dedicated Transport' },
+    ];
+    const OTHER_UNITS_HEADING = 'OTHER DATASHEETS';
+    // The keywords that give a unit its type in the army breakdown, in the
+    // order they are checked, and the type of a unit with none of them.
+    const UNIT_TYPE_KEYWORDS = ['Vehicle', 'Monster', 'Mounted', 'Beast', 'Swarm', 'Infantry'];
+    const OTHER_UNIT_TYPE = 'Other';
+    // The profile types that hold weapons.
+    const WEAPON_PROFILE_TYPES = ['Ranged Weapons', 'Melee Weapons'];
+    // How alike (from 0 to 1) a name in a pasted text list must be to a
+    // catalogue name to be matched to it.
+    const NAME_MATCH_THRESHOLD = 0.75;
     // This object will hold the parsed XML data for the main catalogue and
-    // the currently selected faction's catalogue. We use it to avoid
-    // re-fetching and re-parsing data unnecessarily.
+    // the currently selected faction's data (its catalogue, every library
+    // catalogue it imports and the unit index built from them). We use it to
+    // avoid re-fetching and re-parsing data unnecessarily.
     const CACHED_DATA = {};
+    // All saved rosters, as stored in localStorage. Each roster is
+    // `{ id, name, factionFile, factionName, battleSizeId, detachmentId,
+    // detachmentName, units, updatedAt }`.
+    let rosterStore = { version: ROSTER_STORE_VERSION, activeRosterId: null, rosters: [] };
+    // Set when the stored rosters can't be read by this version of the app,
+    // so that they are not overwritten.
+    let isRosterStoreReadOnly = false;
     // This array will hold the units that the user has added to their army.
+    // It is the `units` array of the active roster.
     let armyList = [];
-    // This object will store the user's favorite units, using their unique
-    // ID as the key. We will save this to localStorage for persistence.
+    // The battle size (force entry id) and detachment (selection entry id)
+    // the army is built with, mirrored into the active roster.
+    let armyConfig = { battleSizeId: null, detachmentId: null };
+    // The search, keyword filters, points range and sort order of the
+    // Available Units grid (see filterUnits), and the role sections the user
+    // has collapsed.
+    let unitFilters = { search: '', categoryIds: [], minPoints: null, maxPoints: null, sort: 'catalogue' };
+    const collapsedUnitRoles = new Set();
+    // The index in armyList of the unit open in the unit editor, if any.
+    let editingUnitIndex = null;
+    // Snapshots of the army taken before each change (`undo`) and before
+    // each undo (`redo`), most recent last. Cleared when another roster is opened.
+    let armyHistory = { undo: [], redo: [] };
+    // The index in armyList of the unit card being dragged, if any.
+    let draggedUnitIndex = null;
+    // All Crusade forces, as stored in localStorage. Each force is `{ id, name,
+    // factionName, supplyLimit, requisitionPoints, units, battles, requisitions,
+    // notes, updatedAt }`, where `units` holds its Crusade cards (see createCrusadeCard).
+    let crusadeStore = { version: CRUSADE_STORE_VERSION, activeForceId: null, forces: [] };
+    // Set when the stored forces can't be read by this version of the app.
+    let isCrusadeStoreReadOnly = false;
+    // The games being played, keyed by roster id (see createPlayGame).
+    let playStore = { version: PLAY_STORE_VERSION, games: {} };
+    // Set when the stored games can't be read by this version of the app.
+    let isPlayStoreReadOnly = false;
+    // The faction data the damage calculator's targets come from, and the
+    // weapons of its attacking unit (see getWeaponProfiles).
+    let calculatorTargetData = null;
+    let calculatorWeapons = [];
+    // This object will store the user's favorite units, keyed by faction
+    // catalogue file and unit id (see getFavoriteKey). Each favorite is
+    // `{ id, name, points, factionFile, factionName, notes, tags }`. We will
+    // save this to localStorage for persistence.
     let favorites = {};
+    // The catalogue cache database, opened on first use.
+    let catalogueDbPromise = null;
+    // The name, revision and source ('cache' or 'network') of each loaded
+    // data file, keyed by file name.
+    const dataRevisions = new Map();
+    // Newer revisions found by the background refresh, keyed by file name.
+    const pendingDataUpdates = new Map();
+    // Files already being refreshed in the background this session, by cache key.
+    const catalogueRefreshes = new Set();
+    // Why the last download of a file failed, keyed by file name.
+    const dataErrors = new Map();
+    // Where the data files are loaded from (see DEFAULT_DATA_SOURCE).
+    let dataSource = { ...DEFAULT_DATA_SOURCE };
+    // The uploaded data files: `{ fileName, id, name, revision, library, isGameSystem }` records.
+    let localDataFiles = [];
 
     // --- DOM Element References ---
     // Get references to all the important HTML elements we need to interact with.
     const tabs = document.querySelectorAll('.tab-btn');
     const tabContents = document.querySelectorAll('.tab-content');
     const factionSelect = document.getElementById('faction-select');
+    const battleSizeSelect = document.getElementById('battle-size-select');
+    const detachmentSelect = document.getElementById('detachment-select');
     const availableUnitsContainer = document.getElementById('available-units');
+    const dataStatusElement = document.getElementById('data-status');
+    const pointsReportElement = document.getElementById('points-report');
+    const unitFiltersContainer = document.getElementById('unit-filters');
+    const unitSearchInput = document.getElementById('unit-search');
+    const unitPointsMinInput = document.getElementById('unit-points-min');
+    const unitPointsMaxInput = document.getElementById('unit-points-max');
+    const unitSortSelect = document.getElementById('unit-sort');
+    const unitCategoryFiltersContainer = document.getElementById('unit-category-filters');
+    const unitFilterSummaryElement = document.getElementById('unit-filter-summary');
+    const dataSourceLabel = document.getElementById('data-source-label');
+    const dataRepoInput = document.getElementById('data-repo');
+    const dataRefInput = document.getElementById('data-ref');
+    const dataGameSystemInput = document.getElementById('data-game-system');
+    const useRemoteDataBtn = document.getElementById('use-remote-data');
+    const dataDropZone = document.getElementById('data-drop-zone');
+    const dataFileInput = document.getElementById('data-file-input');
+    const localDataFilesList = document.getElementById('local-data-files');
+    const useLocalDataBtn = document.getElementById('use-local-data');
+    const clearLocalDataBtn = document.getElementById('clear-local-data');
+    const dataSourceStatusElement = document.getElementById('data-source-status');
     const armyListContainer = document.getElementById('army-list');
+    const undoArmyBtn = document.getElementById('undo-army');
+    const redoArmyBtn = document.getElementById('redo-army');
+    const rosterSelect = document.getElementById('roster-select');
+    const rosterNameInput = document.getElementById('roster-name');
+    const rosterDetailsElement = document.getElementById('roster-details');
+    const newRosterBtn = document.getElementById('new-roster');
+    const duplicateRosterBtn = document.getElementById('duplicate-roster');
+    const deleteRosterBtn = document.getElementById('delete-roster');
+    const exportRosBtn = document.getElementById('export-ros');
+    const exportRoszBtn = document.getElementById('export-rosz');
+    const importRosterInput = document.getElementById('import-roster');
+    const rosterFileStatusElement = document.getElementById('roster-file-status');
+    const openTextListBtn = document.getElementById('open-text-list');
+    const shareRosterBtn = document.getElementById('share-roster');
+    const printRosterBtn = document.getElementById('print-roster');
+    const printSummaryOnlyInput = document.getElementById('print-summary-only');
+    const printViewElement = document.getElementById('print-view');
+    const textListDialog = document.getElementById('text-list-dialog');
+    const textListInput = document.getElementById('text-list-input');
+    const textListStatusElement = document.getElementById('text-list-status');
+    const copyTextListBtn = document.getElementById('copy-text-list');
+    const importTextListBtn = document.getElementById('import-text-list');
+    const textListCloseBtn = document.getElementById('text-list-close');
     const pointsTotalElement = document.getElementById('points-total');
+    const pointsLimitElement = document.getElementById('points-limit');
+    const pointsStatusElement = document.getElementById('points-status');
+    const validationResultsContainer = document.getElementById('validation-results');
+    const armyAnalyticsPanel = document.getElementById('army-analytics-panel');
+    const armyAnalyticsElement = document.getElementById('army-analytics');
+    const compareRosterASelect = document.getElementById('compare-roster-a');
+    const compareRosterBSelect = document.getElementById('compare-roster-b');
+    const compareRostersBtn = document.getElementById('compare-rosters');
+    const rosterComparisonElement = document.getElementById('roster-comparison');
+    const unitEditor = document.getElementById('unit-editor');
+    const unitEditorTitle = document.getElementById('unit-editor-title');
+    const unitEditorNameInput = document.getElementById('unit-editor-name');
+    const unitEditorPoints = document.getElementById('unit-editor-points');
+    const unitEditorOptions = document.getElementById('unit-editor-options');
+    const unitEditorCloseBtn = document.getElementById('unit-editor-close');
+    const datasheetViewer = document.getElementById('datasheet-viewer');
+    const datasheetTitle = document.getElementById('datasheet-title');
+    const datasheetPoints = document.getElementById('datasheet-points');
+    const datasheetContent = document.getElementById('datasheet-content');
+    const datasheetCloseBtn = document.getElementById('datasheet-close');
     const favoritesContainer = document.getElementById('favorites-container');
-    const crusadeXpInput = document.getElementById('crusade-xp');
-    const crusadeRpInput = document.getElementById('crusade-rp');
-    const crusadeBattleHonorsInput = document.getElementById('crusade-battle-honors');
-    const saveCrusadeBtn = document.getElementById('save-crusade');
+    const favoritesFilterInput = document.getElementById('favorites-filter');
+    const favoritesStatusElement = document.getElementById('favorites-status');
+    const exportFavoritesBtn = document.getElementById('export-favorites');
+    const importFavoritesInput = document.getElementById('import-favorites');
+    const crusadeForceSelect = document.getElementById('crusade-force-select');
+    const crusadeForceNameInput = document.getElementById('crusade-force-name');
+    const crusadeForceDetailsElement = document.getElementById('crusade-force-details');
+    const newCrusadeForceBtn = document.getElementById('new-crusade-force');
+    const deleteCrusadeForceBtn = document.getElementById('delete-crusade-force');
+    const crusadeForceContent = document.getElementById('crusade-force-content');
     const crusadeStatusElement = document.getElementById('crusade-status');
+    const playContent = document.getElementById('play-content');
+    const damageCalculatorElement = document.getElementById('damage-calculator');
+    const calcAttackerSelect = document.getElementById('calc-attacker');
+    const calcWeaponsElement = document.getElementById('calc-weapons');
+    const calcTargetFactionSelect = document.getElementById('calc-target-faction');
+    const calcTargetUnitSelect = document.getElementById('calc-target-unit');
+    const calcTargetToughnessInput = document.getElementById('calc-target-toughness');
+    const calcTargetSaveInput = document.getElementById('calc-target-save');
+    const calcTargetInvulnerableInput = document.getElementById('calc-target-invulnerable');
+    const calcTargetWoundsInput = document.getElementById('calc-target-wounds');
+    const calcTargetModelsInput = document.getElementById('calc-target-models');
+    const calcResultsElement = document.getElementById('calc-results');
+    const playStatusElement = document.getElementById('play-status');
     
     // --- Core Functions ---
     
+    /**
+     * Escapes text for safe insertion into HTML.
+     * @param {string} text The text to escape.
+     * @returns {string} The escaped text.
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Handles tab navigation. This function hides all content and shows
      * only the content for the clicked tab. It also updates the active
@@ -64,27 +345,52 @@
         if (tabId === 'favorites') {
             renderFavorites();
         }
+        // The calculator's attackers come from the army, which may have changed.
+        if (tabId === 'damage-calculator') {
+            renderDamageCalculator();
+        }
+        // The Play tab follows the active roster.
+        if (tabId === 'play') {
+            renderPlayTracker();
+        }
+        // The Crusade Tracker lists the rosters, which may have changed.
+        if (tabId === 'crusade-tracker') {
+            renderCrusadeTracker();
+        }
     }
 
     /**
-     * Fetches an XML file from a given URL using the Netlify proxy.
+     * Downloads a data file from GitHub using the Netlify proxy.
      * @param {string} fileName The name of the file to fetch (e.g., 'astra-militarum.cat').
-     * @returns {Promise<Document>} A promise that resolves with the parsed XML Document.
+     * @param {string|null} etag The ETag of a copy we already have, if any.
+     * @returns {Promise<object>} A promise that resolves with `{ text, etag }`,
+     *     `{ notModified: true }` if our copy is current, or `{ error }` with a
+     *     message for the user if the file could not be downloaded.
      */
-    async function fetchXML(fileName) {
-        // We use a try-catch block to handle any network or parsing errors gracefully.
+    async function downloadXMLText(fileName, etag) {
+        // We use a try-catch block to handle any network errors gracefully.
         try {
-            // Construct the full URL to the GitHub file. This is the URL our proxy will fetch.
-            const githubFileUrl = `https://raw.githubusercontent.com/BSData/wh40k-10e/main/${encodeURIComponent(fileName)}`;
-            // Now, we build the URL for our own API endpoint, passing the GitHub URL as a query parameter.
-            const url = `${BASE_URL}?url=${githubFileUrl}`;
+            // The proxy reads the file from the chosen BSData repository and
+            // branch, tag or commit.
+            const params = new URLSearchParams({ repo: dataSource.repo, ref: dataSource.ref, file: fileName });
+            const url = `${BASE_URL}?${params}`;
             
-            console.log(`Fetching XML from proxy with target: ${url}`);
+            console.log(`Fetching XML from proxy: ${url}`);
             
-            const response = await fetch(url);
+            const response = await fetch(url, { headers: etag ? { 'If-None-Match': etag } : {} });
+            if (response.status === 304) {
+                return { notModified: true };
+            }
             if (!response.ok) {
-                // If the response is not OK (e.g., 404 Not Found), throw an error.
-                throw new Error(`HTTP error! status: ${response.status}`);
+                // The proxy describes what went wrong as JSON.
+                let message = `HTTP error! status: ${response.status}`;
+                try {
+                    const body = JSON.parse(await response.text());
+                    message = (body.error && body.error.message) || message;
+                } catch (parseError) {
+                    // Not a proxy error (e.g. the function isn't deployed); keep the status.
+                }
+                return { error: message };
             }
 
             // Get the response as raw text.
@@ -92,25 +398,68 @@
             
             // Log the raw text. This is useful for debugging to see if the content is correct.
             console.log("Raw XML fetched:", xmlText.substring(0, 200) + '...');
+            return { text: xmlText, etag: response.headers.get('etag') };
 
-            // Parse the XML text into an XML Document object that we can navigate.
-            // The proxy function is now configured to return a Content-Type of 'application/xml',
-            // which helps the browser's DOMParser correctly handle XML namespaces.
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+        } catch (error) {
+            console.error('Error fetching XML:', error);
+            return { error: navigator.onLine ? error.message : 'You are offline.' };
+        }
+    }
 
-            // If the parser finds an error, throw an error to be caught by the try-catch block.
-            if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
-                console.error("XML parsing error:", xmlDoc.getElementsByTagName('parsererror')[0]);
-                throw new Error('Failed to parse XML data.');
-            }
+    /**
+     * Parses the text of a game system or catalogue file.
+     * @param {string} xmlText The XML text.
+     * @returns {Document|null} The parsed XML Document, or null if the text is not valid XML.
+     */
+    function parseXML(xmlText) {
+        // The proxy function is configured to return a Content-Type of 'application/xml',
+        // and we parse as 'text/xml' too, which helps the browser's DOMParser
+        // correctly handle XML namespaces.
+        const parser = new DOMParser();
+        const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
 
-            return xmlDoc;
+        // If the parser finds an error, the document can't be used.
+        if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+            console.error("XML parsing error:", xmlDoc.getElementsByTagName('parsererror')[0]);
+            return null;
+        }
+        return xmlDoc;
+    }
 
-        } catch (error) {
-            console.error('Error fetching or parsing XML:', error);
+    /**
+     * Fetches an XML file. A copy saved in the offline cache is used when there
+     * is one (and refreshed in the background); otherwise the file is downloaded
+     * using the Netlify proxy and saved to the cache.
+     * @param {string} fileName The name of the file to fetch (e.g., 'astra-militarum.cat').
+     * @returns {Promise<Document>} A promise that resolves with the parsed XML Document.
+     */
+    async function fetchXML(fileName) {
+        const cached = await readCachedCatalogue(fileName);
+        const cachedDoc = cached ? parseXML(cached.text) : null;
+        if (cachedDoc) {
+            recordDataRevision(fileName, cachedDoc, 'cache');
+            refreshCachedCatalogue(fileName, cached);
+            return cachedDoc;
+        }
+
+        if (dataSource.type === 'local') {
+            reportDataError(fileName, 'This file has not been added to the local data files.');
+            return null;
+        }
+        const download = await downloadXMLText(fileName, null);
+        if (download.error) {
+            reportDataError(fileName, download.error);
             return null; // Return null on error so the calling function can handle it.
         }
+        const xmlDoc = parseXML(download.text);
+        if (!xmlDoc) {
+            reportDataError(fileName, 'The file is not valid XML.');
+        } else {
+            dataErrors.delete(fileName);
+            await writeCachedCatalogue(fileName, xmlDoc, download);
+            recordDataRevision(fileName, xmlDoc, 'network');
+        }
+        return xmlDoc;
     }
 
     /**
@@ -122,7 +471,7 @@
         factionSelect.innerHTML = '<option value="" disabled selected>Loading Factions...</option>';
         
         // Fetch the master catalogue XML.
-        CACHED_DATA.masterCatalogue = await fetchXML(MASTER_CATALOGUE_PATH);
+        CACHED_DATA.masterCatalogue = await fetchXML(dataSource.gameSystemFile);
 
         if (CACHED_DATA.masterCatalogue) {
             // This is the crucial part. We use XPath to find elements with a specific namespace.
@@ -154,309 +503,5229 @@
             // Iterate through the results of the XPath expression and add them to the dropdown.
             let node;
             let factionCount = 0;
+            const addFactionOption = (name, file, catalogueId) => {
+                const option = document.createElement('option');
+                option.value = file;
+                option.textContent = name;
+                // Rosters refer to their faction by catalogue id.
+                option.dataset.catalogueId = catalogueId || '';
+                factionSelect.appendChild(option);
+                factionCount++;
+            };
             while (node = xpathResult.iterateNext()) {
                 const name = node.getAttribute('name');
-                const file = node.getAttribute('target');
-                if (name && file) {
-                    const option = document.createElement('option');
-                    option.value = file;
-                    option.textContent = name;
-                    factionSelect.appendChild(option);
-                    factionCount++;
+                const file = dataSource.type === 'local' ? getLinkedCatalogueFileName(node, localDataFiles) : node.getAttribute('target');
+                // Only the catalogues that were uploaded can be loaded locally.
+                const isAvailable = dataSource.type !== 'local' || localDataFiles.some(localFile => localFile.fileName === file);
+                if (name && file && isAvailable) {
+                    addFactionOption(name, file, node.getAttribute('targetId'));
                 }
             }
+            // Uploaded catalogues are offered even if the game system doesn't
+            // link to them, which homebrew catalogues usually aren't.
+            if (dataSource.type === 'local') {
+                const listedFiles = [...factionSelect.options].map(option => option.value);
+                localDataFiles
+                    .filter(file => !file.isGameSystem && !file.library && !listedFiles.includes(file.fileName))
+                    .forEach(file => addFactionOption(file.name, file.fileName, file.id));
+            }
 
             console.log(`Factions loaded successfully. Found ${factionCount} factions.`);
+
+            // The battle sizes come from the same game system file.
+            populateBattleSizeSelect();
+            updatePointsTotal();
         } else {
             factionSelect.innerHTML = '<option value="" disabled selected>Error loading factions. Check console for details.</option>';
         }
     }
     
+    // --- Offline Catalogue Cache ---
+    // Downloaded game system and catalogue files are kept in IndexedDB, one
+    // record per data source and file name holding the file's text, its
+    // `revision` attribute and the ETag it was served with. Cached files are
+    // served straight away, so the app works offline and loads quickly; each
+    // one is then re-downloaded in the background, and a newer revision
+    // replaces the cached copy.
+
     /**
-     * Renders a single unit card in the available units container.
-     * This function has been updated to use XPath to handle the unit's namespace.
-     * @param {Element} unit The XML element representing the unit.
+     * Opens the catalogue cache database, creating it on first use.
+     * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable.
      */
-    function renderUnitCard(unit) {
-        // Define the namespace resolver for the catalogue schema.
-        const namespaceResolver = (prefix) => {
-            if (prefix === 'ns') {
-                return 'http://www.battlescribe.net/schema/catalogueSchema';
-            }
+    function openCatalogueDb() {
+        if (!catalogueDbPromise) {
+            catalogueDbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open(CATALOGUE_DB_NAME, CATALOGUE_DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    // Version 1 keyed files by name alone; the cached copies
+                    // are simply downloaded again.
+                    if (event.oldVersion === 1) {
+                        request.result.deleteObjectStore(CATALOGUE_STORE);
+                    }
+                    request.result.createObjectStore(CATALOGUE_STORE, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('Could not open the catalogue cache.', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return catalogueDbPromise;
+    }
+
+    /**
+     * Returns the key a file is cached under: the same file name can hold
+     * different data in another repository, at another ref or in the
+     * uploaded local files.
+     * @param {string} fileName The file name.
+     * @param {object} [source] The data source; defaults to the current one.
+     * @returns {string} The cache key.
+     */
+    function getCatalogueCacheKey(fileName, source = dataSource) {
+        if (source.type === 'local') {
+            return `local/${fileName}`;
+        }
+        return `${source.repo}@${source.ref}/${fileName}`;
+    }
+
+    /**
+     * Reads a file of the current data source from the catalogue cache.
+     * @param {string} fileName The file name.
+     * @returns {Promise<object|null>} `{ key, fileName, id, name, revision, etag,
+     *     text, fetchedAt }`, or null if the file is not cached.
+     */
+    async function readCachedCatalogue(fileName) {
+        const db = await openCatalogueDb();
+        if (!db) {
             return null;
-        };
+        }
+        return new Promise(resolve => {
+            const request = db.transaction(CATALOGUE_STORE).objectStore(CATALOGUE_STORE).get(getCatalogueCacheKey(fileName));
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+    }
 
-        // Use XPath to find the 'cost' element with the name "Pts".
-        const xpathResult = CACHED_DATA.factionCatalogue.evaluate(
-            './/ns:cost[@name="Pts"]', // Look for a 'cost' node with a 'name' attribute equal to "Pts"
-            unit, // Start the search from the current 'unit' element
-            namespaceResolver,
-            XPathResult.FIRST_ORDERED_NODE_TYPE,
-            null
-        );
+    /**
+     * Saves a downloaded file to the catalogue cache.
+     * @param {string} fileName The file name.
+     * @param {Document} doc The parsed file.
+     * @param {object} download The download: `{ text, etag }`.
+     * @param {object} [source] The data source; defaults to the current one.
+     * @returns {Promise<void>}
+     */
+    async function writeCachedCatalogue(fileName, doc, download, source = dataSource) {
+        const db = await openCatalogueDb();
+        if (!db) {
+            return;
+        }
+        const root = doc.documentElement;
+        await new Promise(resolve => {
+            const transaction = db.transaction(CATALOGUE_STORE, 'readwrite');
+            transaction.objectStore(CATALOGUE_STORE).put({
+                key: getCatalogueCacheKey(fileName, source),
+                fileName,
+                id: root.getAttribute('id'),
+                name: root.getAttribute('name'),
+                revision: root.getAttribute('revision'),
+                etag: download.etag || null,
+                text: download.text,
+                fetchedAt: Date.now(),
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.error(`Could not cache ${fileName}.`, transaction.error);
+                resolve();
+            };
+        });
+    }
 
-        // Get the cost node from the XPath result.
-        const costNode = xpathResult.singleNodeValue;
-        
-        // Get unit name and points from the XML attributes.
-        const unitName = unit.getAttribute('name');
-        const unitPoints = costNode ? costNode.getAttribute('value') : 'N/A';
-        const unitId = unit.getAttribute('id'); // We'll use this to uniquely identify the unit.
+    /**
+     * Removes a file from the catalogue cache.
+     * @param {string} key The cache key (see getCatalogueCacheKey).
+     * @returns {Promise<void>}
+     */
+    async function deleteCachedCatalogue(key) {
+        const db = await openCatalogueDb();
+        if (!db) {
+            return;
+        }
+        await new Promise(resolve => {
+            const transaction = db.transaction(CATALOGUE_STORE, 'readwrite');
+            transaction.objectStore(CATALOGUE_STORE).delete(key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => resolve();
+        });
+    }
 
-        // Create the HTML for the unit card. We use a template literal for easy
-        // string interpolation and a clean structure.
-        const cardHtml = `
-            <div class="unit-card" data-unit-id="${unitId}" data-unit-name="${unitName}" data-unit-points="${unitPoints}">
-                <span class="unit-name">${unitName}</span>
-                <div class="flex items-center">
-                    <span class="unit-points">${unitPoints} pts</span>
-                    <!-- Add to Army Button -->
-                    <button class="add-to-army-btn ml-2 p-1 text-sm bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors" title="Add to Army List">
-                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
-                          <path fill-rule="evenodd" d="M10 5a1 1 0 011 1v3h3a1 1 0 110 2h-3v3a1 1 0 11-2 0v-3H6a1 1 0 110-2h3V6a1 1 0 011-1z" clip-rule="evenodd" />
-                        </svg>
-                    </button>
-                    <!-- Favorite Button (Heart icon) -->
-                    <button class="favorite-btn ${favorites[unitId] ? 'favorited' : ''}" title="${favorites[unitId] ? 'Unfavorite' : 'Favorite'} Unit">
-                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                          <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-                        </svg>
-                    </button>
-                </div>
-            </div>
-        `;
-        // Insert the new card HTML at the end of the container's content.
-        availableUnitsContainer.insertAdjacentHTML('beforeend', cardHtml);
+    /**
+     * Re-downloads a cached file in the background. If the upstream revision
+     * has changed, the cache is updated and the user is offered the new data.
+     * @param {string} fileName The file name.
+     * @param {object} cached The cached copy (see readCachedCatalogue).
+     */
+    function refreshCachedCatalogue(fileName, cached) {
+        const key = getCatalogueCacheKey(fileName);
+        // Local files have no upstream to refresh from.
+        if (dataSource.type === 'local' || !navigator.onLine || catalogueRefreshes.has(key)) {
+            return;
+        }
+        catalogueRefreshes.add(key);
+        downloadXMLText(fileName, cached.etag).then(async download => {
+            // Keep using the cached copy if the refresh fails.
+            const xmlDoc = download.text ? parseXML(download.text) : null;
+            if (!xmlDoc) {
+                return;
+            }
+            const revision = xmlDoc.documentElement.getAttribute('revision');
+            if (revision === cached.revision) {
+                return;
+            }
+            await writeCachedCatalogue(fileName, xmlDoc, download);
+            pendingDataUpdates.set(fileName, { name: xmlDoc.documentElement.getAttribute('name') || fileName, revision });
+            renderDataStatus();
+        });
     }
-    
+
     /**
-     * Handles adding a unit to the army list and updates the points total.
-     * @param {string} unitId The unique ID of the unit to add.
-     * @param {string} unitName The name of the unit.
-     * @param {string} unitPoints The points value of the unit.
+     * Notes why a file could not be downloaded, for the data status indicator.
+     * @param {string} fileName The file name.
+     * @param {string} message The reason.
      */
-    function addUnitToArmy(unitId, unitName, unitPoints) {
-        // Create an object to represent the unit. This object will be used
-        // to manage the army list data.
-        const unit = { id: unitId, name: unitName, points: parseInt(unitPoints, 10) };
-        armyList.push(unit);
-        
-        // Render the new unit card in the army list container.
-        const armyListCardHtml = `
-            <div class="added-unit-card" data-unit-id="${unitId}">
-                <span class="unit-name">${unitName}</span>
-                <div class="flex items-center">
-                    <span class="unit-points">${unit.points} pts</span>
-                    <!-- Remove Unit Button -->
-                    <button class="remove-from-army-btn ml-2 p-1 text-sm bg-red-600 hover:bg-red-500 text-gray-100 rounded-md transition-colors" title="Remove from Army">
-                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
-                          <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd" />
-                        </svg>
-                    </button>
-                </div>
-            </div>
-        `;
-        // Insert the new card HTML at the end of the army list container.
-        armyListContainer.insertAdjacentHTML('beforeend', armyListCardHtml);
+    function reportDataError(fileName, message) {
+        console.error(`Could not load ${fileName}: ${message}`);
+        dataErrors.set(fileName, message);
+        renderDataStatus();
+    }
 
-        // Update the points total.
-        updatePointsTotal();
+    /**
+     * Notes the revision of a loaded file for the data status indicator.
+     * @param {string} fileName The file name.
+     * @param {Document} doc The parsed file.
+     * @param {string} source Where the file came from: 'cache' or 'network'.
+     */
+    function recordDataRevision(fileName, doc, source) {
+        const root = doc.documentElement;
+        dataRevisions.set(fileName, {
+            name: root.getAttribute('name') || fileName,
+            revision: root.getAttribute('revision'),
+            source,
+        });
+        renderDataStatus();
     }
-    
+
     /**
-     * Removes a unit from the army list and updates the points total.
-     * @param {string} unitId The unique ID of the unit to remove.
-     */
-    function removeUnitFromArmy(unitId) {
-        // Find the index of the first unit with the matching ID.
-        const index = armyList.findIndex(unit => unit.id === unitId);
-        if (index > -1) {
-            // Remove the unit from the array.
-            armyList.splice(index, 1);
-            // Re-render the army list to reflect the change.
-            renderArmyList();
-            // Update the points total.
-            updatePointsTotal();
+     * Shows the revisions of the loaded game system and faction catalogue,
+     * and offers to load newer data when the background refresh found some.
+     */
+    function renderDataStatus() {
+        const factionFile = CACHED_DATA.factionData ? CACHED_DATA.factionData.fileName : factionSelect.value;
+        const loaded = [dataSource.gameSystemFile, factionFile]
+            .filter(fileName => fileName && dataRevisions.has(fileName))
+            .map(fileName => dataRevisions.get(fileName));
+        let html = '';
+        if (loaded.length > 0) {
+            const revisions = loaded
+                .map(file => `${escapeHtml(file.name)} revision ${escapeHtml(file.revision || '?')}`)
+                .join(' · ');
+            const source = loaded.some(file => file.source === 'cache') ? ' (saved copy)' : '';
+            html += `<span>Data as of ${revisions}${source}</span>`;
+        }
+        dataErrors.forEach((message, fileName) => {
+            html += `<span class="text-red-400">Could not load ${escapeHtml(fileName)}: ${escapeHtml(message)}</span>`;
+        });
+        if (pendingDataUpdates.size > 0) {
+            const updates = [...pendingDataUpdates.values()]
+                .map(file => `${escapeHtml(file.name)} revision ${escapeHtml(file.revision)}`)
+                .join(', ');
+            html += `
+                <span class="text-yellow-400">Newer data downloaded: ${updates}.</span>
+                <button id="apply-data-update" class="px-2 py-0.5 bg-yellow-600 hover:bg-yellow-500 rounded-md font-bold text-gray-900 transition-colors">Use new data</button>
+            `;
         }
+        dataStatusElement.innerHTML = html;
     }
 
     /**
-     * Recalculates and updates the total points of the army.
+     * Reloads the game system and the active faction from the cache, picking
+     * up the revisions downloaded in the background.
+     * @returns {Promise<void>}
      */
-    function updatePointsTotal() {
-        const totalPoints = armyList.reduce((sum, unit) => sum + unit.points, 0);
-        pointsTotalElement.textContent = totalPoints;
+    async function applyDataUpdates() {
+        pendingDataUpdates.clear();
+        await loadGameData();
     }
 
     /**
-     * Renders the entire army list from the armyList array.
+     * Registers the service worker that caches the app shell for offline use.
      */
-    function renderArmyList() {
-        // Clear the current list.
-        armyListContainer.innerHTML = '';
-        if (armyList.length === 0) {
-            armyListContainer.innerHTML = '<p class="text-gray-400 text-sm">Add units to your army.</p>';
-        } else {
-            // Iterate through each unit and add a card to the list.
-            armyList.forEach(unit => {
-                const armyListCardHtml = `
-                    <div class="added-unit-card" data-unit-id="${unit.id}">
-                        <span class="unit-name">${unit.name}</span>
-                        <div class="flex items-center">
-                            <span class="unit-points">${unit.points} pts</span>
-                            <button class="remove-from-army-btn ml-2 p-1 text-sm bg-red-600 hover:bg-red-500 text-gray-100 rounded-md transition-colors" title="Remove from Army">
-                                <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
-                                  <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd" />
-                                </svg>
-                            </button>
-                        </div>
-                    </div>
-                `;
-                armyListContainer.insertAdjacentHTML('beforeend', armyListCardHtml);
-            });
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            return;
         }
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
     }
-    
+
+    // --- Data Sources ---
+    // The data files can come from any allowed BSData repository, at any
+    // branch, tag or commit (fetched through the proxy), or from files the
+    // user uploads. Uploaded files are stored in the catalogue cache under
+    // 'local/' keys, so both kinds go through fetchXML and the same parsing.
+
     /**
-     * Loads favorites from localStorage into the favorites object.
+     * Loads the chosen data source and the list of uploaded files from localStorage.
      */
-    function loadFavorites() {
-        const storedFavorites = localStorage.getItem('favorites');
-        if (storedFavorites) {
-            try {
-                // Parse the JSON string back into a JavaScript object.
-                favorites = JSON.parse(storedFavorites);
-            } catch (e) {
-                console.error("Could not parse favorites from localStorage.", e);
-                favorites = {};
+    function loadDataSource() {
+        try {
+            localDataFiles = JSON.parse(localStorage.getItem(LOCAL_DATA_FILES_STORAGE_KEY)) || [];
+            const storedSource = JSON.parse(localStorage.getItem(DATA_SOURCE_STORAGE_KEY));
+            if (storedSource && storedSource.type === 'remote' && storedSource.repo && storedSource.ref && storedSource.gameSystemFile) {
+                dataSource = storedSource;
+            } else if (storedSource && storedSource.type === 'local' && localDataFiles.some(file => file.fileName === storedSource.gameSystemFile)) {
+                dataSource = storedSource;
             }
+        } catch (e) {
+            console.error("Could not parse the data source from localStorage.", e);
         }
     }
 
     /**
-     * Saves the current favorites object to localStorage.
+     * Saves the chosen data source and the list of uploaded files to localStorage.
      */
-    function saveFavorites() {
-        // Stringify the JavaScript object into a JSON string before saving.
-        localStorage.setItem('favorites', JSON.stringify(favorites));
+    function saveDataSource() {
+        localStorage.setItem(DATA_SOURCE_STORAGE_KEY, JSON.stringify(dataSource));
+        localStorage.setItem(LOCAL_DATA_FILES_STORAGE_KEY, JSON.stringify(localDataFiles));
     }
-    
+
     /**
-     * Renders the list of favorite units.
+     * Finds the game system among the uploaded files. If several were
+     * uploaded, the most recent one is used.
+     * @returns {string|null} The game system file name, or null if none was uploaded.
      */
-    function renderFavorites() {
-        favoritesContainer.innerHTML = '';
-        const favoriteUnits = Object.values(favorites);
-        if (favoriteUnits.length === 0) {
-            favoritesContainer.innerHTML = '<p class="text-gray-400 text-sm">You have no favorite units yet.</p>';
+    function findLocalGameSystemFile() {
+        const gameSystem = [...localDataFiles].reverse().find(file => file.isGameSystem);
+        return gameSystem ? gameSystem.fileName : null;
+    }
+
+    /**
+     * Describes the current data source in the form loadFactionData expects.
+     * @returns {object} `{ readFile, gameSystem, gameSystemFile, knownFiles }`.
+     */
+    function getCatalogueSource() {
+        return {
+            readFile: fetchXML,
+            gameSystem: CACHED_DATA.masterCatalogue || null,
+            gameSystemFile: dataSource.gameSystemFile,
+            // Uploaded files can be named anything, so they are found by id.
+            knownFiles: dataSource.type === 'local' ? localDataFiles : [],
+        };
+    }
+
+    /**
+     * Loads the game system of the current data source, then the active
+     * roster's faction if the data source has it.
+     * @returns {Promise<void>}
+     */
+    async function loadGameData() {
+        await populateFactionSelect();
+        const roster = getActiveRoster();
+        const hasFaction = roster.factionFile && [...factionSelect.options].some(option => option.value === roster.factionFile);
+        if (CACHED_DATA.masterCatalogue && hasFaction) {
+            factionSelect.value = roster.factionFile;
+            await loadFaction(roster.factionFile);
         } else {
-            favoriteUnits.forEach(unit => {
-                const favoriteCardHtml = `
-                    <div class="unit-card" data-unit-id="${unit.id}">
-                        <span class="unit-name">${unit.name}</span>
-                        <div class="flex items-center">
-                            <span class="unit-points">${unit.points} pts</span>
-                            <button class="favorite-btn favorited ml-2 p-1" title="Unfavorite Unit">
-                                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                                  <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-                                </svg>
-                            </button>
-                        </div>
-                    </div>
-                `;
-                favoritesContainer.insertAdjacentHTML('beforeend', favoriteCardHtml);
-            });
+            refreshArmy();
         }
+        renderDataStatus();
     }
 
     /**
-     * Placeholder function for complex rule validation.
-     * This is where you would implement logic for detachment rules, wargear options, etc.
+     * Switches to another data source and reloads the game data from it.
+     * @param {object} source The data source (see DEFAULT_DATA_SOURCE).
+     * @returns {Promise<void>}
      */
-    function validateRules() {
-        console.log("Placeholder: Validating detachment and wargear rules...");
-        // This function would contain complex logic to check if the current army list
-        // adheres to all the rules of the selected detachment, wargear options, etc.
-        // For example, it would check if a unit has the correct wargear, if the army
-        // is composed of units from a single faction, and so on.
+    async function switchDataSource(source) {
+        dataSource = source;
+        saveDataSource();
+        // Nothing loaded from the previous source applies any more.
+        CACHED_DATA.factionData = null;
+        unitFiltersContainer.classList.add('hidden');
+        dataRevisions.clear();
+        pendingDataUpdates.clear();
+        dataErrors.clear();
+        availableUnitsContainer.innerHTML = '<p class="text-gray-400 text-sm">Select a faction to see available units.</p>';
+        populateDetachmentSelect();
+        renderDataSourceControls();
+        await loadGameData();
     }
-    
-    // --- Event Listeners and Initialization ---
-
-    // Listen for clicks on the tab buttons and show the corresponding tab.
-    tabs.forEach(btn => {
-        btn.addEventListener('click', (event) => {
-            // Get the tab ID from the button's ID (e.g., 'tab-battle-forge' -> 'battle-forge').
-            const tabId = event.target.id.replace('tab-', '');
-            showTab(tabId);
-        });
-    });
 
-    // Listen for a change on the faction dropdown. When a new faction is selected,
-    // we fetch its catalogue and populate the available units list.
-    factionSelect.addEventListener('change', async (event) => {
-        const selectedFile = event.target.value;
-        availableUnitsContainer.innerHTML = '<p class="text-gray-400 text-sm">Loading units...</p>';
-        
-        const factionCatalogue = await fetchXML(selectedFile);
-        if (factionCatalogue) {
-            CACHED_DATA.factionCatalogue = factionCatalogue; // Store in cache.
-            availableUnitsContainer.innerHTML = '';
-            
-            // We use XPath again here to find all unit entries within the namespace.
-            const xpathResult = factionCatalogue.evaluate(
-                '//ns:selectionEntry',
-                factionCatalogue,
-                (prefix) => {
-                    // This function is the namespace resolver.
-                    if (prefix === 'ns') {
-                        return 'http://www.battlescribe.net/schema/catalogueSchema';
-                    }
-                    return null;
-                },
-                XPathResult.UNORDERED_NODE_ITERATOR_TYPE,
-                null
-            );
+    /**
+     * Reads the data files out of uploaded files, unpacking zipped ones.
+     * @param {File[]} files The uploaded files.
+     * @returns {Promise<object>} `{ dataFiles, skipped }`: the `{ fileName, text }`
+     *     of each data file, and the names of files that could not be read.
+     */
+    async function readDataFiles(files) {
+        const dataFiles = [];
+        const skipped = [];
+        const readZip = async (data) => {
+            const zip = await JSZip.loadAsync(data);
+            for (const entry of Object.values(zip.files)) {
+                const entryName = entry.name.split('/').pop();
+                if (entry.dir) {
+                    continue;
+                }
+                if (DATA_FILE_PATTERN.test(entryName)) {
+                    dataFiles.push({ fileName: entryName, text: await entry.async('string') });
+                } else if (ZIPPED_DATA_FILE_PATTERN.test(entryName)) {
+                    await readZip(await entry.async('uint8array'));
+                }
+            }
+        };
 
-            let node;
-            while (node = xpathResult.iterateNext()) {
-                // Find all 'selectionEntry' elements that represent units.
-                const unit = node;
-                if (unit.getAttribute('type') === 'unit') {
-                    renderUnitCard(unit);
+        for (const file of files) {
+            try {
+                if (DATA_FILE_PATTERN.test(file.name)) {
+                    dataFiles.push({ fileName: file.name, text: await file.text() });
+                } else if (ZIPPED_DATA_FILE_PATTERN.test(file.name)) {
+                    await readZip(file);
+                } else {
+                    skipped.push(file.name);
                 }
+            } catch (error) {
+                console.error(`Could not read ${file.name}:`, error);
+                skipped.push(file.name);
             }
+        }
+        return { dataFiles, skipped };
+    }
 
-            console.log(`Units for ${selectedFile} loaded.`);
-        } else {
-            availableUnitsContainer.innerHTML = '<p class="text-red-400 text-sm">Error loading units. Check console for details.</p>';
+    /**
+     * Adds uploaded game system and catalogue files to the local data files,
+     * and switches to them once a game system is available.
+     * @param {File[]} files The uploaded files.
+     * @returns {Promise<void>}
+     */
+    async function addLocalDataFiles(files) {
+        renderMessageList(dataSourceStatusElement, [{ severity: 'info', message: 'Reading files...' }]);
+        const { dataFiles, skipped } = await readDataFiles(files);
+        const messages = skipped.map(name => ({ severity: 'warning', message: `${name} is not a .gst, .cat or zipped data file.` }));
+
+        let addedCount = 0;
+        for (const dataFile of dataFiles) {
+            const doc = parseXML(dataFile.text);
+            const root = doc ? doc.documentElement : null;
+            if (!root || (root.localName !== 'gameSystem' && root.localName !== 'catalogue')) {
+                messages.push({ severity: 'error', message: `${dataFile.fileName} is not a BattleScribe game system or catalogue.` });
+                continue;
+            }
+            await writeCachedCatalogue(dataFile.fileName, doc, { text: dataFile.text, etag: null }, { type: 'local' });
+            localDataFiles = localDataFiles.filter(file => file.fileName !== dataFile.fileName);
+            localDataFiles.push({
+                fileName: dataFile.fileName,
+                id: root.getAttribute('id'),
+                name: root.getAttribute('name') || dataFile.fileName,
+                revision: root.getAttribute('revision'),
+                library: root.getAttribute('library') === 'true',
+                isGameSystem: root.localName === 'gameSystem',
+            });
+            addedCount++;
         }
-    });
+        saveDataSource();
 
-    // Use event delegation to handle clicks on dynamically added buttons.
-    document.addEventListener('click', (event) => {
-        // If the clicked element or its parent is a "add to army" button...
-        const addToArmyBtn = event.target.closest('.add-to-army-btn');
-        if (addToArmyBtn) {
-            const unitCard = addToArmyBtn.closest('.unit-card');
-            const unitId = unitCard.dataset.unitId;
-            const unitName = unitCard.dataset.unitName;
-            const unitPoints = unitCard.dataset.unitPoints;
-            
-            // Add the unit to the army list.
-            addUnitToArmy(unitId, unitName, unitPoints);
-            console.log(`Added ${unitName} to army.`);
-            return; // Exit to prevent the click from bubbling up to other listeners.
+        const gameSystemFile = findLocalGameSystemFile();
+        if (addedCount > 0 && gameSystemFile) {
+            await switchDataSource({ type: 'local', gameSystemFile });
+            messages.unshift({ severity: 'info', message: `Added ${addedCount} files. Using the local data files.` });
+        } else if (addedCount > 0) {
+            messages.unshift({ severity: 'warning', message: `Added ${addedCount} files. Add a game system (.gst) file to use them.` });
         }
+        renderDataSourceControls();
+        renderMessageList(dataSourceStatusElement, messages);
+    }
 
-        // If the clicked element or its parent is a "remove from army" button...
-        const removeFromArmyBtn = event.target.closest('.remove-from-army-btn');
-        if (removeFromArmyBtn) {
-            const unitCard = removeFromArmyBtn.closest('.added-unit-card');
-            const unitId = unitCard.dataset.unitId;
-            removeUnitFromArmy(unitId);
-            console.log(`Removed unit with ID ${unitId} from army.`);
-            return;
+    /**
+     * Removes all uploaded data files, switching back to the default data
+     * source if they were in use.
+     * @returns {Promise<void>}
+     */
+    async function clearLocalDataFiles() {
+        await Promise.all(localDataFiles.map(file => deleteCachedCatalogue(getCatalogueCacheKey(file.fileName, { type: 'local' }))));
+        localDataFiles = [];
+        saveDataSource();
+        if (dataSource.type === 'local') {
+            await switchDataSource({ ...DEFAULT_DATA_SOURCE });
+        }
+        renderDataSourceControls();
+        dataSourceStatusElement.innerHTML = '';
+    }
+
+    /**
+     * Shows the current data source and the uploaded files.
+     */
+    function renderDataSourceControls() {
+        dataSourceLabel.textContent = dataSource.type === 'local'
+            ? `Local files (${dataSource.gameSystemFile})`
+            : `${dataSource.repo} @ ${dataSource.ref}`;
+        const remoteSource = dataSource.type === 'remote' ? dataSource : DEFAULT_DATA_SOURCE;
+        dataRepoInput.value = remoteSource.repo;
+        dataRefInput.value = remoteSource.ref;
+        dataGameSystemInput.value = remoteSource.gameSystemFile;
+
+        localDataFilesList.innerHTML = localDataFiles.length === 0
+            ? '<li>No local files added.</li>'
+            : localDataFiles.map(file => `
+                <li>${escapeHtml(file.fileName)} <span class="text-gray-500">(${file.isGameSystem ? 'game system' : 'catalogue'}, revision ${escapeHtml(file.revision || '?')})</span></li>
+            `).join('');
+        useLocalDataBtn.disabled = !findLocalGameSystemFile();
+        clearLocalDataBtn.disabled = localDataFiles.length === 0;
+    }
+
+    // --- Roster Files ---
+    // BattleScribe saves a roster as a .ros XML file (or a zipped .rosz)
+    // whose selections mirror the selection tree used for validation. Each
+    // selection refers to the catalogue by `entryId`, which for a linked
+    // entry is `<link id>::<entry id>`, so a roster can be read back against
+    // a newer revision of the same catalogues.
+
+    /**
+     * Writes an army list as a BattleScribe roster (.ros) document that
+     * refers to the ids and revisions of the loaded catalogues.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {object} configuration The army's force entry and detachment (see buildRosterContext).
+     * @param {object} details `{ name, battleSize }`, where `battleSize` is a
+     *     getBattleSizes record or null.
+     * @returns {string} The roster XML.
+     */
+    function serializeRoster(factionData, units, configuration, details) {
+        const context = buildRosterContext(factionData, units, configuration);
+        const gameSystem = factionData.files.find(file => file.isGameSystem);
+        const catalogue = factionData.catalogue;
+        const costTypeId = factionData.pointsCostTypeId || '';
+        const totalPoints = units.reduce((sum, unit) => sum + unit.points, 0);
+        const attributes = values => Object.entries(values)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([name, value]) => `${name}="${escapeHtml(value)}"`)
+            .join(' ');
+        const costs = (indent, points) => [
+            `${indent}<costs>`,
+            `${indent}  <cost ${attributes({ name: POINTS_COST_NAME, typeId: costTypeId, value: points })}/>`,
+            `${indent}</costs>`,
+        ];
+
+        const renderSelection = (selection, indent) => {
+            const childPoints = selection.children.reduce((sum, child) => sum + child.points, 0);
+            const lines = [`${indent}<selection ${attributes({
+                id: createId(),
+                name: selection.name,
+                entryId: selection.linkId ? `${selection.linkId}::${selection.entryId}` : selection.entryId,
+                entryGroupId: selection.groupIds[selection.groupIds.length - 1],
+                number: selection.number,
+                type: selection.type || 'upgrade',
+                customName: selection.armyUnit ? selection.armyUnit.customName : null,
+            })}>`];
+            const children = selection.children.filter(child => child.entry);
+            if (children.length > 0) {
+                lines.push(`${indent}  <selections>`);
+                children.forEach(child => lines.push(...renderSelection(child, `${indent}    `)));
+                lines.push(`${indent}  </selections>`);
+            }
+            lines.push(...costs(`${indent}  `, selection.points - childPoints));
+            if (selection.categoryIds.length > 0) {
+                const primaryIds = [selection.link, selection.entry]
+                    .filter(Boolean)
+                    .flatMap(element => listChildren(element, 'categoryLinks', 'categoryLink'))
+                    .filter(categoryLink => categoryLink.getAttribute('primary') === 'true')
+                    .map(categoryLink => categoryLink.getAttribute('targetId'));
+                lines.push(`${indent}  <categories>`);
+                selection.categoryIds.forEach(categoryId => {
+                    const category = factionData.index.get(categoryId);
+                    lines.push(`${indent}    <category ${attributes({
+                        id: createId(),
+                        name: category ? category.getAttribute('name') : categoryId,
+                        entryId: categoryId,
+                        primary: primaryIds.includes(categoryId) ? 'true' : 'false',
+                    })}/>`);
+                });
+                lines.push(`${indent}  </categories>`);
+            }
+            lines.push(`${indent}</selection>`);
+            return lines;
+        };
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+            `<roster ${attributes({
+                id: createId(),
+                name: details.name,
+                battleScribeVersion: BATTLESCRIBE_VERSION,
+                gameSystemId: gameSystem ? gameSystem.id : null,
+                gameSystemName: gameSystem ? gameSystem.name : null,
+                gameSystemRevision: gameSystem ? gameSystem.revision : null,
+                xmlns: ROSTER_NAMESPACE,
+            })}>`,
+            ...costs('  ', totalPoints),
+        ];
+        if (details.battleSize && details.battleSize.pointsLimit !== null) {
+            lines.push(
+                '  <costLimits>',
+                `    <costLimit ${attributes({ name: POINTS_COST_NAME, typeId: costTypeId, value: details.battleSize.pointsLimit })}/>`,
+                '  </costLimits>'
+            );
+        }
+        lines.push(
+            '  <forces>',
+            `    <force ${attributes({
+                id: createId(),
+                name: details.battleSize ? details.battleSize.name : 'Army',
+                entryId: details.battleSize ? details.battleSize.id : null,
+                catalogueId: catalogue.id,
+                catalogueRevision: catalogue.revision,
+                catalogueName: catalogue.name,
+            })}>`,
+            '      <selections>'
+        );
+        context.force.children
+            .filter(selection => selection.entry)
+            .forEach(selection => lines.push(...renderSelection(selection, '        ')));
+        lines.push(
+            '      </selections>',
+            '    </force>',
+            '  </forces>',
+            '</roster>'
+        );
+        return lines.join('\n');
+    }
+
+    // --- Text Lists ---
+    // The plain-text format used by the GW app and New Recruit: a header with
+    // the army name, faction, detachment and battle size, then the units
+    // grouped by role, each followed by its options as bulleted lines.
+
+    /**
+     * Finds the role heading a unit is listed under, from its categories.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} unit The unit's selection or unit index record.
+     * @returns {string} The heading.
+     */
+    function getUnitRole(factionData, unit) {
+        const categoryNames = unit.categoryIds
+            .map(id => factionData.index.get(id))
+            .filter(Boolean)
+            .map(category => category.getAttribute('name').toLowerCase());
+        const role = TEXT_LIST_ROLES.find(candidate => categoryNames.includes(candidate.category.toLowerCase()));
+        return role ? role.heading : OTHER_UNITS_HEADING;
+    }
+
+    /**
+     * Writes an army list as text in the GW app format.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {object} configuration The army's force entry and detachment (see buildRosterContext).
+     * @param {object} details `{ name, factionName, detachmentName, battleSize }`;
+     *     `detachmentName` and `battleSize` may be null.
+     * @returns {string} The text list.
+     */
+    function formatArmyText(factionData, units, configuration, details) {
+        const context = buildRosterContext(factionData, units, configuration);
+        const totalPoints = units.reduce((sum, unit) => sum + unit.points, 0);
+        const lines = [`${details.name} (${totalPoints} points)`, '', details.factionName];
+        if (details.detachmentName) {
+            lines.push(details.detachmentName);
+        }
+        if (details.battleSize) {
+            lines.push(details.battleSize.pointsLimit !== null
+                ? `${details.battleSize.name} (${details.battleSize.pointsLimit} points)`
+                : details.battleSize.name);
+        }
+
+        const formatOptions = (selection, depth) => selection.children.forEach(child => {
+            const bullet = depth === 0 ? '•' : '◦';
+            lines.push(`${'  '.repeat(depth + 1)}${bullet} ${child.number}x ${child.name}`);
+            formatOptions(child, depth + 1);
+        });
+
+        const headings = [...TEXT_LIST_ROLES.map(role => role.heading), OTHER_UNITS_HEADING];
+        headings.forEach(heading => {
+            const selections = context.unitSelections.filter(selection => (selection.entry ? getUnitRole(factionData, selection) : OTHER_UNITS_HEADING) === heading);
+            if (selections.length === 0) {
+                return;
+            }
+            lines.push('', heading);
+            selections.forEach(selection => {
+                lines.push('', `${selection.name} (${selection.armyUnit.points} points)`);
+                formatOptions(selection, 0);
+            });
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Scores how alike two names are, from 0 to 1, using the Sørensen–Dice
+     * coefficient of their letter pairs. It tolerates typos, plurals and
+     * differences in punctuation.
+     * @param {string} a The first name.
+     * @param {string} b The second name.
+     * @returns {number} The similarity.
+     */
+    function getNameSimilarity(a, b) {
+        const first = normalizeName(a);
+        const second = normalizeName(b);
+        if (first === second) {
+            return 1;
+        }
+        if (first.length < 2 || second.length < 2) {
+            return 0;
+        }
+        const pairs = new Map();
+        for (let i = 0; i < first.length - 1; i++) {
+            const pair = first.slice(i, i + 2);
+            pairs.set(pair, (pairs.get(pair) || 0) + 1);
+        }
+        let shared = 0;
+        for (let i = 0; i < second.length - 1; i++) {
+            const pair = second.slice(i, i + 2);
+            if (pairs.get(pair) > 0) {
+                pairs.set(pair, pairs.get(pair) - 1);
+                shared++;
+            }
+        }
+        return (2 * shared) / (first.length + second.length - 2);
+    }
+
+    /**
+     * Finds the candidate whose name best matches a name.
+     * @param {string} name The name to match.
+     * @param {object[]} candidates The candidates.
+     * @param {function(object): string} getName Returns a candidate's name.
+     * @returns {object|null} The best candidate scoring at least
+     *     NAME_MATCH_THRESHOLD, or null if there is none.
+     */
+    function findClosestMatch(name, candidates, getName) {
+        let best = null;
+        let bestScore = NAME_MATCH_THRESHOLD;
+        candidates.forEach(candidate => {
+            const score = getNameSimilarity(name, getName(candidate));
+            if (score >= bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Rebuilds an army list from a text list in the GW app or New Recruit
+     * format. Unit and option names are matched loosely against the loaded
+     * catalogue; lines that can't be matched are reported.
+     * @param {object} factionData The loaded faction data.
+     * @param {string} text The text list.
+     * @param {object[]} battleSizes The game system's battle sizes (see getBattleSizes).
+     * @returns {object} `{ name, units, battleSizeId, detachmentId, issues }`,
+     *     where `issues` holds `{ severity, message }` records.
+     */
+    function parseArmyText(factionData, text, battleSizes) {
+        const result = { name: '', units: [], battleSizeId: null, detachmentId: null, issues: [] };
+        const headerPattern = /^(?:(\d+)\s*x\s+)?(.+?)\s*[([]\s*\+?(\d+)\s*(?:pts|points)\s*[)\]]\s*$/i;
+        const optionPattern = /^(?:(\d+)\s*x\s+)?(.+?)(?:\s*[([]\s*\+?\d+\s*(?:pts|points)\s*[)\]])?$/i;
+        const bulletPattern = /^(\s*)([•◦▪\-*+])\s*(.*)$/;
+        const flattenEntries = options => options.flatMap(option => option.kind === 'group' ? getGroupEntries(option) : [option]);
+        const allEntries = options => flattenEntries(options).flatMap(option => [option, ...allEntries(option.children)]);
+        const unmatched = (lineNumber, line, reason) => {
+            result.issues.push({ severity: 'warning', message: `Line ${lineNumber}: "${line.trim()}" ${reason}` });
+        };
+
+        let current = null;
+        // Set after a unit line that couldn't be matched, whose options are
+        // then skipped rather than reported one by one.
+        let isSkippingUnit = false;
+        let isFirstLine = true;
+        text.split(/\r?\n/).forEach((line, index) => {
+            const lineNumber = index + 1;
+            if (!line.trim()) {
+                return;
+            }
+            const bullet = line.match(bulletPattern);
+            if (bullet) {
+                if (!current) {
+                    if (!isSkippingUnit) {
+                        unmatched(lineNumber, line, 'is not under a unit.');
+                    }
+                    return;
+                }
+                const [, indent, marker, content] = bullet;
+                // "◦" or a deeper indent marks an option of the option above
+                // (e.g. a model's weapon); "•" marks an option of the unit.
+                const isNested = marker === '◦' || (current.topIndent !== null && indent.length > current.topIndent);
+                if (!isNested) {
+                    current.topIndent = indent.length;
+                }
+                const [, count, rawName] = content.replace(/^enhancements?:\s*/i, '').match(optionPattern);
+                const scope = isNested && current.parentOption ? current.parentOption.children : current.options;
+                const option = findClosestMatch(rawName, flattenEntries(scope), candidate => candidate.name)
+                    || findClosestMatch(rawName, allEntries(current.options), candidate => candidate.name);
+                if (!option) {
+                    unmatched(lineNumber, line, `does not match an option of ${current.unit.name}.`);
+                    return;
+                }
+                current.unit.selections[option.key] = (current.unit.selections[option.key] || 0) + (parseInt(count, 10) || 1);
+                if (!isNested) {
+                    current.parentOption = option;
+                }
+                return;
+            }
+
+            const trimmed = line.trim();
+            const header = trimmed.match(headerPattern);
+            isSkippingUnit = false;
+            const isFirst = isFirstLine;
+            isFirstLine = false;
+            if (header) {
+                const [, count, name] = header;
+                const record = findClosestMatch(name, factionData.units, candidate => candidate.name);
+                if (record) {
+                    current = null;
+                    for (let i = 0; i < (parseInt(count, 10) || 1); i++) {
+                        const unit = { uid: createId(), id: record.id, name: record.name, points: record.points || 0, selections: {} };
+                        result.units.push(unit);
+                        current = { unit, options: getUnitOptions(factionData, record), parentOption: null, topIndent: null };
+                    }
+                    return;
+                }
+                const battleSize = findClosestMatch(name, battleSizes, candidate => candidate.name);
+                if (battleSize) {
+                    result.battleSizeId = battleSize.id;
+                } else if (isFirst) {
+                    result.name = name;
+                } else {
+                    unmatched(lineNumber, line, 'does not match a unit in the catalogue.');
+                    isSkippingUnit = true;
+                }
+                current = null;
+                return;
+            }
+
+            // Anything else is part of the header (faction, detachment, battle
+            // size), a role heading or a footer such as "Exported with ...".
+            const detachment = findClosestMatch(trimmed, factionData.detachments, candidate => candidate.name);
+            const battleSize = findClosestMatch(trimmed, battleSizes, candidate => candidate.name);
+            if (detachment) {
+                result.detachmentId = detachment.id;
+            } else if (battleSize) {
+                result.battleSizeId = battleSize.id;
+            } else if (isFirst) {
+                result.name = trimmed;
+            }
+            current = null;
+        });
+
+        if (result.units.length === 0) {
+            result.issues.push({ severity: 'error', message: 'No units were recognised.' });
+        }
+        return result;
+    }
+
+    // --- Share Links ---
+    // A roster can be shared as a link whose fragment holds the army, so
+    // nothing is uploaded anywhere. The army is written as JSON, compressed
+    // with deflate where the browser supports it, and base64url-encoded. The
+    // first character of the encoded text says which: 'z' for compressed,
+    // 'j' for plain JSON.
+
+    /**
+     * Describes a roster in the compact form stored in share links.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} roster The roster.
+     * @param {object[]} units The army list.
+     * @param {object} config The army's `battleSizeId` and `detachmentId`.
+     * @param {string|null} sourceLabel The data repository and ref (e.g.
+     *     'wh40k-10e@main'), or null for local data files.
+     * @returns {object} The share payload.
+     */
+    function buildSharePayload(factionData, roster, units, config, sourceLabel) {
+        return {
+            v: SHARE_FORMAT_VERSION,
+            f: factionData.fileName,
+            c: factionData.catalogue.id,
+            r: factionData.catalogue.revision,
+            s: sourceLabel,
+            n: roster.name,
+            b: config.battleSizeId,
+            d: config.detachmentId,
+            u: units.map(unit => {
+                const shared = { i: unit.id, o: unit.selections };
+                if (unit.customName) {
+                    shared.n = unit.customName;
+                }
+                const bodyguardIndex = unit.attachedTo ? units.findIndex(other => other.uid === unit.attachedTo) : -1;
+                if (bodyguardIndex > -1) {
+                    shared.a = bodyguardIndex;
+                }
+                return shared;
+            }),
+        };
+    }
+
+    /**
+     * Rebuilds an army from a share payload, reporting anything the loaded
+     * catalogue can no longer provide.
+     * @param {object} factionData The faction data the payload's faction loaded as.
+     * @param {object} payload The share payload (see buildSharePayload).
+     * @param {object[]} battleSizes The battle sizes of the game system.
+     * @returns {object} `{ name, units, battleSizeId, detachmentId, issues }`.
+     */
+    function readSharePayload(factionData, payload, battleSizes) {
+        const result = { name: payload.n || '', units: [], battleSizeId: null, detachmentId: null, issues: [] };
+        const catalogue = factionData.catalogue;
+        if (payload.r && String(payload.r) !== String(catalogue.revision)) {
+            result.issues.push({ severity: 'warning', message: `The list was shared from revision ${payload.r} of ${catalogue.name}; revision ${catalogue.revision} is loaded, so points and options may differ.` });
+        }
+        if (battleSizes.some(size => size.id === payload.b)) {
+            result.battleSizeId = payload.b;
+        }
+        if (payload.d) {
+            if (factionData.detachments.some(detachment => detachment.id === payload.d)) {
+                result.detachmentId = payload.d;
+            } else {
+                result.issues.push({ severity: 'warning', message: 'The shared detachment no longer exists in the catalogue.' });
+            }
+        }
+
+        // Units are matched by position first, so Leader attachments can be
+        // restored once every unit has its new instance id.
+        const units = (payload.u || []).map(shared => {
+            const record = findUnitRecord(factionData, shared.i);
+            if (!record) {
+                result.issues.push({ severity: 'error', message: `A unit (${shared.i}) no longer exists in the catalogue and was not added.` });
+                return null;
+            }
+            // Only the counts of options the unit still has are kept.
+            const optionKeys = new Set();
+            const addOptionKeys = options => options.forEach(option => {
+                optionKeys.add(option.key);
+                addOptionKeys(option.children);
+            });
+            addOptionKeys(getUnitOptions(factionData, record));
+            const selections = {};
+            Object.entries(shared.o || {})
+                .filter(([key]) => optionKeys.has(key))
+                .forEach(([key, count]) => {
+                    selections[key] = count;
+                });
+            const unit = { uid: createId(), id: record.id, name: record.name, points: record.points || 0, selections };
+            if (shared.n) {
+                unit.customName = shared.n;
+            }
+            return unit;
+        });
+        (payload.u || []).forEach((shared, index) => {
+            const bodyguard = shared.a !== undefined ? units[shared.a] : null;
+            if (units[index] && bodyguard) {
+                units[index].attachedTo = bodyguard.uid;
+            }
+        });
+        result.units = units.filter(Boolean);
+        return result;
+    }
+
+    /**
+     * Encodes bytes as base64url text.
+     * @param {Uint8Array} bytes The bytes.
+     * @returns {string} The text.
+     */
+    function encodeBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decodes base64url text.
+     * @param {string} text The text.
+     * @returns {Uint8Array} The bytes.
+     */
+    function decodeBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, character => character.charCodeAt(0));
+    }
+
+    /**
+     * Runs bytes through a compression or decompression stream.
+     * @param {Uint8Array} bytes The input.
+     * @param {TransformStream} stream A CompressionStream or DecompressionStream.
+     * @returns {Promise<Uint8Array>} The output.
+     */
+    async function transformBytes(bytes, stream) {
+        const writer = stream.writable.getWriter();
+        // Read while writing, so a large input can't fill the stream's buffer.
+        const [output] = await Promise.all([
+            new Response(stream.readable).arrayBuffer(),
+            writer.write(bytes),
+            writer.close(),
+        ]);
+        return new Uint8Array(output);
+    }
+
+    /**
+     * Encodes a share payload for a link fragment.
+     * @param {object} payload The share payload.
+     * @returns {Promise<string>} The encoded text.
+     */
+    async function encodeSharePayload(payload) {
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        if (typeof CompressionStream === 'undefined') {
+            return `j${encodeBase64Url(bytes)}`;
+        }
+        return `z${encodeBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))}`;
+    }
+
+    /**
+     * Decodes the text of a share link fragment.
+     * @param {string} text The encoded text.
+     * @returns {Promise<object>} The share payload.
+     * @throws {Error} If the text is not a share payload this app can read.
+     */
+    async function decodeSharePayload(text) {
+        if (text[0] !== 'z' && text[0] !== 'j') {
+            throw new Error('The share link is not in a known format.');
+        }
+        if (text[0] === 'z' && typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot open compressed share links.');
+        }
+        let payload;
+        try {
+            let bytes = decodeBase64Url(text.slice(1));
+            if (text[0] === 'z') {
+                bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+            }
+            payload = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('The share link is damaged or incomplete.');
+        }
+        if (!payload || payload.v !== SHARE_FORMAT_VERSION || !payload.f) {
+            throw new Error('The share link was made by an incompatible version of the app.');
+        }
+        if (!isValidSharePayload(payload)) {
+            throw new Error('The share link is damaged or incomplete.');
+        }
+        return payload;
+    }
+
+    /**
+     * Checks that a decoded share payload has the shape buildSharePayload
+     * writes, so a damaged or hand-made link can't break the import.
+     * @param {object} payload The decoded payload.
+     * @returns {boolean} Whether the payload can be read.
+     */
+    function isValidSharePayload(payload) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        if (typeof payload.f !== 'string' || (payload.u !== undefined && !Array.isArray(payload.u))) {
+            return false;
+        }
+        const units = payload.u || [];
+        return units.every((shared, index) => isObject(shared)
+            && typeof shared.i === 'string'
+            && (shared.n === undefined || typeof shared.n === 'string')
+            && (shared.o === undefined || (isObject(shared.o) && Object.values(shared.o).every(isCount)))
+            && (shared.a === undefined || (isCount(shared.a) && shared.a < units.length && shared.a !== index)));
+    }
+
+    // --- Points Changes ---
+    // Favorites and saved rosters store the points (and names) units had when
+    // they were saved. When a faction's catalogue is loaded, the stored
+    // values are brought up to date and the differences reported, so a
+    // points update from BSData doesn't go unnoticed.
+
+    /**
+     * Updates the names and points stored in favorites and rosters from a
+     * newly loaded catalogue, and lists what changed.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} favoriteUnits The favorites of the faction.
+     * @param {object[]} rosters The rosters of the faction.
+     * @param {object[]} battleSizes The battle sizes of the game system.
+     * @returns {object[]} The changes, as `{ where, name, oldName, oldPoints,
+     *     newPoints, status, replacement }`: `status` is 'changed', 'renamed' or
+     *     'removed', and `replacement` names the closest unit still in the
+     *     catalogue when one was removed.
+     */
+    function reconcileStoredPoints(factionData, favoriteUnits, rosters, battleSizes) {
+        const changes = [];
+        const compare = (where, item, record, newPoints) => {
+            if (!record) {
+                if (!item.isRemoved) {
+                    const replacement = findClosestMatch(item.name, factionData.units, unit => unit.name);
+                    changes.push({ where, name: item.name, oldName: item.name, oldPoints: item.points, newPoints: null, status: 'removed', replacement: replacement ? replacement.name : null });
+                }
+                item.isRemoved = true;
+                return;
+            }
+            delete item.isRemoved;
+            if (item.name === record.name && item.points === newPoints) {
+                return;
+            }
+            changes.push({
+                where,
+                name: record.name,
+                oldName: item.name,
+                oldPoints: item.points,
+                newPoints,
+                status: item.name === record.name ? 'changed' : 'renamed',
+                replacement: null,
+            });
+            item.name = record.name;
+            item.points = newPoints;
+        };
+
+        favoriteUnits.forEach(favorite => {
+            const record = findUnitRecord(factionData, favorite.id);
+            compare('Favorites', favorite, record, record ? record.points || 0 : null);
+        });
+        rosters.forEach(roster => {
+            if (roster.units.length === 0) {
+                return;
+            }
+            const points = calculateUnitPoints(factionData, roster.units, getRosterConfiguration(factionData, roster, battleSizes));
+            roster.units.forEach((unit, index) => {
+                const record = findUnitRecord(factionData, unit.id);
+                compare(roster.name, unit, record, points[index]);
+            });
+        });
+        return changes;
+    }
+
+    // --- Army Analytics ---
+
+    /**
+     * Works out the make-up of an army: its totals, and the points and units
+     * under each role and unit type.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {object} configuration The army's `forceEntry` and `detachment`
+     *     (see buildRosterContext).
+     * @returns {object} `{ totals, roles, unitTypes }`: `totals` holds the
+     *     `points`, `units`, `models`, `wounds`, `oc`, `characters` and
+     *     `battleline` of the army; `roles` and `unitTypes` hold
+     *     `{ name, points, units, share }` records, where `share` is the
+     *     fraction of the army's points, largest first.
+     */
+    function getArmyAnalytics(factionData, units, configuration) {
+        const context = buildRosterContext(factionData, units, configuration);
+        const totals = { points: 0, units: units.length, models: 0, wounds: 0, oc: 0, characters: 0, battleline: 0 };
+        const roles = new Map();
+        const unitTypes = new Map();
+        const addTo = (groups, name, points) => {
+            const group = groups.get(name) || { name, points: 0, units: 0, share: 0 };
+            group.points += points;
+            group.units += 1;
+            groups.set(name, group);
+        };
+
+        context.unitSelections.forEach((selection, index) => {
+            const unit = units[index];
+            const record = findUnitRecord(factionData, unit.id);
+            const categoryNames = selection.categoryIds
+                .map(id => factionData.index.get(id))
+                .filter(Boolean)
+                .map(category => category.getAttribute('name').toLowerCase());
+            totals.points += unit.points;
+            totals.characters += categoryNames.includes('character') ? 1 : 0;
+            totals.battleline += categoryNames.includes('battleline') ? 1 : 0;
+            if (record) {
+                const models = getUnitModels(buildDatasheet(factionData, record, context, selection), selection);
+                totals.models += models.length;
+                totals.wounds += models.reduce((sum, model) => sum + model.wounds, 0);
+                totals.oc += models.reduce((sum, model) => sum + model.oc, 0);
+            }
+            addTo(roles, getUnitRole(factionData, selection), unit.points);
+            addTo(unitTypes, UNIT_TYPE_KEYWORDS.find(keyword => categoryNames.includes(keyword.toLowerCase())) || OTHER_UNIT_TYPE, unit.points);
+        });
+
+        const finish = groups => [...groups.values()]
+            .map(group => ({ ...group, share: totals.points > 0 ? group.points / totals.points : 0 }))
+            .sort((a, b) => b.points - a.points);
+        return { totals, roles: finish(roles), unitTypes: finish(unitTypes) };
+    }
+
+    // --- Damage Calculation ---
+    // Expected-damage maths for the damage calculator. Dice results are
+    // worked out exactly as probability distributions: Maps from a value to
+    // its probability.
+
+    /**
+     * Reads a dice expression such as '3', 'D6', '2D3' or 'D6+2'.
+     * @param {string} text The expression.
+     * @returns {Map<number, number>|null} Its distribution, or null if the text
+     *     is not a dice expression (e.g. '-' or 'N/A').
+     */
+    function parseDiceExpression(text) {
+        const match = /^\s*(?:(\d+)|(\d*)\s*D\s*(\d+)\s*(?:\+\s*(\d+))?)\s*$/i.exec(text || '');
+        if (!match) {
+            return null;
+        }
+        if (match[1] !== undefined) {
+            return new Map([[parseInt(match[1], 10), 1]]);
+        }
+        const sides = parseInt(match[3], 10);
+        const die = new Map(Array.from({ length: sides }, (_, index) => [index + 1, 1 / sides]));
+        let distribution = new Map([[parseInt(match[4] || '0', 10), 1]]);
+        for (let i = 0; i < parseInt(match[2] || '1', 10); i++) {
+            distribution = convolveDistributions(distribution, die);
+        }
+        return distribution;
+    }
+
+    /**
+     * Works out the distribution of the sum of two independent results.
+     * @param {Map<number, number>} a The first distribution.
+     * @param {Map<number, number>} b The second distribution.
+     * @returns {Map<number, number>} The distribution of their sum.
+     */
+    function convolveDistributions(a, b) {
+        const sum = new Map();
+        a.forEach((pa, va) => b.forEach((pb, vb) => {
+            sum.set(va + vb, (sum.get(va + vb) || 0) + pa * pb);
+        }));
+        return sum;
+    }
+
+    /**
+     * Mixes distributions: the result of picking one of them at random.
+     * @param {Array<[number, Map<number, number>]>} weighted `[probability, distribution]` pairs.
+     * @returns {Map<number, number>} The mixture.
+     */
+    function mixDistributions(weighted) {
+        const mixture = new Map();
+        weighted.forEach(([weight, distribution]) => distribution.forEach((probability, value) => {
+            mixture.set(value, (mixture.get(value) || 0) + weight * probability);
+        }));
+        return mixture;
+    }
+
+    /**
+     * Works out the distribution of a random number of independent results:
+     * the sum of `count` draws from `each`, where `count` is itself random.
+     * @param {Map<number, number>} count The distribution of the number of draws.
+     * @param {Map<number, number>} each The distribution of one draw.
+     * @returns {Map<number, number>} The distribution of the sum.
+     */
+    function sumRepeated(count, each) {
+        const weighted = [];
+        let sum = new Map([[0, 1]]);
+        const maxCount = Math.max(...count.keys());
+        for (let n = 0; n <= maxCount; n++) {
+            if (count.has(n)) {
+                weighted.push([count.get(n), sum]);
+            }
+            sum = convolveDistributions(sum, each);
+        }
+        return mixDistributions(weighted);
+    }
+
+    /**
+     * Returns the mean of a distribution.
+     * @param {Map<number, number>} distribution The distribution.
+     * @returns {number} The expected value.
+     */
+    function getExpectedValue(distribution) {
+        let mean = 0;
+        distribution.forEach((probability, value) => {
+            mean += probability * value;
+        });
+        return mean;
+    }
+
+    /**
+     * Returns the chance of rolling at least a number on a D6. An unmodified
+     * 1 always fails, so the best possible roll is 2+; 7+ can't be rolled.
+     * @param {number} target The number needed.
+     * @returns {number} The probability.
+     */
+    function getRollChance(target) {
+        return (7 - Math.min(Math.max(target, 2), 7)) / 6;
+    }
+
+    /**
+     * Returns the number a wound roll needs, comparing Strength and Toughness.
+     * @param {number} strength The attack's Strength.
+     * @param {number} toughness The target's Toughness.
+     * @returns {number} 2 to 6.
+     */
+    function getWoundThreshold(strength, toughness) {
+        if (strength >= toughness * 2) {
+            return 2;
+        }
+        if (strength > toughness) {
+            return 3;
+        }
+        if (strength === toughness) {
+            return 4;
+        }
+        return strength * 2 <= toughness ? 6 : 5;
+    }
+
+    /**
+     * Reads the weapon abilities the damage calculator understands from a
+     * weapon's Keywords characteristic.
+     * @param {string} text The keywords, e.g. 'Rapid Fire 1, Sustained Hits D3'.
+     * @returns {object} `{ lethalHits, sustainedHits, devastatingWounds,
+     *     twinLinked, torrent }`, where `sustainedHits` is the distribution
+     *     of extra hits a Critical Hit scores, or null.
+     */
+    function parseWeaponKeywords(text) {
+        const sustainedHits = /sustained hits\s+([\dD+]+)/i.exec(text || '');
+        return {
+            lethalHits: /lethal hits/i.test(text),
+            sustainedHits: sustainedHits ? parseDiceExpression(sustainedHits[1]) : null,
+            devastatingWounds: /devastating wounds/i.test(text),
+            twinLinked: /twin-linked/i.test(text),
+            torrent: /\btorrent\b/i.test(text),
+        };
+    }
+
+    /**
+     * Lists the weapons on a datasheet.
+     * @param {object} datasheet The datasheet (see buildDatasheet).
+     * @returns {object[]} `{ name, typeName, range, attacks, skill, strength, ap,
+     *     damage, keywords }` records, with the characteristics as written.
+     */
+    function getWeaponProfiles(datasheet) {
+        return datasheet.profileGroups
+            .filter(group => WEAPON_PROFILE_TYPES.includes(group.typeName))
+            .flatMap(group => {
+                const read = (row, ...columns) => {
+                    const index = columns.map(column => group.columns.indexOf(column)).find(candidate => candidate !== -1);
+                    return index === undefined ? '' : row.values[index];
+                };
+                return group.rows.map(row => ({
+                    name: row.name,
+                    typeName: group.typeName,
+                    range: read(row, 'Range'),
+                    attacks: read(row, 'A'),
+                    skill: read(row, 'BS', 'WS'),
+                    strength: read(row, 'S'),
+                    ap: read(row, 'AP'),
+                    damage: read(row, 'D'),
+                    keywords: read(row, 'Keywords'),
+                }));
+            });
+    }
+
+    /**
+     * Counts how many of each weapon a unit in an army carries: every
+     * selection with a weapon profile adds its number. Option counts are
+     * totals for the unit (see reconcileOptions), so they are not multiplied
+     * by the number of the models they are taken on.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} selection The unit's selection.
+     * @returns {Map<string, number>} Counts keyed by weapon profile name.
+     */
+    function countUnitWeapons(factionData, selection) {
+        const profileTypes = getProfileTypes(factionData);
+        const counts = new Map();
+        const visit = (node, number) => {
+            const info = { profiles: [], rules: [] };
+            collectInfo(factionData, [node.link, node.entry].filter(Boolean), null, info, new Set());
+            info.profiles.forEach(item => {
+                const profileType = profileTypes.get(item.element.getAttribute('typeId'));
+                const typeName = profileType ? profileType.name : item.element.getAttribute('typeName');
+                if (WEAPON_PROFILE_TYPES.includes(typeName)) {
+                    const name = item.element.getAttribute('name');
+                    counts.set(name, (counts.get(name) || 0) + number);
+                }
+            });
+            node.children.forEach(child => visit(child, child.number));
+        };
+        visit(selection, 1);
+        return counts;
+    }
+
+    /**
+     * Reads the defensive profile of a catalogue unit in its default
+     * configuration: Toughness, Save, invulnerable save, Wounds and models.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} record The unit index record.
+     * @returns {object} `{ toughness, save, invulnerableSave, wounds, models }`;
+     *     `invulnerableSave` is null when the unit has none.
+     */
+    function getTargetProfile(factionData, record) {
+        const units = [{ id: record.id, name: record.name, points: record.points || 0, selections: {} }];
+        const configuration = { forceEntry: null, detachment: null };
+        reconcileUnitSelections(factionData, units, 0, configuration);
+        const context = buildRosterContext(factionData, units, configuration);
+        const selection = context.unitSelections[0];
+        const datasheet = buildDatasheet(factionData, record, context, selection);
+        const models = getUnitModels(datasheet, selection);
+        const unitProfiles = datasheet.profileGroups.find(group => group.typeName === 'Unit');
+        const read = column => {
+            const index = unitProfiles ? unitProfiles.columns.indexOf(column) : -1;
+            return index === -1 ? NaN : parseInt(unitProfiles.rows[0].values[index], 10);
+        };
+        const invulnerableSave = [...datasheet.abilities, ...datasheet.rules]
+            .map(ability => /(\d)\+\s*invulnerable save/i.exec(ability.description))
+            .find(Boolean);
+        return {
+            toughness: read('T') || 4,
+            save: read('SV') || 7,
+            invulnerableSave: invulnerableSave ? parseInt(invulnerableSave[1], 10) : null,
+            wounds: Math.max(...models.map(model => model.wounds)),
+            models: models.length,
+        };
+    }
+
+    /**
+     * Works out what one weapon's attacks do to a target.
+     * @param {object} weapon The weapon (see getWeaponProfiles).
+     * @param {number} count How many of the weapon attack.
+     * @param {object} target `{ toughness, save, invulnerableSave }`.
+     * @returns {object|null} The expected `attacks`, `hits`, `wounds`,
+     *     `unsavedWounds` and `damage`, and the distributions of the number of
+     *     unsaved wounds (`unsavedDistribution`) and of each one's damage
+     *     (`damageDistribution`); null if the weapon's profile can't be read.
+     */
+    function calculateWeaponAttacks(weapon, count, target) {
+        const keywords = parseWeaponKeywords(weapon.keywords);
+        const attacksEach = parseDiceExpression(weapon.attacks);
+        const damage = parseDiceExpression(weapon.damage);
+        const strength = parseInt(weapon.strength, 10);
+        const skill = parseInt(weapon.skill, 10);
+        if (!attacksEach || !damage || Number.isNaN(strength) || (!keywords.torrent && Number.isNaN(skill))) {
+            return null;
+        }
+
+        // A wound roll of 6 is a Critical Wound; Twin-linked re-rolls failures.
+        const woundChance = getRollChance(getWoundThreshold(strength, target.toughness));
+        const rerollChance = keywords.twinLinked ? 1 - woundChance : 0;
+        const criticalWoundChance = (1 + rerollChance) / 6;
+        const totalWoundChance = woundChance * (1 + rerollChance);
+        const saveTarget = Math.min(target.save - (parseInt(weapon.ap, 10) || 0), target.invulnerableSave || Infinity);
+        const failedSaveChance = 1 - getRollChance(saveTarget);
+        // The chance that a hit which rolls to wound ends up unsaved.
+        const hitUnsavedChance = (totalWoundChance - criticalWoundChance) * failedSaveChance
+            + criticalWoundChance * (keywords.devastatingWounds ? 1 : failedSaveChance);
+        const rolledHit = new Map([[0, 1 - hitUnsavedChance], [1, hitUnsavedChance]]);
+
+        // The unsaved wounds of one attack. A hit roll of 6 is a Critical
+        // Hit: Lethal Hits make it wound automatically and Sustained Hits
+        // add hits that roll to wound as usual.
+        const extraHits = keywords.sustainedHits || new Map([[0, 1]]);
+        let perAttack;
+        let hitsPerAttack;
+        let woundsPerAttack;
+        if (keywords.torrent) {
+            perAttack = rolledHit;
+            hitsPerAttack = 1;
+            woundsPerAttack = totalWoundChance;
+        } else {
+            const hitChance = getRollChance(skill);
+            // A skill of 7+ can't hit at all, not even with a 6.
+            const criticalHitChance = hitChance > 0 ? 1 / 6 : 0;
+            const normalHitChance = Math.max(0, hitChance - 1 / 6);
+            const criticalHit = convolveDistributions(
+                keywords.lethalHits ? new Map([[0, 1 - failedSaveChance], [1, failedSaveChance]]) : rolledHit,
+                sumRepeated(extraHits, rolledHit),
+            );
+            perAttack = mixDistributions([
+                [1 - hitChance, new Map([[0, 1]])],
+                [normalHitChance, rolledHit],
+                [criticalHitChance, criticalHit],
+            ]);
+            const meanExtraHits = getExpectedValue(extraHits);
+            hitsPerAttack = normalHitChance + criticalHitChance * (1 + meanExtraHits);
+            woundsPerAttack = normalHitChance * totalWoundChance
+                + criticalHitChance * ((keywords.lethalHits ? 1 : totalWoundChance) + meanExtraHits * totalWoundChance);
+        }
+
+        const attacks = sumRepeated(new Map([[count, 1]]), attacksEach);
+        const unsavedDistribution = sumRepeated(attacks, perAttack);
+        const expectedAttacks = getExpectedValue(attacks);
+        const unsavedWounds = getExpectedValue(unsavedDistribution);
+        return {
+            attacks: expectedAttacks,
+            hits: expectedAttacks * hitsPerAttack,
+            wounds: expectedAttacks * woundsPerAttack,
+            unsavedWounds,
+            damage: unsavedWounds * getExpectedValue(damage),
+            unsavedDistribution,
+            damageDistribution: damage,
+        };
+    }
+
+    /**
+     * Works out what a set of weapons does to a target unit, allocating each
+     * unsaved wound's damage to one model at a time. Damage beyond what a
+     * model has left is lost, as the rules require.
+     * @param {Array<{ weapon: object, count: number }>} attacks The weapons and how many of each attack.
+     * @param {object} target `{ toughness, save, invulnerableSave, wounds, models }`.
+     * @returns {object} The expected `attacks`, `hits`, `wounds`, `unsavedWounds`,
+     *     `damage` and `modelsKilled`, the weapons that could not be read
+     *     (`skipped`), and `killDistribution`: the chance of killing exactly
+     *     0, 1, ... models, by index.
+     */
+    function calculateDamage(attacks, target) {
+        const totals = { attacks: 0, hits: 0, wounds: 0, unsavedWounds: 0, damage: 0, modelsKilled: 0, skipped: [] };
+        // states[killed][damage on the model being allocated to] = probability.
+        let states = Array.from({ length: target.models + 1 }, () => new Array(target.wounds).fill(0));
+        states[0][0] = 1;
+        const allocate = (current, damage) => {
+            const next = Array.from({ length: target.models + 1 }, () => new Array(target.wounds).fill(0));
+            current.forEach((row, killed) => row.forEach((probability, taken) => {
+                if (probability === 0) {
+                    return;
+                }
+                if (killed === target.models) {
+                    next[killed][taken] += probability;
+                    return;
+                }
+                damage.forEach((damageChance, amount) => {
+                    if (taken + amount >= target.wounds) {
+                        next[killed + 1][0] += probability * damageChance;
+                    } else {
+                        next[killed][taken + amount] += probability * damageChance;
+                    }
+                });
+            }));
+            return next;
+        };
+
+        attacks.forEach(({ weapon, count }) => {
+            const result = calculateWeaponAttacks(weapon, count, target);
+            if (!result) {
+                totals.skipped.push(weapon.name);
+                return;
+            }
+            ['attacks', 'hits', 'wounds', 'unsavedWounds', 'damage'].forEach(key => {
+                totals[key] += result[key];
+            });
+            const combined = Array.from({ length: target.models + 1 }, () => new Array(target.wounds).fill(0));
+            let current = states;
+            const maxUnsaved = Math.max(...result.unsavedDistribution.keys());
+            for (let n = 0; n <= maxUnsaved; n++) {
+                const weight = result.unsavedDistribution.get(n) || 0;
+                current.forEach((row, killed) => row.forEach((probability, taken) => {
+                    combined[killed][taken] += weight * probability;
+                }));
+                current = allocate(current, result.damageDistribution);
+            }
+            states = combined;
+        });
+
+        totals.killDistribution = states.map(row => row.reduce((sum, probability) => sum + probability, 0));
+        totals.modelsKilled = totals.killDistribution.reduce((sum, probability, killed) => sum + probability * killed, 0);
+        return totals;
+    }
+
+    // --- Unit Search ---
+
+    /**
+     * Lists the categories (keywords) used by a faction's units, most common first.
+     * @param {object} factionData The loaded faction data.
+     * @returns {object[]} `{ id, name, count }` records.
+     */
+    function getUnitCategories(factionData) {
+        const counts = new Map();
+        factionData.units.forEach(unit => unit.categoryIds.forEach(id => counts.set(id, (counts.get(id) || 0) + 1)));
+        return [...counts.entries()]
+            .map(([id, count]) => {
+                const category = factionData.index.get(id);
+                return { id, name: category ? category.getAttribute('name') : null, count };
+            })
+            .filter(category => category.name)
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Filters and sorts a faction's units.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} filters `{ search, categoryIds, minPoints, maxPoints, sort }`:
+     *     `search` matches unit names and keywords, a unit must have every one of
+     *     `categoryIds`, the points bounds may be null, and `sort` is one of
+     *     'catalogue', 'name', 'points-asc' or 'points-desc'.
+     * @returns {object[]} The matching unit index records.
+     */
+    function filterUnits(factionData, filters) {
+        const search = filters.search.trim().toLowerCase();
+        const units = factionData.units.filter(unit => {
+            if (!filters.categoryIds.every(id => unit.categoryIds.includes(id))) {
+                return false;
+            }
+            const points = unit.points || 0;
+            if ((filters.minPoints !== null && points < filters.minPoints) || (filters.maxPoints !== null && points > filters.maxPoints)) {
+                return false;
+            }
+            if (!search) {
+                return true;
+            }
+            const keywords = unit.categoryIds
+                .map(id => factionData.index.get(id))
+                .filter(Boolean)
+                .map(category => category.getAttribute('name'));
+            return [unit.name, ...keywords].some(text => text.toLowerCase().includes(search));
+        });
+
+        const comparators = {
+            name: (a, b) => a.name.localeCompare(b.name),
+            'points-asc': (a, b) => (a.points || 0) - (b.points || 0) || a.name.localeCompare(b.name),
+            'points-desc': (a, b) => (b.points || 0) - (a.points || 0) || a.name.localeCompare(b.name),
+        };
+        return comparators[filters.sort] ? units.sort(comparators[filters.sort]) : units;
+    }
+
+    /**
+     * Groups units under the role headings used by text lists (see TEXT_LIST_ROLES).
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The unit index records, in display order.
+     * @returns {object[]} `{ heading, units }` records for the roles that have units.
+     */
+    function groupUnitsByRole(factionData, units) {
+        const headings = [...TEXT_LIST_ROLES.map(role => role.heading), OTHER_UNITS_HEADING];
+        return headings
+            .map(heading => ({ heading, units: units.filter(unit => getUnitRole(factionData, unit) === heading) }))
+            .filter(group => group.units.length > 0);
+    }
+
+    /**
+     * Sets up the Available Units filters for a newly loaded faction: its
+     * keywords become the category filters, and filters on keywords of the
+     * previous faction are dropped.
+     */
+    function populateUnitFilters() {
+        const factionData = CACHED_DATA.factionData;
+        const categories = getUnitCategories(factionData);
+        unitFilters.categoryIds = unitFilters.categoryIds.filter(id => categories.some(category => category.id === id));
+        unitCategoryFiltersContainer.innerHTML = categories.map(category => `
+            <button class="category-filter-btn px-2 py-0.5 text-xs rounded-full transition-colors ${unitFilters.categoryIds.includes(category.id) ? 'bg-yellow-600 text-gray-900' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}" data-category-id="${escapeHtml(category.id)}">
+                ${escapeHtml(category.name)} <span class="opacity-70">${category.count}</span>
+            </button>
+        `).join('');
+        unitFiltersContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Renders the loaded faction's units that match the filters, grouped into
+     * collapsible role sections.
+     */
+    function renderAvailableUnits() {
+        const factionData = CACHED_DATA.factionData;
+        if (!factionData) {
+            return;
+        }
+        const units = filterUnits(factionData, unitFilters);
+        unitFilterSummaryElement.textContent = `Showing ${units.length} of ${factionData.units.length} units.`;
+        unitCategoryFiltersContainer.querySelectorAll('.category-filter-btn').forEach(button => {
+            const isActive = unitFilters.categoryIds.includes(button.dataset.categoryId);
+            button.classList.toggle('bg-yellow-600', isActive);
+            button.classList.toggle('text-gray-900', isActive);
+            button.classList.toggle('bg-gray-700', !isActive);
+            button.classList.toggle('text-gray-300', !isActive);
+        });
+
+        availableUnitsContainer.innerHTML = '';
+        if (units.length === 0) {
+            availableUnitsContainer.innerHTML = '<p class="text-gray-400 text-sm">No units match the filters.</p>';
+            return;
+        }
+        groupUnitsByRole(factionData, units).forEach(group => {
+            const isCollapsed = collapsedUnitRoles.has(group.heading);
+            const section = document.createElement('section');
+            section.className = 'unit-role-section';
+            section.innerHTML = `
+                <button class="role-toggle-btn w-full flex items-center justify-between text-left font-bold text-gray-300 border-b border-gray-700 pb-1 mb-2" data-role="${group.heading}" aria-expanded="${!isCollapsed}">
+                    <span>${group.heading} <span class="text-sm text-gray-500">(${group.units.length})</span></span>
+                    <span>${isCollapsed ? '▸' : '▾'}</span>
+                </button>
+                <div class="role-units grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 ${isCollapsed ? 'hidden' : ''}"></div>
+            `;
+            const grid = section.querySelector('.role-units');
+            group.units.forEach(unit => renderUnitCard(unit, grid));
+            availableUnitsContainer.appendChild(section);
+        });
+    }
+
+    /**
+     * Reads a points bound from a filter input.
+     * @param {HTMLInputElement} input The input.
+     * @returns {number|null} The bound, or null if the input is empty.
+     */
+    function readPointsFilter(input) {
+        const value = parseInt(input.value, 10);
+        return Number.isNaN(value) ? null : value;
+    }
+
+    /**
+     * Renders a single unit card in the available units container.
+     * @param {object} unit An entry of the faction's unit index (see buildUnitIndex).
+     * @param {HTMLElement} container The element to add the card to.
+     */
+    function renderUnitCard(unit, container) {
+        const unitName = escapeHtml(unit.name);
+        const unitPoints = unit.points === null ? 'N/A' : unit.points;
+        const unitId = unit.id; // We'll use this to uniquely identify the unit.
+
+        // Create the HTML for the unit card. We use a template literal for easy
+        // string interpolation and a clean structure.
+        const cardHtml = `
+            <div class="unit-card" data-unit-id="${unitId}" data-unit-name="${unitName}" data-unit-points="${unitPoints}">
+                <span class="unit-name">${unitName}</span>
+                <div class="flex items-center">
+                    <span class="unit-points">${unitPoints} pts</span>
+                    <!-- Add to Army Button -->
+                    <button class="add-to-army-btn ml-2 p-1 text-sm bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors" title="Add to Army List">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                          <path fill-rule="evenodd" d="M10 5a1 1 0 011 1v3h3a1 1 0 110 2h-3v3a1 1 0 11-2 0v-3H6a1 1 0 110-2h3V6a1 1 0 011-1z" clip-rule="evenodd" />
+                        </svg>
+                    </button>
+                    <!-- Favorite Button (Heart icon) -->
+                    <button class="favorite-btn ${isFavorite(unitId) ? 'favorited' : ''}" title="${isFavorite(unitId) ? 'Unfavorite' : 'Favorite'} Unit">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                          <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `;
+        // Insert the new card HTML at the end of the container's content.
+        container.insertAdjacentHTML('beforeend', cardHtml);
+    }
+    
+    /**
+     * Handles adding a unit to the army list and updates the points total.
+     * @param {string} unitId The unique ID of the unit to add.
+     * @param {string} unitName The name of the unit.
+     * @param {string} unitPoints The points value of the unit.
+     */
+    function addUnitToArmy(unitId, unitName, unitPoints) {
+        // Create an object to represent the unit. This object will be used
+        // to manage the army list data. `uid` tells apart several copies of
+        // the same datasheet. `selections` records the options the unit has
+        // taken; a new unit starts with the catalogue's defaults.
+        const unit = { uid: createId(), id: unitId, name: unitName, points: parseInt(unitPoints, 10) || 0, selections: {} };
+        recordArmyChange();
+        armyList.push(unit);
+        if (CACHED_DATA.factionData) {
+            reconcileUnitSelections(CACHED_DATA.factionData, armyList, armyList.length - 1, getArmyConfiguration());
+        }
+
+        // Recalculate points, re-render the list and re-check the rules.
+        refreshArmy();
+    }
+    
+    /**
+     * Removes a unit from the army list and updates the points total.
+     * @param {number} index The index of the unit in the army list.
+     */
+    function removeUnitFromArmy(index) {
+        if (armyList[index]) {
+            // The editor refers to units by index, so it can't stay open.
+            if (editingUnitIndex !== null) {
+                closeUnitEditor();
+            }
+            recordArmyChange();
+            // Remove the unit from the array, and detach any Leader it had.
+            const [removed] = armyList.splice(index, 1);
+            armyList.forEach(unit => {
+                if (unit.attachedTo && unit.attachedTo === removed.uid) {
+                    delete unit.attachedTo;
+                }
+            });
+            // Recalculate points, re-render the list and re-check the rules.
+            refreshArmy();
+        }
+    }
+
+    /**
+     * Adds a copy of a unit, with the same options, right after it. A copy
+     * of an attached Leader starts unattached.
+     * @param {number} index The index of the unit in the army list.
+     */
+    function duplicateArmyUnit(index) {
+        const unit = armyList[index];
+        if (!unit) {
+            return;
+        }
+        if (editingUnitIndex !== null) {
+            closeUnitEditor();
+        }
+        recordArmyChange();
+        const copy = { ...unit, uid: createId(), selections: { ...unit.selections } };
+        delete copy.attachedTo;
+        armyList.splice(index + 1, 0, copy);
+        refreshArmy();
+    }
+
+    /**
+     * Moves a unit to another position in the army list.
+     * @param {number} fromIndex The unit's index in the army list.
+     * @param {number} toIndex The index it should have afterwards.
+     */
+    function moveArmyUnit(fromIndex, toIndex) {
+        if (fromIndex === toIndex || !armyList[fromIndex] || toIndex < 0 || toIndex >= armyList.length) {
+            return;
+        }
+        if (editingUnitIndex !== null) {
+            closeUnitEditor();
+        }
+        recordArmyChange();
+        const [unit] = armyList.splice(fromIndex, 1);
+        armyList.splice(toIndex, 0, unit);
+        refreshArmy();
+    }
+
+    /**
+     * Gives a unit of the army list its own name, or restores the datasheet
+     * name when the new name is blank.
+     * @param {number} index The index of the unit in the army list.
+     * @param {string} name The new name.
+     */
+    function renameArmyUnit(index, name) {
+        const unit = armyList[index];
+        const customName = name.trim();
+        if (!unit || customName === (unit.customName || '')) {
+            return;
+        }
+        recordArmyChange();
+        if (customName && customName !== unit.name) {
+            unit.customName = customName;
+        } else {
+            delete unit.customName;
+        }
+        refreshArmy();
+    }
+
+    /**
+     * Returns the name a unit of the army list is shown by.
+     * @param {object} unit The army list unit.
+     * @returns {string} Its custom name, or else its datasheet name.
+     */
+    function getUnitDisplayName(unit) {
+        return unit.customName || unit.name;
+    }
+
+    /**
+     * Attaches a Leader to a bodyguard unit of the army, unless the pairing
+     * is not allowed.
+     * @param {number} leaderIndex The Leader's index in the army list.
+     * @param {string} bodyguardUid The instance id of the bodyguard unit.
+     */
+    function attachLeader(leaderIndex, bodyguardUid) {
+        const factionData = CACHED_DATA.factionData;
+        const leader = armyList[leaderIndex];
+        const bodyguard = armyList.find(unit => unit.uid === bodyguardUid);
+        if (!factionData || !leader || !bodyguard) {
+            return;
+        }
+        const problem = getAttachmentProblem(factionData, armyList, leader, bodyguard);
+        if (problem) {
+            // Put the menu back and say why under it.
+            renderArmyList();
+            const select = armyListContainer.querySelector(`.added-unit-card[data-unit-index="${leaderIndex}"] .attach-leader-select`);
+            if (select) {
+                select.insertAdjacentHTML('afterend', '<div class="attach-leader-status mt-1 text-xs"></div>');
+                renderMessageList(select.nextElementSibling, [{ severity: 'error', message: problem }]);
+            }
+            return;
+        }
+        recordArmyChange();
+        leader.attachedTo = bodyguard.uid;
+        refreshArmy();
+    }
+
+    /**
+     * Detaches a Leader from its bodyguard unit.
+     * @param {number} leaderIndex The Leader's index in the army list.
+     */
+    function detachLeader(leaderIndex) {
+        const leader = armyList[leaderIndex];
+        if (leader && leader.attachedTo) {
+            recordArmyChange();
+            delete leader.attachedTo;
+            refreshArmy();
+        }
+    }
+
+    /**
+     * Recalculates and updates the total points of the army, shown against
+     * the points limit of the selected battle size.
+     */
+    function updatePointsTotal() {
+        const totalPoints = armyList.reduce((sum, unit) => sum + unit.points, 0);
+        pointsTotalElement.textContent = totalPoints;
+
+        const battleSize = getActiveBattleSize();
+        const pointsLimit = battleSize ? battleSize.pointsLimit : null;
+        const isOverLimit = pointsLimit !== null && totalPoints > pointsLimit;
+        pointsLimitElement.textContent = pointsLimit !== null ? ` / ${pointsLimit}` : '';
+        pointsTotalElement.classList.toggle('text-red-500', isOverLimit);
+        pointsTotalElement.classList.toggle('text-yellow-500', !isOverLimit);
+        pointsStatusElement.textContent = isOverLimit
+            ? `${totalPoints - pointsLimit} pts over the ${battleSize.name} limit.`
+            : '';
+    }
+
+    /**
+     * Renders the entire army list from the armyList array. A Leader attached
+     * to a bodyguard unit is shown inside that unit's card.
+     */
+    function renderArmyList() {
+        // Clear the current list.
+        armyListContainer.innerHTML = '';
+        if (armyList.length === 0) {
+            armyListContainer.innerHTML = '<p class="text-gray-400 text-sm">Add units to your army.</p>';
+        } else {
+            // Iterate through each unit and add a card to the list.
+            armyList.forEach((unit, index) => {
+                if (unit.attachedTo && armyList.some(other => other.uid === unit.attachedTo)) {
+                    // Drawn with its bodyguard unit.
+                    return;
+                }
+                const leaderIndex = armyList.findIndex(other => other.attachedTo && other.attachedTo === unit.uid);
+                if (leaderIndex === -1) {
+                    armyListContainer.insertAdjacentHTML('beforeend', renderArmyUnitCard(unit, index, true));
+                    return;
+                }
+                const leader = armyList[leaderIndex];
+                const combinedCardHtml = `
+                    <div class="attached-unit-group army-list-item border border-yellow-600 rounded-lg px-2 my-2" draggable="true" data-unit-index="${index}">
+                        <div class="flex items-center justify-between pt-2 text-xs text-gray-400">
+                            <span>${escapeHtml(getUnitDisplayName(leader))} leading ${escapeHtml(getUnitDisplayName(unit))}</span>
+                            <span class="unit-points">${leader.points + unit.points} pts</span>
+                        </div>
+                        ${renderArmyUnitCard(unit, index)}
+                        ${renderArmyUnitCard(leader, leaderIndex)}
+                    </div>
+                `;
+                armyListContainer.insertAdjacentHTML('beforeend', combinedCardHtml);
+            });
+        }
+    }
+
+    /**
+     * Builds the card of one unit in the army list. A Leader's card offers
+     * the units it can be attached to, or a button to detach it.
+     * @param {object} unit The army list unit.
+     * @param {number} index The unit's index in the army list.
+     * @param {boolean} [isDraggable] Whether the card itself can be dragged
+     *     to reorder the list, rather than the group it is part of.
+     * @returns {string} The card's HTML.
+     */
+    function renderArmyUnitCard(unit, index, isDraggable = false) {
+        const factionData = CACHED_DATA.factionData;
+        const record = factionData && findUnitRecord(factionData, unit.id);
+        let leaderHtml = '';
+        if (unit.attachedTo) {
+            leaderHtml = '<button class="detach-leader-btn mt-1 text-xs text-yellow-500 hover:text-yellow-300">Detach</button>';
+        } else if (record && getLeaderTargets(factionData, record)) {
+            const bodyguards = getEligibleBodyguards(factionData, armyList, unit);
+            leaderHtml = bodyguards.length === 0
+                ? '<p class="text-xs text-gray-500">No unit in the army can be led by this Leader.</p>'
+                : `
+                    <select class="attach-leader-select mt-1 bg-gray-700 rounded-md p-1 text-xs text-gray-200 focus:outline-none focus:ring focus:ring-yellow-500">
+                        <option value="">Attach to…</option>
+                        ${bodyguards.map(bodyguard => `<option value="${bodyguard.uid}">${escapeHtml(getUnitDisplayName(bodyguard))}</option>`).join('')}
+                    </select>
+                `;
+        }
+        return `
+            <div class="added-unit-card ${isDraggable ? 'army-list-item' : ''}" data-unit-id="${unit.id}" data-unit-index="${index}" ${isDraggable ? 'draggable="true"' : ''}>
+                <div>
+                    <span class="unit-name">${escapeHtml(getUnitDisplayName(unit))}</span>
+                    ${unit.customName ? `<span class="text-xs text-gray-500 ml-1">${escapeHtml(unit.name)}</span>` : ''}
+                    <p class="unit-options text-xs text-gray-400">${describeUnitSelections(unit)}</p>
+                    ${leaderHtml}
+                </div>
+                <div class="flex items-center">
+                    <span class="unit-points">${unit.points} pts</span>
+                    <button class="duplicate-unit-btn ml-2 p-1 text-sm bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors" title="Duplicate Unit">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                          <path d="M7 9a2 2 0 012-2h6a2 2 0 012 2v6a2 2 0 01-2 2H9a2 2 0 01-2-2V9z" />
+                          <path d="M5 3a2 2 0 00-2 2v6a2 2 0 002 2V5h8a2 2 0 00-2-2H5z" />
+                        </svg>
+                    </button>
+                    <button class="configure-unit-btn ml-2 p-1 text-sm bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors" title="Configure Unit">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                          <path fill-rule="evenodd" d="M11.49 3.17c-.38-1.56-2.6-1.56-2.98 0a1.532 1.532 0 01-2.286.948c-1.372-.836-2.942.734-2.106 2.106.54.886.061 2.042-.947 2.287-1.561.379-1.561 2.6 0 2.978a1.532 1.532 0 01.947 2.287c-.836 1.372.734 2.942 2.106 2.106a1.532 1.532 0 012.287.947c.379 1.561 2.6 1.561 2.978 0a1.533 1.533 0 012.287-.947c1.372.836 2.942-.734 2.106-2.106a1.533 1.533 0 01.947-2.287c1.561-.379 1.561-2.6 0-2.978a1.532 1.532 0 01-.947-2.287c.836-1.372-.734-2.942-2.106-2.106a1.532 1.532 0 01-2.287-.947zM10 13a3 3 0 100-6 3 3 0 000 6z" clip-rule="evenodd" />
+                        </svg>
+                    </button>
+                    <button class="remove-from-army-btn ml-2 p-1 text-sm bg-red-600 hover:bg-red-500 text-gray-100 rounded-md transition-colors" title="Remove from Army">
+                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                          <path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clip-rule="evenodd" />
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Loads a faction's catalogues and shows its units in the Battle Forge.
+     * @param {string} fileName The faction catalogue file.
+     * @returns {Promise<object|null>} The faction data, or null if it failed to load.
+     */
+    async function loadFaction(fileName) {
+        availableUnitsContainer.innerHTML = '<p class="text-gray-400 text-sm">Loading units...</p>';
+        
+        const factionData = await loadFactionData(fileName, getCatalogueSource());
+        if (factionData) {
+            CACHED_DATA.factionData = factionData; // Store in cache.
+            // Detachments belong to a faction, so a choice made for another
+            // faction no longer applies.
+            if (!getActiveDetachment()) {
+                armyConfig.detachmentId = null;
+            }
+            populateDetachmentSelect();
+            // Catch up saved points with this revision of the catalogue
+            // before the army is recalculated.
+            updateStoredPoints(factionData);
+            populateUnitFilters();
+            renderAvailableUnits();
+            // Re-check the army against the newly loaded catalogue.
+            refreshArmy();
+
+            renderDataStatus();
+            console.log(`Units for ${fileName} loaded. Found ${factionData.units.length} units in ${factionData.files.length} files.`);
+        } else {
+            const reason = dataErrors.get(fileName) || 'Check console for details.';
+            availableUnitsContainer.innerHTML = `<p class="text-red-400 text-sm">Error loading units. ${escapeHtml(reason)}</p>`;
+        }
+        return factionData;
+    }
+
+    // --- Unit Editor ---
+
+    /**
+     * Returns the army's force entry and detachment in the form the rule
+     * evaluation functions expect (see buildRosterContext).
+     * @returns {object} `{ forceEntry, detachment }`.
+     */
+    function getArmyConfiguration() {
+        const battleSize = getActiveBattleSize();
+        return {
+            forceEntry: battleSize ? battleSize.entry : null,
+            detachment: getActiveDetachment(),
+        };
+    }
+
+    /**
+     * Recalculates the points of every unit in the army list from its selections.
+     */
+    function recalculateArmyPoints() {
+        const factionData = CACHED_DATA.factionData;
+        if (!factionData) {
+            return;
+        }
+        calculateUnitPoints(factionData, armyList, getArmyConfiguration()).forEach((points, index) => {
+            // Units that aren't in the loaded catalogue keep their last known points.
+            if (points !== null) {
+                armyList[index].points = points;
+            }
+        });
+    }
+
+    /**
+     * Brings every view of the army up to date after it has changed: points,
+     * the army list, the points total and the rule validation. The army is
+     * then saved to the active roster.
+     */
+    function refreshArmy() {
+        recalculateArmyPoints();
+        renderArmyList();
+        updatePointsTotal();
+        validateRules();
+        syncActiveRoster();
+        renderArmyAnalytics();
+    }
+
+    /**
+     * Summarises the options a unit has taken, for its army list card.
+     * @param {object} unit The army list unit.
+     * @returns {string} e.g. '5 models · Power fist, 4× Bolt rifle'.
+     */
+    function describeUnitSelections(unit) {
+        const factionData = CACHED_DATA.factionData;
+        const record = factionData && findUnitRecord(factionData, unit.id);
+        if (!record || !unit.selections) {
+            return '';
+        }
+        let modelCount = 0;
+        // The same wargear can be taken by different models, so it is totalled by name.
+        const upgrades = new Map();
+        const collect = (options) => options.forEach(option => {
+            const count = option.kind === 'entry' ? unit.selections[option.key] || 0 : 0;
+            if (count > 0) {
+                if (option.type === 'model') {
+                    modelCount += count;
+                } else {
+                    upgrades.set(option.name, (upgrades.get(option.name) || 0) + count);
+                }
+            }
+            collect(option.children);
+        });
+        collect(getUnitOptions(factionData, record));
+
+        const parts = [];
+        if (modelCount > 0) {
+            parts.push(`${modelCount} model${modelCount === 1 ? '' : 's'}`);
+        }
+        if (upgrades.size > 0) {
+            parts.push([...upgrades].map(([name, count]) => count > 1 ? `${count}× ${name}` : name).join(', '));
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Finds an option node by its key.
+     * @param {object[]} options The option nodes to search.
+     * @param {string} key The option key.
+     * @returns {object|null} The option node.
+     */
+    function findOption(options, key) {
+        for (const option of options) {
+            if (option.key === key) {
+                return option;
+            }
+            const found = findOption(option.children, key);
+            if (found) {
+                return found;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Formats an option's base points for display next to its name.
+     * @param {object} option The option node.
+     * @returns {string} e.g. ' (+5 pts)', or '' if the option is free.
+     */
+    function formatOptionCost(option) {
+        const points = option.kind === 'entry' ? getEntryPoints(option.entry, option.link) : null;
+        return points ? ` <span class="text-yellow-500 text-xs">(+${points} pts)</span>` : '';
+    }
+
+    /**
+     * Builds the HTML of the editor controls for a list of options. Groups from
+     * which exactly one option can be taken are shown as radio buttons, other
+     * options as number inputs, and options whose count is fixed as plain text.
+     * @param {object} context The evaluation context.
+     * @param {object} selections The unit's option counts.
+     * @param {object[]} options The option nodes.
+     * @param {object} parentSelection The selection the options belong to.
+     * @param {number} parentCount The number of the parent taken.
+     * @returns {string} The HTML.
+     */
+    function renderOptionControls(context, selections, options, parentSelection, parentCount) {
+        const renderChildren = (option, count) => {
+            if (count === 0 || option.children.length === 0) {
+                return '';
+            }
+            const childSelection = findOptionSelection(parentSelection, option.key) || createSelection(option.entry, option.link, parentSelection);
+            return `<div class="pl-4 mt-2 space-y-2 border-l border-gray-600">${renderOptionControls(context, selections, option.children, childSelection, count)}</div>`;
+        };
+
+        return options.map(option => {
+            const limits = getOptionLimits(context, option, parentSelection);
+            const min = limits.min * parentCount;
+            const max = limits.max < 0 ? -1 : limits.max * parentCount;
+
+            if (option.kind === 'group') {
+                const entries = option.children.filter(child => child.kind === 'entry');
+                if (max === 1 && entries.length === option.children.length) {
+                    const chosen = entries.find(entry => (selections[entry.key] || 0) > 0);
+                    const choices = entries
+                        .filter(entry => entry === chosen || !getOptionLimits(context, entry, parentSelection).hidden)
+                        .map(entry => `
+                            <label class="flex items-center gap-2 text-sm">
+                                <input type="radio" class="option-choice" name="${escapeHtml(option.key)}" data-group-key="${escapeHtml(option.key)}" data-option-key="${escapeHtml(entry.key)}" ${entry === chosen ? 'checked' : ''}>
+                                <span>${escapeHtml(entry.name)}${formatOptionCost(entry)}</span>
+                            </label>
+                        `);
+                    if (min === 0) {
+                        choices.push(`
+                            <label class="flex items-center gap-2 text-sm">
+                                <input type="radio" class="option-choice" name="${escapeHtml(option.key)}" data-group-key="${escapeHtml(option.key)}" data-option-key="" ${chosen ? '' : 'checked'}>
+                                <span class="text-gray-400">None</span>
+                            </label>
+                        `);
+                    }
+                    return `
+                        <fieldset class="unit-option-group">
+                            <legend class="text-sm font-semibold text-gray-300">${escapeHtml(option.name)}</legend>
+                            <div class="space-y-1 mt-1">${choices.join('')}</div>
+                            ${chosen ? renderChildren(chosen, selections[chosen.key]) : ''}
+                        </fieldset>
+                    `;
+                }
+                const range = max >= 0 ? `${min}-${max}` : `${min}+`;
+                return `
+                    <div class="unit-option-group">
+                        <p class="text-sm font-semibold text-gray-300">${escapeHtml(option.name)} <span class="text-xs text-gray-400">(${range})</span></p>
+                        <div class="pl-4 mt-1 space-y-2">${renderOptionControls(context, selections, option.children, parentSelection, parentCount)}</div>
+                    </div>
+                `;
+            }
+
+            const count = selections[option.key] || 0;
+            if (limits.hidden && count === 0) {
+                return '';
+            }
+            const control = min === max
+                ? `<span class="text-sm text-gray-400">${count}×</span>`
+                : `<input type="number" class="option-count w-16 bg-gray-700 rounded-md p-1 text-gray-200 text-right" data-option-key="${escapeHtml(option.key)}" min="${min}" ${max >= 0 ? `max="${max}"` : ''} value="${count}">`;
+            return `
+                <div class="unit-option">
+                    <div class="flex items-center justify-between gap-4 text-sm">
+                        <span>${escapeHtml(option.name)}${formatOptionCost(option)}</span>
+                        ${control}
+                    </div>
+                    ${renderChildren(option, count)}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Renders the unit editor for the unit being edited.
+     */
+    function renderUnitEditor() {
+        const unit = armyList[editingUnitIndex];
+        const factionData = CACHED_DATA.factionData;
+        const record = factionData && findUnitRecord(factionData, unit.id);
+        unitEditorTitle.textContent = unit.name;
+        unitEditorPoints.textContent = `${unit.points} pts`;
+        if (document.activeElement !== unitEditorNameInput) {
+            unitEditorNameInput.value = unit.customName || '';
+        }
+        unitEditorNameInput.placeholder = unit.name;
+
+        if (!record) {
+            unitEditorOptions.innerHTML = '<p class="text-gray-400 text-sm">This unit is not in the loaded catalogue, so its options cannot be changed.</p>';
+            return;
+        }
+        const options = getUnitOptions(factionData, record);
+        if (options.length === 0) {
+            unitEditorOptions.innerHTML = '<p class="text-gray-400 text-sm">This unit has no options.</p>';
+            return;
+        }
+        const context = buildRosterContext(factionData, armyList, getArmyConfiguration());
+        unitEditorOptions.innerHTML = renderOptionControls(context, unit.selections, options, context.unitSelections[editingUnitIndex], 1);
+    }
+
+    /**
+     * Opens the unit editor for a unit of the army list.
+     * @param {number} unitIndex The index of the unit in the army list.
+     */
+    function openUnitEditor(unitIndex) {
+        editingUnitIndex = unitIndex;
+        renderUnitEditor();
+        unitEditor.classList.remove('hidden');
+    }
+
+    /**
+     * Closes the unit editor.
+     */
+    function closeUnitEditor() {
+        editingUnitIndex = null;
+        unitEditor.classList.add('hidden');
+    }
+
+    /**
+     * Applies a change made in the unit editor, then recalculates the unit's
+     * points and re-validates the army.
+     * @param {HTMLInputElement} input The option count input or choice radio button that changed.
+     */
+    function handleUnitEditorChange(input) {
+        const unit = armyList[editingUnitIndex];
+        const factionData = CACHED_DATA.factionData;
+        const record = factionData && findUnitRecord(factionData, unit.id);
+        if (!record) {
+            return;
+        }
+
+        recordArmyChange();
+        if (input.classList.contains('option-count')) {
+            unit.selections[input.dataset.optionKey] = Math.max(0, parseInt(input.value, 10) || 0);
+        } else if (input.classList.contains('option-choice')) {
+            // Choosing one option of a group replaces whichever was chosen before.
+            const group = findOption(getUnitOptions(factionData, record), input.dataset.groupKey);
+            getGroupEntries(group)
+                .filter(entry => entry.key !== input.dataset.optionKey)
+                .forEach(entry => clearOptions(unit.selections, [entry]));
+            if (input.dataset.optionKey) {
+                unit.selections[input.dataset.optionKey] = 1;
+            }
+        }
+
+        reconcileUnitSelections(factionData, armyList, editingUnitIndex, getArmyConfiguration());
+        refreshArmy();
+        renderUnitEditor();
+    }
+
+    /**
+     * Builds the HTML of a datasheet (see buildDatasheet).
+     * @param {object} datasheet The datasheet contents.
+     * @returns {string} The HTML.
+     */
+    function renderDatasheetHtml(datasheet) {
+        const tables = datasheet.profileGroups.map(group => `
+            <div class="datasheet-profiles mb-4 overflow-x-auto">
+                <h4 class="font-bold text-yellow-500 mb-1">${escapeHtml(group.typeName)}</h4>
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-gray-400 border-b border-gray-600">
+                            <th class="py-1 pr-2"></th>
+                            ${group.columns.map(column => `<th class="py-1 px-2">${escapeHtml(column)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${group.rows.map(row => `
+                            <tr class="border-b border-gray-700">
+                                <td class="py-1 pr-2 font-semibold">${escapeHtml(row.name)}</td>
+                                ${row.values.map(value => `<td class="py-1 px-2">${escapeHtml(value)}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('');
+
+        const renderTexts = (title, items) => items.length === 0 ? '' : `
+            <div class="mb-4">
+                <h4 class="font-bold text-yellow-500 mb-1">${title}</h4>
+                ${items.map(item => `
+                    <p class="text-sm mb-2 whitespace-pre-line"><span class="font-semibold">${escapeHtml(item.name)}:</span> ${escapeHtml(item.description)}</p>
+                `).join('')}
+            </div>
+        `;
+
+        const keywords = datasheet.keywords.length === 0 ? '' : `
+            <p class="text-xs text-gray-400 mt-2"><span class="font-semibold">Keywords:</span> ${escapeHtml(datasheet.keywords.join(', '))}</p>
+        `;
+        const factionKeywords = datasheet.factionKeywords.length === 0 ? '' : `
+            <p class="text-xs text-gray-400"><span class="font-semibold">Faction Keywords:</span> ${escapeHtml(datasheet.factionKeywords.join(', '))}</p>
+        `;
+        const isEmpty = datasheet.profileGroups.length === 0 && datasheet.abilities.length === 0 && datasheet.rules.length === 0;
+
+        return `
+            ${tables}
+            ${renderTexts('Abilities', datasheet.abilities)}
+            ${renderTexts('Rules', datasheet.rules)}
+            ${isEmpty ? '<p class="text-gray-400 text-sm">The catalogue has no profiles for this unit.</p>' : ''}
+            ${keywords}
+            ${factionKeywords}
+        `;
+    }
+
+    /**
+     * Opens the datasheet viewer for a unit.
+     * @param {string} unitId The unit's entry id.
+     * @param {number|null} unitIndex The unit's index in the army list, to show
+     *     the options it has taken; null to show everything it can take.
+     */
+    function openDatasheet(unitId, unitIndex) {
+        const factionData = CACHED_DATA.factionData;
+        const record = factionData && findUnitRecord(factionData, unitId);
+        datasheetViewer.classList.remove('hidden');
+        if (!record) {
+            datasheetTitle.textContent = 'Datasheet unavailable';
+            datasheetPoints.textContent = '';
+            datasheetContent.innerHTML = '<p class="text-gray-400 text-sm">Load this unit\'s faction in the Battle Forge to see its datasheet.</p>';
+            return;
+        }
+
+        let datasheet;
+        let points = record.points;
+        if (unitIndex !== null && armyList[unitIndex]) {
+            const context = buildRosterContext(factionData, armyList, getArmyConfiguration());
+            datasheet = buildDatasheet(factionData, record, context, context.unitSelections[unitIndex]);
+            points = armyList[unitIndex].points;
+        } else {
+            datasheet = buildDatasheet(factionData, record, null, null);
+        }
+        datasheetTitle.textContent = datasheet.name;
+        datasheetPoints.textContent = points === null ? '' : `${points} pts`;
+        datasheetContent.innerHTML = renderDatasheetHtml(datasheet);
+    }
+
+    /**
+     * Closes the datasheet viewer.
+     */
+    function closeDatasheet() {
+        datasheetViewer.classList.add('hidden');
+    }
+
+    // --- Army List History ---
+    // Every change to the army list records a snapshot of the army first, so
+    // it can be undone. Snapshots are JSON, which also keeps them from
+    // sharing objects with the live army.
+
+    /**
+     * Captures the army list and its battle size and detachment.
+     * @returns {string} The snapshot.
+     */
+    function takeArmySnapshot() {
+        return JSON.stringify({ units: armyList, config: armyConfig });
+    }
+
+    /**
+     * Records the army as it is before a change, so the change can be undone.
+     * Any changes that were undone can no longer be redone.
+     */
+    function recordArmyChange() {
+        armyHistory.undo.push(takeArmySnapshot());
+        if (armyHistory.undo.length > ARMY_HISTORY_LIMIT) {
+            armyHistory.undo.shift();
+        }
+        armyHistory.redo = [];
+        renderArmyHistoryControls();
+    }
+
+    /**
+     * Forgets the change history, e.g. when another roster is opened.
+     */
+    function resetArmyHistory() {
+        armyHistory = { undo: [], redo: [] };
+        renderArmyHistoryControls();
+    }
+
+    /**
+     * Puts the army back as it was in a snapshot.
+     * @param {string} snapshot The snapshot (see takeArmySnapshot).
+     */
+    function restoreArmySnapshot(snapshot) {
+        if (editingUnitIndex !== null) {
+            closeUnitEditor();
+        }
+        const { units, config } = JSON.parse(snapshot);
+        armyList = units;
+        armyConfig = config;
+        if (CACHED_DATA.masterCatalogue) {
+            populateBattleSizeSelect();
+        }
+        populateDetachmentSelect();
+        refreshArmy();
+    }
+
+    /**
+     * Undoes the last change to the army list.
+     */
+    function undoArmyChange() {
+        if (armyHistory.undo.length === 0) {
+            return;
+        }
+        armyHistory.redo.push(takeArmySnapshot());
+        restoreArmySnapshot(armyHistory.undo.pop());
+        renderArmyHistoryControls();
+    }
+
+    /**
+     * Redoes the last change to the army list that was undone.
+     */
+    function redoArmyChange() {
+        if (armyHistory.redo.length === 0) {
+            return;
+        }
+        armyHistory.undo.push(takeArmySnapshot());
+        restoreArmySnapshot(armyHistory.redo.pop());
+        renderArmyHistoryControls();
+    }
+
+    /**
+     * Enables the undo and redo buttons when there is something to undo or redo.
+     */
+    function renderArmyHistoryControls() {
+        undoArmyBtn.disabled = armyHistory.undo.length === 0;
+        redoArmyBtn.disabled = armyHistory.redo.length === 0;
+    }
+
+    // --- Rosters ---
+
+    /**
+     * Upgrades a stored roster collection to the current storage version.
+     * @param {object} store The parsed roster collection.
+     * @returns {object|null} The upgraded collection, or null if it was written
+     *     by a newer version of the app and can't be read safely.
+     */
+    function migrateRosterStore(store) {
+        let migrated = store;
+        while (migrated.version < ROSTER_STORE_VERSION) {
+            const migrate = ROSTER_MIGRATIONS[migrated.version];
+            if (!migrate) {
+                console.error(`No roster migration from version ${migrated.version}.`);
+                return null;
+            }
+            migrated = migrate(migrated);
+        }
+        if (migrated.version > ROSTER_STORE_VERSION) {
+            return null;
+        }
+        return migrated;
+    }
+
+    /**
+     * Loads the saved rosters from localStorage and makes the last active one
+     * current. A first visit starts with one empty roster.
+     */
+    function loadRosters() {
+        const storedRosters = localStorage.getItem(ROSTER_STORAGE_KEY);
+        if (storedRosters) {
+            try {
+                const migrated = migrateRosterStore(JSON.parse(storedRosters));
+                if (migrated) {
+                    rosterStore = migrated;
+                } else {
+                    // Don't overwrite rosters saved by a newer version of the app.
+                    console.error('Saved rosters use an unsupported storage version; they will not be changed.');
+                    isRosterStoreReadOnly = true;
+                }
+            } catch (e) {
+                console.error("Could not parse rosters from localStorage.", e);
+            }
+        }
+        if (rosterStore.rosters.length === 0) {
+            const roster = createRoster(null, null);
+            rosterStore.activeRosterId = roster.id;
+        }
+        const activeRoster = getActiveRoster() || rosterStore.rosters[0];
+        rosterStore.activeRosterId = activeRoster.id;
+        armyList = activeRoster.units;
+        armyConfig = { battleSizeId: activeRoster.battleSizeId, detachmentId: activeRoster.detachmentId };
+    }
+
+    /**
+     * Saves all rosters to localStorage.
+     */
+    function saveRosters() {
+        if (isRosterStoreReadOnly) {
+            return;
+        }
+        localStorage.setItem(ROSTER_STORAGE_KEY, JSON.stringify(rosterStore));
+    }
+
+    /**
+     * Returns the roster being edited.
+     * @returns {object|undefined} The active roster.
+     */
+    function getActiveRoster() {
+        return rosterStore.rosters.find(roster => roster.id === rosterStore.activeRosterId);
+    }
+
+    /**
+     * Creates an empty roster and adds it to the collection.
+     * @param {string|null} factionFile The faction catalogue file, or null if no faction is chosen yet.
+     * @param {string|null} factionName The faction's display name.
+     * @returns {object} The new roster.
+     */
+    function createRoster(factionFile, factionName) {
+        const roster = {
+            id: createId(),
+            name: factionName ? `${factionName} Army` : DEFAULT_ROSTER_NAME,
+            factionFile,
+            factionName,
+            battleSizeId: armyConfig.battleSizeId,
+            detachmentId: null,
+            detachmentName: null,
+            units: [],
+            updatedAt: Date.now(),
+        };
+        rosterStore.rosters.push(roster);
+        return roster;
+    }
+
+    /**
+     * Copies the army being edited back into the active roster and saves it.
+     */
+    function syncActiveRoster() {
+        const roster = getActiveRoster();
+        if (!roster) {
+            return;
+        }
+        roster.units = armyList;
+        roster.battleSizeId = armyConfig.battleSizeId;
+        roster.detachmentId = armyConfig.detachmentId;
+        const detachment = getActiveDetachment();
+        if (detachment) {
+            roster.detachmentName = detachment.name;
+        } else if (!armyConfig.detachmentId) {
+            roster.detachmentName = null;
+        }
+        roster.updatedAt = Date.now();
+        saveRosters();
+        renderRosterControls();
+    }
+
+    /**
+     * Makes a roster the one being edited, loading its faction if needed.
+     * @param {string} rosterId The id of the roster.
+     * @returns {Promise<void>}
+     */
+    async function activateRoster(rosterId) {
+        const roster = rosterStore.rosters.find(candidate => candidate.id === rosterId);
+        if (!roster) {
+            return;
+        }
+        if (editingUnitIndex !== null) {
+            closeUnitEditor();
+        }
+        rosterStore.activeRosterId = roster.id;
+        armyList = roster.units;
+        armyConfig = { battleSizeId: roster.battleSizeId, detachmentId: roster.detachmentId };
+        resetArmyHistory();
+        if (CACHED_DATA.masterCatalogue) {
+            populateBattleSizeSelect();
+        }
+        saveRosters();
+        renderRosterControls();
+
+        const loadedFile = CACHED_DATA.factionData ? CACHED_DATA.factionData.fileName : null;
+        if (roster.factionFile && roster.factionFile !== loadedFile) {
+            factionSelect.value = roster.factionFile;
+            await loadFaction(roster.factionFile);
+        } else {
+            populateDetachmentSelect();
+            refreshArmy();
+        }
+    }
+
+    /**
+     * Picks the roster to edit after the faction dropdown changes: an empty
+     * roster is simply assigned to the new faction; otherwise the faction's
+     * most recently edited roster is opened, or a new one is created for it.
+     * @param {string} factionFile The selected faction catalogue file.
+     * @param {string} factionName The selected faction's display name.
+     * @returns {Promise<void>}
+     */
+    async function selectRosterForFaction(factionFile, factionName) {
+        const roster = getActiveRoster();
+        if (roster.units.length === 0 || roster.factionFile === factionFile) {
+            // Keep names the user chose, but not the generated ones.
+            if (roster.name === DEFAULT_ROSTER_NAME || roster.name === `${roster.factionName} Army`) {
+                roster.name = `${factionName} Army`;
+            }
+            roster.factionFile = factionFile;
+            roster.factionName = factionName;
+            saveRosters();
+            renderRosterControls();
+            await loadFaction(factionFile);
+            return;
+        }
+
+        const factionRosters = rosterStore.rosters
+            .filter(candidate => candidate.factionFile === factionFile)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+        const nextRoster = factionRosters[0] || createRoster(factionFile, factionName);
+        await activateRoster(nextRoster.id);
+    }
+
+    /**
+     * Renders the roster dropdown (grouped by faction), the name field and the
+     * active roster's faction, detachment and battle size.
+     */
+    function renderRosterControls() {
+        const activeRoster = getActiveRoster();
+        const groups = new Map();
+        rosterStore.rosters.forEach(roster => {
+            const factionName = roster.factionName || 'No Faction';
+            if (!groups.has(factionName)) {
+                groups.set(factionName, []);
+            }
+            groups.get(factionName).push(roster);
+        });
+
+        rosterSelect.innerHTML = '';
+        [...groups.keys()].sort().forEach(factionName => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = factionName;
+            groups.get(factionName)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(roster => {
+                    const option = document.createElement('option');
+                    option.value = roster.id;
+                    option.textContent = roster.name;
+                    optgroup.appendChild(option);
+                });
+            rosterSelect.appendChild(optgroup);
+        });
+        rosterSelect.value = activeRoster.id;
+        rosterNameInput.value = activeRoster.name;
+
+        const battleSize = getActiveBattleSize();
+        const details = [
+            activeRoster.factionName || 'No faction selected',
+            activeRoster.detachmentName || 'No detachment',
+        ];
+        if (battleSize) {
+            details.push(battleSize.name);
+        }
+        rosterDetailsElement.textContent = details.join(' · ');
+    }
+
+    // --- Roster Import and Export ---
+
+    /**
+     * Offers a file to the user as a download.
+     * @param {string} fileName The name to save the file under.
+     * @param {Blob|string} content The file content.
+     * @param {string} type The MIME type used when `content` is a string.
+     */
+    function downloadFile(fileName, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Returns a file name for the active roster, without characters that
+     * file systems reject.
+     * @param {string} extension The file extension, without the dot.
+     * @returns {string} The file name.
+     */
+    function getRosterFileName(extension) {
+        const name = getActiveRoster().name.replace(/[\\/:*?"<>|]+/g, '').trim() || 'roster';
+        return `${name}.${extension}`;
+    }
+
+    /**
+     * Exports the active roster as a BattleScribe .ros file, or zipped as a .rosz.
+     * @param {boolean} zipped Whether to export a .rosz.
+     * @returns {Promise<void>}
+     */
+    async function exportRosterFile(zipped) {
+        const factionData = CACHED_DATA.factionData;
+        if (!factionData) {
+            renderMessageList(rosterFileStatusElement, [{ severity: 'error', message: 'Select a faction before exporting.' }]);
+            return;
+        }
+        const xml = serializeRoster(factionData, armyList, getArmyConfiguration(), {
+            name: getActiveRoster().name,
+            battleSize: getActiveBattleSize(),
+        });
+        if (zipped) {
+            const zip = new JSZip();
+            zip.file(getRosterFileName('ros'), xml);
+            const content = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            downloadFile(getRosterFileName('rosz'), content);
+        } else {
+            downloadFile(getRosterFileName('ros'), xml, 'application/xml');
+        }
+        rosterFileStatusElement.innerHTML = '';
+    }
+
+    /**
+     * Reads the roster XML out of an uploaded .ros or .rosz file.
+     * @param {File} file The uploaded file.
+     * @returns {Promise<string>} The roster XML.
+     */
+    async function readRosterUpload(file) {
+        const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+        // Zip archives start with "PK".
+        if (header[0] !== 0x50 || header[1] !== 0x4b) {
+            return file.text();
+        }
+        const zip = await JSZip.loadAsync(file);
+        const rosterEntry = Object.values(zip.files).find(entry => !entry.dir && /\.ros$/i.test(entry.name))
+            || Object.values(zip.files).find(entry => !entry.dir);
+        if (!rosterEntry) {
+            throw new Error('The archive does not contain a roster.');
+        }
+        return rosterEntry.async('string');
+    }
+
+    /**
+     * Imports a BattleScribe .ros or .rosz file as a new roster, loading the
+     * faction it was built for, and reports anything that could not be matched
+     * against the current catalogues.
+     * @param {File} file The uploaded file.
+     * @returns {Promise<void>}
+     */
+    async function importRosterFile(file) {
+        rosterFileStatusElement.innerHTML = '<p class="text-gray-400 text-sm">Importing roster...</p>';
+        let roster;
+        try {
+            const doc = new DOMParser().parseFromString(await readRosterUpload(file), 'text/xml');
+            roster = doc.getElementsByTagName('parsererror').length > 0 ? null : readRosterFile(doc);
+        } catch (error) {
+            console.error('Error reading roster file:', error);
+        }
+        if (!roster) {
+            renderMessageList(rosterFileStatusElement, [{ severity: 'error', message: `${file.name} is not a BattleScribe roster.` }]);
+            return;
+        }
+
+        const force = roster.forces[0] || {};
+        const factionOption = [...factionSelect.options].find(option => option.value && force.catalogueId && option.dataset.catalogueId === force.catalogueId)
+            || [...factionSelect.options].find(option => option.value && option.textContent === force.catalogueName);
+        if (!factionOption) {
+            renderMessageList(rosterFileStatusElement, [{ severity: 'error', message: `The roster's faction (${force.catalogueName || 'unknown'}) is not available.` }]);
+            return;
+        }
+
+        const newRoster = createRoster(factionOption.value, factionOption.textContent);
+        newRoster.name = roster.name || file.name.replace(/\.rosz?$/i, '');
+        await activateRoster(newRoster.id);
+        const factionData = CACHED_DATA.factionData;
+        if (!factionData || factionData.fileName !== factionOption.value) {
+            renderMessageList(rosterFileStatusElement, [{ severity: 'error', message: `Could not load ${factionOption.textContent}.` }]);
+            return;
+        }
+
+        const result = buildArmyFromRoster(factionData, roster, CACHED_DATA.battleSizes || []);
+        armyConfig.battleSizeId = result.battleSizeId || armyConfig.battleSizeId;
+        armyConfig.detachmentId = result.detachmentId;
+        armyList.push(...result.units);
+        armyList.forEach((unit, index) => reconcileUnitSelections(factionData, armyList, index, getArmyConfiguration()));
+        populateBattleSizeSelect();
+        populateDetachmentSelect();
+        refreshArmy();
+
+        const summary = { severity: 'info', message: `Imported ${result.units.length} units from ${file.name}.` };
+        renderMessageList(rosterFileStatusElement, [summary, ...result.issues]);
+    }
+
+    /**
+     * Creates a share link for the active roster, copies it to the clipboard
+     * and shows it.
+     * @returns {Promise<void>}
+     */
+    async function shareRoster() {
+        const factionData = CACHED_DATA.factionData;
+        const roster = getActiveRoster();
+        if (!factionData || factionData.fileName !== roster.factionFile) {
+            renderMessageList(rosterFileStatusElement, [{ severity: 'error', message: 'Choose a faction before sharing the roster.' }]);
+            return;
+        }
+        const sourceLabel = dataSource.type === 'local' ? null : `${dataSource.repo}@${dataSource.ref}`;
+        const payload = buildSharePayload(factionData, roster, armyList, armyConfig, sourceLabel);
+        const url = `${location.origin}${location.pathname}#${SHARE_FRAGMENT_PREFIX}${await encodeSharePayload(payload)}`;
+        let message = 'Share link copied to the clipboard.';
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            message = 'Copy the share link below.';
+        }
+        renderMessageList(rosterFileStatusElement, [{ severity: 'info', message }]);
+        rosterFileStatusElement.insertAdjacentHTML('beforeend', `
+            <input type="text" readonly id="share-link" class="w-full bg-gray-800 rounded-md p-2 text-xs text-gray-200" value="${escapeHtml(url)}">
+        `);
+        document.getElementById('share-link').select();
+    }
+
+    /**
+     * Opens the roster in the page's share link, if there is one, as a new
+     * roster. The fragment is then removed so a reload doesn't add it again.
+     * @returns {Promise<void>}
+     */
+    async function openSharedRoster() {
+        if (!location.hash.startsWith(`#${SHARE_FRAGMENT_PREFIX}`)) {
+            return;
+        }
+        const encoded = location.hash.slice(SHARE_FRAGMENT_PREFIX.length + 1);
+        history.replaceState(null, '', `${location.pathname}${location.search}`);
+        showTab('army-list');
+
+        let payload;
+        try {
+            payload = await decodeSharePayload(encoded);
+        } catch (error) {
+            console.error('Error reading share link:', error);
+            renderMessageList(rosterFileStatusElement, [{ severity: 'error', message: `Could not open the shared list: ${error.message}` }]);
+            return;
+        }
+        const factionOption = [...factionSelect.options].find(option => option.value && option.value === payload.f)
+            || [...factionSelect.options].find(option => option.value && payload.c && option.dataset.catalogueId === payload.c);
+        if (!factionOption) {
+            renderMessageList(rosterFileStatusElement, [{ severity: 'error', message: `The shared list's faction (${payload.f}) is not available from the current data source.` }]);
+            return;
+        }
+
+        const newRoster = createRoster(factionOption.value, factionOption.textContent);
+        await activateRoster(newRoster.id);
+        const factionData = CACHED_DATA.factionData;
+        if (!factionData || factionData.fileName !== factionOption.value) {
+            renderMessageList(rosterFileStatusElement, [{ severity: 'error', message: `Could not load ${factionOption.textContent}.` }]);
+            return;
+        }
+
+        const result = readSharePayload(factionData, payload, CACHED_DATA.battleSizes || []);
+        const sourceLabel = dataSource.type === 'local' ? null : `${dataSource.repo}@${dataSource.ref}`;
+        if (payload.s && payload.s !== sourceLabel) {
+            result.issues.unshift({ severity: 'warning', message: `The list was shared from ${payload.s}, but the data is loaded from ${sourceLabel || 'local files'}.` });
+        }
+        if (result.name) {
+            newRoster.name = result.name;
+        }
+        armyConfig.battleSizeId = result.battleSizeId || armyConfig.battleSizeId;
+        armyConfig.detachmentId = result.detachmentId;
+        armyList.push(...result.units);
+        armyList.forEach((unit, index) => reconcileUnitSelections(factionData, armyList, index, getArmyConfiguration()));
+        populateBattleSizeSelect();
+        populateDetachmentSelect();
+        refreshArmy();
+
+        const summary = { severity: 'info', message: `Opened the shared list as "${newRoster.name}" with ${result.units.length} units.` };
+        renderMessageList(rosterFileStatusElement, [summary, ...result.issues]);
+    }
+
+    // --- Text List Dialog ---
+
+    /**
+     * Opens the text list dialog with the active roster written out as text.
+     */
+    function openTextListDialog() {
+        const factionData = CACHED_DATA.factionData;
+        const roster = getActiveRoster();
+        const detachment = getActiveDetachment();
+        textListInput.value = factionData
+            ? formatArmyText(factionData, armyList, getArmyConfiguration(), {
+                name: roster.name,
+                factionName: roster.factionName || factionData.catalogue.name,
+                detachmentName: detachment ? detachment.name : null,
+                battleSize: getActiveBattleSize(),
+            })
+            : '';
+        textListStatusElement.innerHTML = '';
+        textListDialog.classList.remove('hidden');
+        textListInput.select();
+    }
+
+    /**
+     * Closes the text list dialog.
+     */
+    function closeTextListDialog() {
+        textListDialog.classList.add('hidden');
+    }
+
+    /**
+     * Copies the text list to the clipboard.
+     * @returns {Promise<void>}
+     */
+    async function copyTextList() {
+        try {
+            await navigator.clipboard.writeText(textListInput.value);
+        } catch (error) {
+            // The Clipboard API needs a secure context; fall back to the
+            // selection-based copy command.
+            textListInput.select();
+            document.execCommand('copy');
+        }
+        renderMessageList(textListStatusElement, [{ severity: 'info', message: 'Copied to the clipboard.' }]);
+    }
+
+    /**
+     * Imports the pasted text list as a new roster of the loaded faction.
+     */
+    function importTextList() {
+        const factionData = CACHED_DATA.factionData;
+        if (!factionData) {
+            renderMessageList(textListStatusElement, [{ severity: 'error', message: 'Select the list\'s faction before importing.' }]);
+            return;
+        }
+        const result = parseArmyText(factionData, textListInput.value, CACHED_DATA.battleSizes || []);
+        if (result.units.length === 0) {
+            renderMessageList(textListStatusElement, result.issues);
+            return;
+        }
+
+        const activeRoster = getActiveRoster();
+        const roster = createRoster(factionData.fileName, activeRoster.factionName || factionData.catalogue.name);
+        if (result.name) {
+            roster.name = result.name;
+        }
+        // The faction is already loaded, so the roster is switched to directly
+        // rather than through activateRoster.
+        if (editingUnitIndex !== null) {
+            closeUnitEditor();
+        }
+        rosterStore.activeRosterId = roster.id;
+        armyList = roster.units;
+        armyConfig = {
+            battleSizeId: result.battleSizeId || armyConfig.battleSizeId,
+            detachmentId: result.detachmentId,
+        };
+        resetArmyHistory();
+        armyList.push(...result.units);
+        armyList.forEach((unit, index) => reconcileUnitSelections(factionData, armyList, index, getArmyConfiguration()));
+        populateBattleSizeSelect();
+        populateDetachmentSelect();
+        refreshArmy();
+
+        const summary = { severity: 'info', message: `Imported ${result.units.length} units as "${roster.name}".` };
+        renderMessageList(textListStatusElement, [summary, ...result.issues]);
+    }
+
+    /**
+     * Loads favorites from localStorage into the favorites object.
+     */
+    function loadFavorites() {
+        const storedFavorites = localStorage.getItem('favorites');
+        if (storedFavorites) {
+            try {
+                // Parse the JSON string back into a JavaScript object.
+                favorites = JSON.parse(storedFavorites);
+                // Favorites used to be keyed by unit id alone.
+                Object.entries(favorites).forEach(([key, favorite]) => {
+                    const favoriteKey = getFavoriteKey(favorite.factionFile || null, favorite.id);
+                    if (key !== favoriteKey) {
+                        delete favorites[key];
+                        favorites[favoriteKey] = favorite;
+                    }
+                });
+            } catch (e) {
+                console.error("Could not parse favorites from localStorage.", e);
+                favorites = {};
+            }
+        }
+    }
+
+    /**
+     * Saves the current favorites object to localStorage.
+     */
+    function saveFavorites() {
+        // Stringify the JavaScript object into a JSON string before saving.
+        localStorage.setItem('favorites', JSON.stringify(favorites));
+    }
+    
+    /**
+     * Builds the key a favorite is stored under. The same datasheet can be
+     * in several factions (through library catalogues), so the key includes
+     * the faction's catalogue file.
+     * @param {string|null} factionFile The faction catalogue file.
+     * @param {string} unitId The unit's entry id.
+     * @returns {string} The key.
+     */
+    function getFavoriteKey(factionFile, unitId) {
+        return factionFile ? `${factionFile}|${unitId}` : unitId;
+    }
+
+    /**
+     * Tells whether a unit of the loaded faction is a favorite.
+     * @param {string} unitId The unit's entry id.
+     * @returns {boolean} Whether it is.
+     */
+    function isFavorite(unitId) {
+        const factionFile = CACHED_DATA.factionData ? CACHED_DATA.factionData.fileName : null;
+        return Boolean(favorites[getFavoriteKey(factionFile, unitId)]);
+    }
+
+    /**
+     * Adds a unit of the loaded faction to the favorites, or removes it.
+     * @param {string} unitId The unit's entry id.
+     * @param {string} unitName The unit's name.
+     * @param {string} unitPoints The unit's points.
+     * @returns {boolean} Whether the unit is now a favorite.
+     */
+    function toggleFavorite(unitId, unitName, unitPoints) {
+        const factionData = CACHED_DATA.factionData;
+        const factionFile = factionData ? factionData.fileName : null;
+        const key = getFavoriteKey(factionFile, unitId);
+        if (favorites[key]) {
+            delete favorites[key];
+        } else {
+            favorites[key] = {
+                id: unitId,
+                name: unitName,
+                points: parseInt(unitPoints, 10) || 0,
+                factionFile,
+                factionName: factionData ? factionData.catalogue.name : null,
+                notes: '',
+                tags: [],
+            };
+        }
+        saveFavorites();
+        return Boolean(favorites[key]);
+    }
+
+    /**
+     * Renders the favorite units, grouped by faction and narrowed down by
+     * the favorites filter, which matches names, tags and notes.
+     */
+    function renderFavorites() {
+        favoritesContainer.innerHTML = '';
+        const search = favoritesFilterInput.value.trim().toLowerCase();
+        const favoriteEntries = Object.entries(favorites).filter(([, unit]) => !search || [unit.name, unit.notes || '', ...(unit.tags || [])]
+            .some(text => text.toLowerCase().includes(search)));
+        if (Object.keys(favorites).length === 0) {
+            favoritesContainer.innerHTML = '<p class="text-gray-400 text-sm">You have no favorite units yet.</p>';
+            return;
+        }
+        if (favoriteEntries.length === 0) {
+            favoritesContainer.innerHTML = '<p class="text-gray-400 text-sm">No favorites match the filter.</p>';
+            return;
+        }
+
+        const groups = new Map();
+        favoriteEntries.forEach(([key, unit]) => {
+            const factionName = unit.factionName || 'Unknown Faction';
+            if (!groups.has(factionName)) {
+                groups.set(factionName, []);
+            }
+            groups.get(factionName).push([key, unit]);
+        });
+        [...groups.keys()].sort().forEach(factionName => {
+            const cardsHtml = groups.get(factionName)
+                .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+                .map(([key, unit]) => {
+                    const tags = unit.tags || [];
+                    return `
+                        <div class="unit-card favorite-card flex-wrap" data-favorite-key="${escapeHtml(key)}" data-unit-id="${escapeHtml(unit.id)}" data-unit-name="${escapeHtml(unit.name)}" data-unit-points="${unit.points}">
+                            <div>
+                                <span class="unit-name">${escapeHtml(unit.name)}</span>
+                                ${unit.isRemoved ? '<span class="text-xs text-red-400 ml-1">No longer in the catalogue</span>' : ''}
+                                <div class="flex flex-wrap gap-1 mt-1">
+                                    ${tags.map(tag => `<span class="px-2 text-xs bg-gray-700 text-yellow-500 rounded-full">${escapeHtml(tag)}</span>`).join('')}
+                                </div>
+                                ${unit.notes ? `<p class="text-xs text-gray-400 mt-1 whitespace-pre-line">${escapeHtml(unit.notes)}</p>` : ''}
+                            </div>
+                            <div class="flex items-center">
+                                <span class="unit-points">${unit.points} pts</span>
+                                <button class="add-favorite-to-army-btn ml-2 p-1 text-sm bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors" title="Add to Army List" ${unit.isRemoved ? 'disabled' : ''}>
+                                    <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                                      <path fill-rule="evenodd" d="M10 5a1 1 0 011 1v3h3a1 1 0 110 2h-3v3a1 1 0 11-2 0v-3H6a1 1 0 110-2h3V6a1 1 0 011-1z" clip-rule="evenodd" />
+                                    </svg>
+                                </button>
+                                <button class="favorite-btn favorited ml-2 p-1" title="Unfavorite Unit">
+                                    <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                                      <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                                    </svg>
+                                </button>
+                            </div>
+                            <details class="favorite-details w-full mt-2 text-sm">
+                                <summary class="text-xs text-gray-400 cursor-pointer">Notes and tags</summary>
+                                <input type="text" class="favorite-tags mt-2 w-full bg-gray-700 rounded-md p-2 text-gray-200" placeholder="Tags, separated by commas" value="${escapeHtml(tags.join(', '))}">
+                                <textarea class="favorite-notes mt-2 w-full bg-gray-700 rounded-md p-2 text-gray-200" rows="2" placeholder="Notes">${escapeHtml(unit.notes || '')}</textarea>
+                            </details>
+                        </div>
+                    `;
+                }).join('');
+            favoritesContainer.insertAdjacentHTML('beforeend', `
+                <section class="mb-4">
+                    <h3 class="text-lg font-bold text-gray-300 mb-1">${escapeHtml(factionName)}</h3>
+                    ${cardsHtml}
+                </section>
+            `);
+        });
+    }
+
+    /**
+     * Adds a favorite to the army, first switching to a roster of its
+     * faction (loading the faction's catalogue) if another faction is open.
+     * @param {string} key The favorite's key.
+     * @returns {Promise<void>}
+     */
+    async function addFavoriteToArmy(key) {
+        const favorite = favorites[key];
+        if (!favorite) {
+            return;
+        }
+        const factionOption = favorite.factionFile && [...factionSelect.options].find(option => option.value === favorite.factionFile);
+        if (!factionOption) {
+            renderMessageList(favoritesStatusElement, [{ severity: 'error', message: `${favorite.name}'s faction is not available from the current data source.` }]);
+            return;
+        }
+        if (getActiveRoster().factionFile !== favorite.factionFile || !CACHED_DATA.factionData || CACHED_DATA.factionData.fileName !== favorite.factionFile) {
+            factionSelect.value = favorite.factionFile;
+            await selectRosterForFaction(favorite.factionFile, factionOption.textContent);
+        }
+        const factionData = CACHED_DATA.factionData;
+        const record = factionData && factionData.fileName === favorite.factionFile ? findUnitRecord(factionData, favorite.id) : null;
+        if (!record) {
+            renderMessageList(favoritesStatusElement, [{ severity: 'error', message: `${favorite.name} is not in the loaded ${factionOption.textContent} catalogue.` }]);
+            return;
+        }
+        addUnitToArmy(record.id, record.name, record.points);
+        renderMessageList(favoritesStatusElement, [{ severity: 'info', message: `Added ${record.name} to "${getActiveRoster().name}".` }]);
+    }
+
+    /**
+     * Saves the notes or tags typed into a favorite's card.
+     * @param {HTMLElement} field The notes textarea or tags input.
+     */
+    function updateFavoriteDetails(field) {
+        const favorite = favorites[field.closest('.favorite-card').dataset.favoriteKey];
+        if (!favorite) {
+            return;
+        }
+        if (field.classList.contains('favorite-tags')) {
+            favorite.tags = [...new Set(field.value.split(',').map(tag => tag.trim()).filter(Boolean))];
+        } else {
+            favorite.notes = field.value.trim();
+        }
+        saveFavorites();
+        renderFavorites();
+    }
+
+    /**
+     * Reads a favorites collection exported by exportFavorites.
+     * @param {string} text The file content.
+     * @returns {object|null} The favorites, keyed as in localStorage, or null
+     *     if the text is not a favorites export.
+     */
+    function readFavoritesFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+        if (!data || data.format !== FAVORITES_FILE_FORMAT || !Array.isArray(data.favorites)) {
+            return null;
+        }
+        const imported = {};
+        const readString = value => (typeof value === 'string' && value ? value : null);
+        data.favorites
+            .filter(favorite => favorite && typeof favorite.id === 'string' && ENTRY_ID_PATTERN.test(favorite.id) && typeof favorite.name === 'string')
+            .forEach(favorite => {
+                const factionFile = readString(favorite.factionFile);
+                imported[getFavoriteKey(factionFile, favorite.id)] = {
+                    id: favorite.id,
+                    name: favorite.name,
+                    points: parseInt(favorite.points, 10) || 0,
+                    factionFile,
+                    factionName: readString(favorite.factionName),
+                    notes: typeof favorite.notes === 'string' ? favorite.notes : '',
+                    tags: Array.isArray(favorite.tags) ? favorite.tags.filter(tag => typeof tag === 'string') : [],
+                };
+            });
+        return imported;
+    }
+
+    /**
+     * Downloads the favorites collection as a JSON file.
+     */
+    function exportFavorites() {
+        const data = { format: FAVORITES_FILE_FORMAT, version: 1, favorites: Object.values(favorites) };
+        downloadFile('favorites.json', JSON.stringify(data, null, 2), 'application/json');
+    }
+
+    /**
+     * Adds the favorites in an exported file to the collection. Favorites
+     * that are already saved take the imported notes and tags.
+     * @param {File} file The uploaded file.
+     * @returns {Promise<void>}
+     */
+    async function importFavorites(file) {
+        const imported = readFavoritesFile(await file.text());
+        if (!imported) {
+            renderMessageList(favoritesStatusElement, [{ severity: 'error', message: `${file.name} is not a favorites file.` }]);
+            return;
+        }
+        Object.assign(favorites, imported);
+        saveFavorites();
+        renderFavorites();
+        renderMessageList(favoritesStatusElement, [{ severity: 'info', message: `Imported ${Object.keys(imported).length} favorites.` }]);
+    }
+
+    /**
+     * Brings the favorites and rosters of a newly loaded faction up to date
+     * with its catalogue, saves them and shows what changed.
+     * @param {object} factionData The loaded faction data.
+     */
+    function updateStoredPoints(factionData) {
+        // Favorites saved before they recorded their faction are claimed by
+        // the first catalogue that has them.
+        const favoriteUnits = Object.values(favorites).filter(favorite => (favorite.factionFile
+            ? favorite.factionFile === factionData.fileName
+            : Boolean(findUnitRecord(factionData, favorite.id))));
+        favoriteUnits.forEach(favorite => {
+            if (!favorite.factionFile) {
+                delete favorites[favorite.id];
+                favorite.factionFile = factionData.fileName;
+                favorites[getFavoriteKey(favorite.factionFile, favorite.id)] = favorite;
+            }
+            favorite.factionName = factionData.catalogue.name;
+        });
+        const rosters = rosterStore.rosters.filter(roster => roster.factionFile === factionData.fileName);
+        const changes = reconcileStoredPoints(factionData, favoriteUnits, rosters, CACHED_DATA.battleSizes || []);
+        saveFavorites();
+        if (changes.length > 0) {
+            saveRosters();
+        }
+        renderPointsReport(factionData, changes);
+    }
+
+    /**
+     * Shows the points change report, or hides it if nothing changed.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} changes The changes (see reconcileStoredPoints).
+     */
+    function renderPointsReport(factionData, changes) {
+        pointsReportElement.classList.toggle('hidden', changes.length === 0);
+        if (changes.length === 0) {
+            pointsReportElement.innerHTML = '';
+            return;
+        }
+        const rows = changes.map(change => {
+            const delta = change.newPoints !== null && change.oldPoints !== null ? change.newPoints - change.oldPoints : null;
+            let note = '';
+            if (change.status === 'renamed') {
+                note = `Renamed from ${change.oldName}`;
+            } else if (change.status === 'removed') {
+                note = change.replacement ? `Removed; closest match: ${change.replacement}` : 'Removed from the catalogue';
+            }
+            return `
+                <tr class="border-b border-gray-700">
+                    <td class="py-1 pr-2">
+                        ${escapeHtml(change.name)}
+                        ${note ? `<span class="block text-xs ${change.status === 'removed' ? 'text-red-400' : 'text-yellow-500'}">${escapeHtml(note)}</span>` : ''}
+                    </td>
+                    <td class="py-1 px-2 text-gray-400">${escapeHtml(change.where)}</td>
+                    <td class="py-1 px-2 text-right">${change.oldPoints === null ? '–' : change.oldPoints}</td>
+                    <td class="py-1 px-2 text-right">${change.newPoints === null ? '–' : change.newPoints}</td>
+                    <td class="py-1 pl-2 text-right ${delta > 0 ? 'text-red-400' : delta < 0 ? 'text-green-400' : ''}">${delta === null || delta === 0 ? '' : `${delta > 0 ? '+' : ''}${delta}`}</td>
+                </tr>
+            `;
+        }).join('');
+        pointsReportElement.innerHTML = `
+            <div class="flex items-center justify-between mb-2">
+                <h3 class="font-bold text-yellow-500">Points changes in ${escapeHtml(factionData.catalogue.name)} (revision ${escapeHtml(factionData.catalogue.revision)})</h3>
+                <button id="dismiss-points-report" class="px-3 py-1 text-sm bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors">Dismiss</button>
+            </div>
+            <p class="text-xs text-gray-400 mb-2">Your favorites and saved rosters have been updated to the new values.</p>
+            <div class="overflow-x-auto">
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-gray-400 border-b border-gray-600">
+                            <th class="py-1 pr-2">Unit</th>
+                            <th class="py-1 px-2">Saved In</th>
+                            <th class="py-1 px-2 text-right">Old</th>
+                            <th class="py-1 px-2 text-right">New</th>
+                            <th class="py-1 pl-2 text-right">Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Returns the battle size the army is built with.
+     * @returns {object|null} The getBattleSizes record, or null if none is selected.
+     */
+    function getActiveBattleSize() {
+        return (CACHED_DATA.battleSizes || []).find(size => size.id === armyConfig.battleSizeId) || null;
+    }
+
+    /**
+     * Returns the detachment the army is built with.
+     * @returns {object|null} The findDetachmentOptions record, or null if none is selected.
+     */
+    function getActiveDetachment() {
+        const factionData = CACHED_DATA.factionData;
+        if (!factionData) {
+            return null;
+        }
+        return factionData.detachments.find(detachment => detachment.id === armyConfig.detachmentId) || null;
+    }
+
+    /**
+     * Fills the battle size dropdown from the game system's force entries.
+     */
+    function populateBattleSizeSelect() {
+        CACHED_DATA.battleSizes = getBattleSizes(CACHED_DATA.masterCatalogue);
+        battleSizeSelect.innerHTML = '';
+        if (CACHED_DATA.battleSizes.length === 0) {
+            battleSizeSelect.innerHTML = '<option value="" disabled selected>No battle sizes defined</option>';
+            return;
+        }
+        CACHED_DATA.battleSizes.forEach(size => {
+            const option = document.createElement('option');
+            option.value = size.id;
+            option.textContent = size.pointsLimit ? `${size.name} (${size.pointsLimit} pts)` : size.name;
+            battleSizeSelect.appendChild(option);
+        });
+
+        if (!getActiveBattleSize()) {
+            const defaultSize = CACHED_DATA.battleSizes.find(size => size.name.includes(DEFAULT_BATTLE_SIZE)) || CACHED_DATA.battleSizes[0];
+            armyConfig.battleSizeId = defaultSize.id;
+        }
+        battleSizeSelect.value = armyConfig.battleSizeId;
+    }
+
+    /**
+     * Fills the detachment dropdown with the loaded faction's detachments.
+     */
+    function populateDetachmentSelect() {
+        const factionData = CACHED_DATA.factionData;
+        const detachments = factionData ? factionData.detachments : [];
+        if (detachments.length === 0) {
+            detachmentSelect.innerHTML = `<option value="" disabled selected>${factionData ? 'No detachments found' : 'Select a faction first'}</option>`;
+            detachmentSelect.disabled = true;
+            return;
+        }
+        detachmentSelect.innerHTML = '<option value="" disabled>Select a Detachment</option>';
+        detachments.forEach(detachment => {
+            const option = document.createElement('option');
+            option.value = detachment.id;
+            option.textContent = detachment.name;
+            detachmentSelect.appendChild(option);
+        });
+        detachmentSelect.disabled = false;
+        detachmentSelect.value = getActiveDetachment() ? armyConfig.detachmentId : '';
+    }
+
+    /**
+     * Shows a list of errors, warnings and notes in a container.
+     * @param {HTMLElement} container The element to render into.
+     * @param {object[]} messages `{ severity: 'error'|'warning'|'info', message }` records.
+     */
+    function renderMessageList(container, messages) {
+        const styles = {
+            error: { colorClass: 'text-red-400', label: 'Error' },
+            warning: { colorClass: 'text-yellow-400', label: 'Warning' },
+            info: { colorClass: 'text-gray-300', label: 'Note' },
+        };
+        container.innerHTML = '';
+        messages.forEach(({ severity, message }) => {
+            const { colorClass, label } = styles[severity];
+            container.insertAdjacentHTML('beforeend', `
+                <p class="validation-${severity} text-sm ${colorClass}"><span class="font-bold">${label}:</span> ${escapeHtml(message)}</p>
+            `);
+        });
+    }
+
+    /**
+     * Validates the army list against the loaded catalogue's constraints,
+     * conditions and modifiers, and shows the result on the Army List tab.
+     * @returns {object[]} The violations found.
+     */
+    function validateRules() {
+        const battleSize = getActiveBattleSize();
+        const violations = getRuleViolations(CACHED_DATA.factionData, armyList, {
+            forceEntry: battleSize ? battleSize.entry : null,
+            detachment: getActiveDetachment(),
+        });
+
+        validationResultsContainer.innerHTML = '';
+        if (armyList.length === 0) {
+            return violations;
+        }
+        if (violations.length === 0) {
+            validationResultsContainer.innerHTML = '<p class="text-green-400 text-sm">No rule violations found.</p>';
+            return violations;
+        }
+        renderMessageList(validationResultsContainer, violations);
+        return violations;
+    }
+    
+    // --- Army Breakdown ---
+
+    /**
+     * Builds the HTML of a points breakdown table (by role or by unit type).
+     * @param {string} title The table's title.
+     * @param {object[]} groups The `{ name, points, units, share }` rows.
+     * @returns {string} The HTML.
+     */
+    function renderBreakdownTable(title, groups) {
+        return `
+            <div>
+                <h4 class="font-bold text-yellow-500 mb-1">${title}</h4>
+                <table class="w-full text-sm">
+                    <tbody>
+                        ${groups.map(group => `
+                            <tr class="border-b border-gray-600">
+                                <td class="py-1 pr-2 capitalize">${escapeHtml(group.name.toLowerCase())}</td>
+                                <td class="py-1 px-2 text-right text-gray-400">${group.units} unit${group.units === 1 ? '' : 's'}</td>
+                                <td class="py-1 px-2 text-right">${group.points} pts</td>
+                                <td class="py-1 pl-2 w-1/3">
+                                    <div class="flex items-center gap-2">
+                                        <div class="flex-1 h-2 bg-gray-800 rounded-full"><div class="h-2 bg-yellow-500 rounded-full" style="width: ${Math.round(group.share * 100)}%"></div></div>
+                                        <span class="w-10 text-right text-gray-400">${Math.round(group.share * 100)}%</span>
+                                    </div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the breakdown of the active army, and refreshes the rosters
+     * offered for comparison. Nothing is worked out while the panel is closed.
+     */
+    function renderArmyAnalytics() {
+        if (!armyAnalyticsPanel.open) {
+            return;
+        }
+        const options = rosterStore.rosters
+            .map(roster => `<option value="${roster.id}">${escapeHtml(roster.name)} (${escapeHtml(roster.factionName || 'No faction')})</option>`)
+            .join('');
+        [compareRosterASelect, compareRosterBSelect].forEach((select, index) => {
+            const value = select.value;
+            select.innerHTML = options;
+            const fallback = index === 0 ? getActiveRoster() : rosterStore.rosters.find(roster => roster.id !== compareRosterASelect.value);
+            select.value = rosterStore.rosters.some(roster => roster.id === value) ? value : (fallback || getActiveRoster()).id;
+        });
+
+        const factionData = CACHED_DATA.factionData;
+        if (armyList.length === 0) {
+            armyAnalyticsElement.innerHTML = '<p class="text-gray-400 text-sm">Add units to your army to see its breakdown.</p>';
+            return;
+        }
+        if (!factionData || factionData.fileName !== getActiveRoster().factionFile) {
+            armyAnalyticsElement.innerHTML = '<p class="text-gray-400 text-sm">The breakdown appears once the army\'s faction has loaded.</p>';
+            return;
+        }
+        const { totals, roles, unitTypes } = getArmyAnalytics(factionData, armyList, getArmyConfiguration());
+        const stat = (label, value) => `
+            <div class="bg-gray-800 rounded-md p-2 text-center">
+                <p class="text-xl font-bold">${value}</p>
+                <p class="text-xs text-gray-400">${label}</p>
+            </div>
+        `;
+        armyAnalyticsElement.innerHTML = `
+            <div class="grid grid-cols-3 md:grid-cols-6 gap-2 mb-4">
+                ${stat('Units', totals.units)}
+                ${stat('Models', totals.models)}
+                ${stat('Wounds', totals.wounds)}
+                ${stat('Objective Control', totals.oc)}
+                ${stat('Characters', totals.characters)}
+                ${stat('Battleline', totals.battleline)}
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                ${renderBreakdownTable('Points by Role', roles)}
+                ${renderBreakdownTable('Points by Unit Type', unitTypes)}
+            </div>
+        `;
+    }
+
+    /**
+     * Works out the breakdown of a saved roster, loading its faction's
+     * catalogue if it isn't the one in use.
+     * @param {object} roster The roster.
+     * @returns {Promise<object|null>} Its analytics (see getArmyAnalytics), or
+     *     null if its faction can't be loaded.
+     */
+    async function getRosterAnalytics(roster) {
+        if (!roster.factionFile) {
+            return null;
+        }
+        const factionData = CACHED_DATA.factionData && CACHED_DATA.factionData.fileName === roster.factionFile
+            ? CACHED_DATA.factionData
+            : await loadFactionData(roster.factionFile, getCatalogueSource());
+        if (!factionData) {
+            return null;
+        }
+        const units = roster.id === getActiveRoster().id ? armyList : roster.units;
+        return getArmyAnalytics(factionData, units, getRosterConfiguration(factionData, roster, CACHED_DATA.battleSizes || []));
+    }
+
+    /**
+     * Shows the breakdowns of the two rosters picked for comparison side by
+     * side, with the difference between them.
+     * @returns {Promise<void>}
+     */
+    async function compareRosters() {
+        const rosters = [compareRosterASelect.value, compareRosterBSelect.value]
+            .map(id => rosterStore.rosters.find(roster => roster.id === id));
+        if (rosters.some(roster => !roster)) {
+            return;
+        }
+        rosterComparisonElement.innerHTML = '<p class="text-gray-400 text-sm">Comparing...</p>';
+        const [first, second] = await Promise.all(rosters.map(getRosterAnalytics));
+        if (!first || !second) {
+            const missing = rosters[first ? 1 : 0];
+            rosterComparisonElement.innerHTML = `<p class="text-red-400 text-sm">The catalogue of "${escapeHtml(missing.name)}" could not be loaded.</p>`;
+            return;
+        }
+
+        const groupRows = (label, key) => [...new Set([...first[key], ...second[key]].map(group => group.name))]
+            .map(name => {
+                const [a, b] = [first, second].map(analytics => analytics[key].find(group => group.name === name) || { points: 0, share: 0 });
+                return {
+                    label: `${label}: <span class="capitalize">${escapeHtml(name.toLowerCase())}</span>`,
+                    a: a.points,
+                    b: b.points,
+                    format: (points, share) => `${points} pts <span class="text-gray-400">(${Math.round(share * 100)}%)</span>`,
+                    shares: [a.share, b.share],
+                };
+            });
+        const rows = [
+            ['Points', 'points'],
+            ['Units', 'units'],
+            ['Models', 'models'],
+            ['Wounds', 'wounds'],
+            ['Objective Control', 'oc'],
+            ['Characters', 'characters'],
+            ['Battleline', 'battleline'],
+        ].map(([label, key]) => ({ label, a: first.totals[key], b: second.totals[key] }))
+            .concat(groupRows('Role', 'roles'), groupRows('Type', 'unitTypes'));
+
+        rosterComparisonElement.innerHTML = `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-400 border-b border-gray-600">
+                        <th class="py-1 pr-2"></th>
+                        <th class="py-1 px-2 text-right">${escapeHtml(rosters[0].name)}</th>
+                        <th class="py-1 px-2 text-right">${escapeHtml(rosters[1].name)}</th>
+                        <th class="py-1 pl-2 text-right">Difference</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => {
+                        const difference = row.b - row.a;
+                        return `
+                            <tr class="border-b border-gray-600">
+                                <td class="py-1 pr-2">${row.label}</td>
+                                <td class="py-1 px-2 text-right">${row.format ? row.format(row.a, row.shares[0]) : row.a}</td>
+                                <td class="py-1 px-2 text-right">${row.format ? row.format(row.b, row.shares[1]) : row.b}</td>
+                                <td class="py-1 pl-2 text-right ${difference === 0 ? 'text-gray-500' : difference > 0 ? 'text-green-400' : 'text-red-400'}">${difference > 0 ? '+' : ''}${difference}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // --- Print View ---
+    // Printing shows only #print-view (see the print rules in style.css): a
+    // summary of the roster followed, unless only the summary is wanted, by
+    // one datasheet per page for each unit.
+
+    /**
+     * Fills the print view with the active roster.
+     */
+    function renderPrintView() {
+        const roster = getActiveRoster();
+        const factionData = CACHED_DATA.factionData && CACHED_DATA.factionData.fileName === roster.factionFile
+            ? CACHED_DATA.factionData
+            : null;
+        const battleSize = getActiveBattleSize();
+        const detachment = getActiveDetachment();
+        const totalPoints = armyList.reduce((sum, unit) => sum + unit.points, 0);
+        const details = [
+            roster.factionName || 'No faction selected',
+            detachment ? detachment.name : roster.detachmentName,
+            battleSize ? battleSize.name : null,
+            `${totalPoints}${battleSize && battleSize.pointsLimit !== null ? ` / ${battleSize.pointsLimit}` : ''} pts`,
+        ].filter(Boolean);
+
+        const unitRows = armyList.map(unit => {
+            const bodyguard = unit.attachedTo ? armyList.find(other => other.uid === unit.attachedTo) : null;
+            const notes = [
+                unit.customName ? unit.name : '',
+                bodyguard ? `Leading ${getUnitDisplayName(bodyguard)}` : '',
+            ].filter(Boolean).join(' · ');
+            return `
+                <tr>
+                    <td>
+                        <strong>${escapeHtml(getUnitDisplayName(unit))}</strong>
+                        ${notes ? `<div class="print-note">${escapeHtml(notes)}</div>` : ''}
+                    </td>
+                    <td>${escapeHtml(describeUnitSelections(unit))}</td>
+                    <td class="print-points">${unit.points}</td>
+                </tr>
+            `;
+        }).join('');
+
+        let datasheetsHtml = '';
+        if (!printSummaryOnlyInput.checked && factionData) {
+            const context = buildRosterContext(factionData, armyList, getArmyConfiguration());
+            // Identical copies of a unit share one datasheet.
+            const printed = new Set();
+            datasheetsHtml = armyList.map((unit, index) => {
+                const record = findUnitRecord(factionData, unit.id);
+                const key = `${unit.id}|${JSON.stringify(unit.selections)}`;
+                if (!record || printed.has(key)) {
+                    return '';
+                }
+                printed.add(key);
+                const datasheet = buildDatasheet(factionData, record, context, context.unitSelections[index]);
+                return `
+                    <section class="print-datasheet">
+                        <h2>${escapeHtml(datasheet.name)} <span class="print-points">${unit.points} pts</span></h2>
+                        ${renderDatasheetHtml(datasheet)}
+                    </section>
+                `;
+            }).join('');
+        }
+
+        printViewElement.innerHTML = `
+            <section class="print-summary">
+                <h1>${escapeHtml(roster.name)}</h1>
+                <p>${escapeHtml(details.join(' · '))}</p>
+                <table class="print-table">
+                    <thead><tr><th>Unit</th><th>Options</th><th class="print-points">Pts</th></tr></thead>
+                    <tbody>${unitRows || '<tr><td colspan="3">No units.</td></tr>'}</tbody>
+                </table>
+            </section>
+            ${datasheetsHtml}
+        `;
+    }
+
+    // --- Crusade ---
+    // A Crusade force keeps its own Order of Battle: a Crusade card for each
+    // unit, built from the units of a roster, that records the unit's
+    // experience, honours and scars from battle to battle. The force also
+    // tracks its supply limit, Requisition points and a log of its battles.
+    // These functions only change the force objects; the tracker UI saves them.
+
+    /**
+     * Returns the rank a Crusade unit has reached.
+     * @param {object} card The Crusade card.
+     * @returns {object} The CRUSADE_RANKS record.
+     */
+    function getCrusadeRank(card) {
+        return [...CRUSADE_RANKS].reverse().find(rank => card.xp >= rank.minXp);
+    }
+
+    /**
+     * Returns the most XP a Crusade unit can have. Only Characters, and units
+     * given Legendary Veterans, can rank up past Battle-hardened.
+     * @param {object} card The Crusade card.
+     * @returns {number} The XP cap.
+     */
+    function getCrusadeXpCap(card) {
+        return card.isCharacter || card.isLegendaryVeteran ? Infinity : NON_CHARACTER_XP_CAP;
+    }
+
+    /**
+     * Adds (or with a negative amount, removes) experience points, keeping
+     * the total between 0 and the unit's cap.
+     * @param {object} card The Crusade card.
+     * @param {number} amount The XP to add.
+     */
+    function addCrusadeXp(card, amount) {
+        card.xp = Math.min(getCrusadeXpCap(card), Math.max(0, card.xp + amount));
+    }
+
+    /**
+     * Works out a Crusade unit's Crusade points: each battle honour is worth
+     * its points (usually 1, more for the better Crusade relics) and each
+     * battle scar costs 1.
+     * @param {object} card The Crusade card.
+     * @returns {number} The Crusade points.
+     */
+    function getCrusadePoints(card) {
+        const honourPoints = card.battleHonours.reduce((sum, honour) => sum + honour.crusadePoints, 0);
+        return honourPoints - card.battleScars.length;
+    }
+
+    /**
+     * Totals the points of the units on a force's Order of Battle.
+     * @param {object} force The Crusade force.
+     * @returns {number} The supply used.
+     */
+    function getSupplyUsed(force) {
+        return force.units.reduce((sum, card) => sum + card.points, 0);
+    }
+
+    /**
+     * Creates an empty Crusade force.
+     * @param {string} name The force's name.
+     * @param {string|null} factionName The faction the force is drawn from.
+     * @returns {object} The new force.
+     */
+    function createCrusadeForce(name, factionName) {
+        return {
+            id: createId(),
+            name,
+            factionName,
+            supplyLimit: DEFAULT_SUPPLY_LIMIT,
+            requisitionPoints: STARTING_REQUISITION_POINTS,
+            units: [],
+            battles: [],
+            requisitions: [],
+            notes: '',
+            updatedAt: Date.now(),
+        };
+    }
+
+    /**
+     * Creates a Crusade card for a unit of a roster.
+     * @param {object} unit The army list unit.
+     * @param {boolean} isCharacter Whether the unit is a Character.
+     * @returns {object} The new card.
+     */
+    function createCrusadeCard(unit, isCharacter) {
+        return {
+            id: createId(),
+            sourceUid: unit.uid,
+            datasheetId: unit.id,
+            datasheetName: unit.name,
+            name: unit.customName || unit.name,
+            points: unit.points,
+            isCharacter,
+            isLegendaryVeteran: false,
+            xp: 0,
+            battlesPlayed: 0,
+            battlesSurvived: 0,
+            unitsDestroyed: 0,
+            battleHonours: [],
+            battleScars: [],
+        };
+    }
+
+    /**
+     * Adds the units of a roster to a force's Order of Battle. Units that
+     * are already on it are skipped.
+     * @param {object} force The Crusade force.
+     * @param {object} roster The roster.
+     * @param {object|null} factionData The roster's faction data, if it is
+     *     loaded, used to tell which units are Characters.
+     * @returns {number} The number of units added.
+     */
+    function addRosterToOrderOfBattle(force, roster, factionData) {
+        const added = roster.units.filter(unit => !force.units.some(card => card.sourceUid === unit.uid));
+        added.forEach(unit => {
+            const record = factionData && findUnitRecord(factionData, unit.id);
+            const isCharacter = Boolean(record) && getUnitRole(factionData, record) === 'CHARACTERS';
+            force.units.push(createCrusadeCard(unit, isCharacter));
+        });
+        if (!force.factionName) {
+            force.factionName = roster.factionName;
+        }
+        return added.length;
+    }
+
+    /**
+     * Spends Requisition points and applies the requisition's effect where
+     * the app tracks it (the supply limit and Legendary Veterans).
+     * @param {object} force The Crusade force.
+     * @param {object} request `{ requisitionId, cost, cardId, note }`; `cardId`
+     *     is the unit the requisition is used on, if any.
+     * @returns {string|null} Why the requisition can't be spent, or null if it was.
+     */
+    function spendRequisition(force, request) {
+        const requisition = CRUSADE_REQUISITIONS.find(candidate => candidate.id === request.requisitionId);
+        const card = force.units.find(candidate => candidate.id === request.cardId);
+        if (!requisition) {
+            return 'Choose a requisition.';
+        }
+        if (!(request.cost >= 0)) {
+            return 'The cost must be 0 or more.';
+        }
+        if (request.cost > force.requisitionPoints) {
+            return `${requisition.name} costs ${request.cost} RP, but the force only has ${force.requisitionPoints} RP.`;
+        }
+        if (requisition.needsUnit && !card) {
+            return `Choose the unit to use ${requisition.name} on.`;
+        }
+        if (requisition.id === 'legendary-veterans' && card.isCharacter) {
+            return 'Legendary Veterans can only be used on a unit that is not a Character.';
+        }
+
+        force.requisitionPoints -= request.cost;
+        if (requisition.id === 'increase-supply-limit') {
+            force.supplyLimit += SUPPLY_LIMIT_INCREASE;
+        } else if (requisition.id === 'legendary-veterans') {
+            card.isLegendaryVeteran = true;
+        }
+        force.requisitions.push({
+            id: createId(),
+            requisitionId: requisition.id,
+            name: requisition.name,
+            cost: request.cost,
+            cardId: card ? card.id : null,
+            note: request.note || '',
+            date: new Date().toISOString().slice(0, 10),
+        });
+        return null;
+    }
+
+    /**
+     * Logs a battle and awards its experience: every unit that took part
+     * gains 1 XP, the unit Marked for Greatness a further 3, and the force
+     * gains 1 Requisition point (up to the maximum).
+     * @param {object} force The Crusade force.
+     * @param {object} battle `{ date, opponent, mission, result, participantIds,
+     *     destroyedIds, markedForGreatnessId, notes }`; `result` is a key of
+     *     BATTLE_RESULTS, and `destroyedIds` the participants that were destroyed.
+     */
+    function recordCrusadeBattle(force, battle) {
+        force.units.forEach(card => {
+            if (!battle.participantIds.includes(card.id)) {
+                return;
+            }
+            card.battlesPlayed += 1;
+            if (!battle.destroyedIds.includes(card.id)) {
+                card.battlesSurvived += 1;
+            }
+            addCrusadeXp(card, card.id === battle.markedForGreatnessId ? 1 + MARKED_FOR_GREATNESS_XP : 1);
+        });
+        force.requisitionPoints = Math.min(MAX_REQUISITION_POINTS, force.requisitionPoints + 1);
+        force.battles.push({ id: createId(), ...battle });
+    }
+
+    // --- Crusade Tracker ---
+
+    /**
+     * Loads the saved Crusade forces. A tracker saved by an older version of
+     * the app (one global set of XP, Requisition points and honours) becomes
+     * the first force.
+     */
+    function loadCrusadeForces() {
+        const storedForces = localStorage.getItem(CRUSADE_STORAGE_KEY);
+        if (storedForces) {
+            try {
+                const stored = JSON.parse(storedForces);
+                if (stored.version === CRUSADE_STORE_VERSION) {
+                    crusadeStore = stored;
+                } else {
+                    console.error('Saved Crusade forces use an unsupported storage version; they will not be changed.');
+                    isCrusadeStoreReadOnly = true;
+                }
+            } catch (e) {
+                console.error("Could not parse Crusade forces from localStorage.", e);
+            }
+        } else {
+            const legacyData = localStorage.getItem(LEGACY_CRUSADE_STORAGE_KEY);
+            if (legacyData) {
+                try {
+                    const crusadeData = JSON.parse(legacyData);
+                    const force = createCrusadeForce('My Crusade', null);
+                    force.requisitionPoints = parseInt(crusadeData.rp, 10) || 0;
+                    force.notes = [
+                        crusadeData.xp ? `XP: ${crusadeData.xp}` : '',
+                        crusadeData.battleHonors || '',
+                    ].filter(Boolean).join('\n');
+                    crusadeStore.forces.push(force);
+                    crusadeStore.activeForceId = force.id;
+                    saveCrusadeForces();
+                } catch (e) {
+                    console.error("Could not parse Crusade Tracker data from localStorage.", e);
+                }
+            }
+        }
+        if (!getActiveCrusadeForce() && crusadeStore.forces.length > 0) {
+            crusadeStore.activeForceId = crusadeStore.forces[0].id;
+        }
+    }
+
+    /**
+     * Saves all Crusade forces to localStorage.
+     */
+    function saveCrusadeForces() {
+        if (isCrusadeStoreReadOnly) {
+            return;
+        }
+        const force = getActiveCrusadeForce();
+        if (force) {
+            force.updatedAt = Date.now();
+        }
+        localStorage.setItem(CRUSADE_STORAGE_KEY, JSON.stringify(crusadeStore));
+    }
+
+    /**
+     * Returns the Crusade force being tracked.
+     * @returns {object|undefined} The active force.
+     */
+    function getActiveCrusadeForce() {
+        return crusadeStore.forces.find(force => force.id === crusadeStore.activeForceId);
+    }
+
+    /**
+     * Shows a short-lived message under the Crusade Tracker.
+     * @param {string} message The message.
+     * @param {boolean} [isError] Whether it reports a problem.
+     */
+    function showCrusadeStatus(message, isError = false) {
+        crusadeStatusElement.textContent = message;
+        crusadeStatusElement.classList.toggle('text-red-400', isError);
+        crusadeStatusElement.classList.toggle('text-green-400', !isError);
+        setTimeout(() => {
+            if (crusadeStatusElement.textContent === message) {
+                crusadeStatusElement.textContent = '';
+            }
+        }, 3000);
+    }
+
+    /**
+     * Saves the Crusade forces and redraws the tracker after a change.
+     */
+    function commitCrusadeChange() {
+        saveCrusadeForces();
+        renderCrusadeTracker();
+    }
+
+    /**
+     * Builds the HTML of one Crusade card on the Order of Battle.
+     * @param {object} card The Crusade card.
+     * @returns {string} The HTML.
+     */
+    function renderCrusadeCard(card) {
+        const rank = getCrusadeRank(card);
+        const cap = getCrusadeXpCap(card);
+        const nextRank = CRUSADE_RANKS.find(candidate => candidate.minXp > card.xp && candidate.minXp <= cap);
+        const renderEntries = (entries, kind) => entries.map(entry => `
+            <li class="flex items-center justify-between gap-2">
+                <span><span class="text-gray-400">${escapeHtml(entry.type)}:</span> ${escapeHtml(entry.name)}${kind === 'honour' && entry.crusadePoints !== 1 ? ` (+${entry.crusadePoints} CP)` : ''}</span>
+                <button class="remove-crusade-entry-btn text-xs text-red-400 hover:text-red-300" data-kind="${kind}" data-entry-id="${entry.id}">Remove</button>
+            </li>
+        `).join('');
+        return `
+            <div class="crusade-card bg-gray-900 rounded-lg p-3 my-2" data-card-id="${card.id}">
+                <div class="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                        <input type="text" class="crusade-card-name bg-transparent font-semibold focus:outline-none focus:ring focus:ring-yellow-500 rounded-md" value="${escapeHtml(card.name)}">
+                        <p class="text-xs text-gray-500">${escapeHtml(card.datasheetName)} · ${card.points} pts</p>
+                    </div>
+                    <div class="text-right">
+                        <span class="font-bold text-yellow-500">${rank.name}</span>
+                        <p class="text-xs text-gray-400">${card.xp} XP${nextRank ? ` · ${nextRank.minXp - card.xp} to ${nextRank.name}` : ''} · ${getCrusadePoints(card)} Crusade points</p>
+                    </div>
+                </div>
+                <div class="mt-2 flex flex-wrap items-center gap-3 text-sm">
+                    <label class="flex items-center gap-1">XP <input type="number" min="0" class="crusade-card-field w-16 bg-gray-700 rounded-md p-1 text-gray-200" data-field="xp" value="${card.xp}"></label>
+                    <label class="flex items-center gap-1">Battles <input type="number" min="0" class="crusade-card-field w-14 bg-gray-700 rounded-md p-1 text-gray-200" data-field="battlesPlayed" value="${card.battlesPlayed}"></label>
+                    <label class="flex items-center gap-1">Survived <input type="number" min="0" class="crusade-card-field w-14 bg-gray-700 rounded-md p-1 text-gray-200" data-field="battlesSurvived" value="${card.battlesSurvived}"></label>
+                    <label class="flex items-center gap-1">Units destroyed <input type="number" min="0" class="crusade-card-field w-14 bg-gray-700 rounded-md p-1 text-gray-200" data-field="unitsDestroyed" value="${card.unitsDestroyed}"></label>
+                    <label class="flex items-center gap-1"><input type="checkbox" class="crusade-card-flag" data-field="isCharacter" ${card.isCharacter ? 'checked' : ''}> Character</label>
+                    ${card.isLegendaryVeteran ? '<span class="text-xs text-yellow-500">Legendary Veterans</span>' : ''}
+                    <button class="remove-crusade-card-btn ml-auto text-xs text-red-400 hover:text-red-300">Remove from Order of Battle</button>
+                </div>
+                <div class="mt-2 grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                    <div>
+                        <h4 class="font-semibold text-gray-300">Battle Honours</h4>
+                        <ul class="space-y-1">${renderEntries(card.battleHonours, 'honour') || '<li class="text-gray-500">None yet.</li>'}</ul>
+                        <div class="mt-1 flex gap-1">
+                            <select class="crusade-honour-type bg-gray-700 rounded-md p-1 text-xs text-gray-200">
+                                ${BATTLE_HONOUR_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+                            </select>
+                            <input type="text" class="crusade-honour-name flex-1 bg-gray-700 rounded-md p-1 text-xs text-gray-200" placeholder="Name">
+                            <input type="number" min="1" value="1" class="crusade-honour-points w-12 bg-gray-700 rounded-md p-1 text-xs text-gray-200" title="Crusade points">
+                            <button class="add-crusade-honour-btn px-2 text-xs bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors">Add</button>
+                        </div>
+                    </div>
+                    <div>
+                        <h4 class="font-semibold text-gray-300">Battle Scars</h4>
+                        <ul class="space-y-1">${renderEntries(card.battleScars, 'scar') || '<li class="text-gray-500">None.</li>'}</ul>
+                        <div class="mt-1 flex gap-1">
+                            <input type="text" class="crusade-scar-name flex-1 bg-gray-700 rounded-md p-1 text-xs text-gray-200" placeholder="Name">
+                            <button class="add-crusade-scar-btn px-2 text-xs bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors">Add</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the force picker and the active force's Order of Battle,
+     * requisitions and battle log.
+     */
+    function renderCrusadeTracker() {
+        const force = getActiveCrusadeForce();
+        crusadeForceSelect.innerHTML = crusadeStore.forces
+            .map(candidate => `<option value="${candidate.id}">${escapeHtml(candidate.name)}</option>`)
+            .join('');
+        crusadeForceNameInput.disabled = !force;
+        deleteCrusadeForceBtn.disabled = !force;
+        if (!force) {
+            crusadeForceNameInput.value = '';
+            crusadeForceDetailsElement.textContent = '';
+            crusadeForceContent.innerHTML = '<p class="text-gray-400 text-sm">Start a Crusade force to build its Order of Battle.</p>';
+            return;
+        }
+        crusadeForceSelect.value = force.id;
+        crusadeForceNameInput.value = force.name;
+        const supplyUsed = getSupplyUsed(force);
+        crusadeForceDetailsElement.textContent = [
+            force.factionName || 'No faction yet',
+            `${force.units.length} unit${force.units.length === 1 ? '' : 's'}`,
+            `${force.battles.length} battle${force.battles.length === 1 ? '' : 's'}`,
+        ].join(' · ');
+
+        const unitOptions = force.units.map(card => `<option value="${card.id}">${escapeHtml(card.name)}</option>`).join('');
+        const unitName = cardId => {
+            const card = force.units.find(candidate => candidate.id === cardId);
+            return card ? card.name : 'a removed unit';
+        };
+        const battleRows = [...force.battles].reverse().map(battle => `
+            <li class="bg-gray-900 rounded-lg p-2">
+                <div class="flex justify-between">
+                    <span><span class="font-semibold">${BATTLE_RESULTS[battle.result]}</span> vs ${escapeHtml(battle.opponent || 'unknown opponent')}${battle.mission ? ` · ${escapeHtml(battle.mission)}` : ''}</span>
+                    <span class="text-gray-400">${escapeHtml(battle.date)}</span>
+                </div>
+                <p class="text-xs text-gray-400">${battle.participantIds.length} units took part${battle.markedForGreatnessId ? ` · ${escapeHtml(unitName(battle.markedForGreatnessId))} Marked for Greatness` : ''}${battle.destroyedIds.length ? ` · ${battle.destroyedIds.map(id => escapeHtml(unitName(id))).join(', ')} destroyed` : ''}</p>
+                ${battle.notes ? `<p class="text-xs text-gray-300">${escapeHtml(battle.notes)}</p>` : ''}
+            </li>
+        `).join('');
+        const requisitionRows = [...force.requisitions].reverse().map(entry => `
+            <li class="flex justify-between">
+                <span>${escapeHtml(entry.name)}${entry.cardId ? ` on ${escapeHtml(unitName(entry.cardId))}` : ''}${entry.note ? ` – ${escapeHtml(entry.note)}` : ''}</span>
+                <span class="text-gray-400">${entry.cost} RP · ${escapeHtml(entry.date)}</span>
+            </li>
+        `).join('');
+        const participantRows = force.units.map(card => `
+            <tr data-card-id="${card.id}">
+                <td class="pr-2">${escapeHtml(card.name)}</td>
+                <td class="text-center"><input type="checkbox" class="battle-participant" checked></td>
+                <td class="text-center"><input type="checkbox" class="battle-destroyed"></td>
+            </tr>
+        `).join('');
+
+        crusadeForceContent.innerHTML = `
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 bg-gray-700 p-4 rounded-lg">
+                <label class="block">
+                    <span class="block text-gray-300 font-semibold mb-2">Supply Limit</span>
+                    <input type="number" min="0" step="50" id="crusade-supply-limit" class="w-full bg-gray-800 rounded-md p-2 text-gray-200" value="${force.supplyLimit}">
+                </label>
+                <div>
+                    <span class="block text-gray-300 font-semibold mb-2">Supply Used</span>
+                    <p class="p-2 font-bold ${supplyUsed > force.supplyLimit ? 'text-red-500' : 'text-yellow-500'}">${supplyUsed} / ${force.supplyLimit} pts</p>
+                </div>
+                <label class="block">
+                    <span class="block text-gray-300 font-semibold mb-2">Requisition Points</span>
+                    <input type="number" min="0" max="${MAX_REQUISITION_POINTS}" id="crusade-requisition-points" class="w-full bg-gray-800 rounded-md p-2 text-gray-200" value="${force.requisitionPoints}">
+                </label>
+            </div>
+
+            <h3 class="text-xl font-bold mb-2">Order of Battle</h3>
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <select id="crusade-roster-select" class="bg-gray-700 rounded-md p-2 text-sm text-gray-200">
+                    ${rosterStore.rosters.map(roster => `<option value="${roster.id}" ${roster.id === rosterStore.activeRosterId ? 'selected' : ''}>${escapeHtml(roster.name)} (${roster.units.length} units)</option>`).join('')}
+                </select>
+                <button id="add-roster-to-crusade" class="px-3 py-2 text-sm bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors">Add Roster Units</button>
+            </div>
+            <div id="crusade-order-of-battle">
+                ${force.units.map(renderCrusadeCard).join('') || '<p class="text-gray-400 text-sm">Add the units of a roster to start the Order of Battle.</p>'}
+            </div>
+
+            <h3 class="text-xl font-bold mt-6 mb-2">Requisitions</h3>
+            <div class="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                <select id="crusade-requisition" class="bg-gray-700 rounded-md p-2 text-gray-200">
+                    ${CRUSADE_REQUISITIONS.map(requisition => `<option value="${requisition.id}" data-cost="${requisition.cost}" title="${escapeHtml(requisition.description)}">${requisition.name} (${requisition.cost}${requisition.maxCost ? `–${requisition.maxCost}` : ''} RP)</option>`).join('')}
+                </select>
+                <input type="number" min="0" id="crusade-requisition-cost" class="w-16 bg-gray-700 rounded-md p-2 text-gray-200" value="${CRUSADE_REQUISITIONS[0].cost}" title="Cost in RP">
+                <select id="crusade-requisition-unit" class="bg-gray-700 rounded-md p-2 text-gray-200">
+                    <option value="">No unit</option>
+                    ${unitOptions}
+                </select>
+                <input type="text" id="crusade-requisition-note" class="flex-1 bg-gray-700 rounded-md p-2 text-gray-200" placeholder="Note">
+                <button id="spend-requisition" class="px-3 py-2 bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors">Spend</button>
+            </div>
+            <ul class="space-y-1 text-sm">${requisitionRows || '<li class="text-gray-500">No requisitions spent.</li>'}</ul>
+
+            <h3 class="text-xl font-bold mt-6 mb-2">Battle Log</h3>
+            <div class="bg-gray-700 p-4 rounded-lg text-sm">
+                <div class="grid grid-cols-1 md:grid-cols-4 gap-2">
+                    <input type="date" id="battle-date" class="bg-gray-800 rounded-md p-2 text-gray-200" value="${new Date().toISOString().slice(0, 10)}">
+                    <input type="text" id="battle-opponent" class="bg-gray-800 rounded-md p-2 text-gray-200" placeholder="Opponent">
+                    <input type="text" id="battle-mission" class="bg-gray-800 rounded-md p-2 text-gray-200" placeholder="Mission">
+                    <select id="battle-result" class="bg-gray-800 rounded-md p-2 text-gray-200">
+                        ${Object.entries(BATTLE_RESULTS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                ${force.units.length > 0 ? `
+                    <table class="mt-2">
+                        <thead><tr class="text-gray-400"><th class="text-left pr-2">Unit</th><th class="px-2">Took part</th><th class="px-2">Destroyed</th></tr></thead>
+                        <tbody id="battle-participants">${participantRows}</tbody>
+                    </table>
+                    <label class="block mt-2">Marked for Greatness
+                        <select id="battle-marked" class="ml-2 bg-gray-800 rounded-md p-1 text-gray-200"><option value="">None</option>${unitOptions}</select>
+                    </label>
+                ` : ''}
+                <textarea id="battle-notes" rows="2" class="mt-2 w-full bg-gray-800 rounded-md p-2 text-gray-200" placeholder="Notes"></textarea>
+                <button id="record-battle" class="mt-2 px-4 py-2 bg-yellow-600 hover:bg-yellow-500 rounded-md font-bold text-gray-900 transition-colors">Record Battle</button>
+            </div>
+            <ul class="mt-2 space-y-2 text-sm">${battleRows}</ul>
+
+            <label for="crusade-notes" class="block text-gray-300 font-semibold mt-6 mb-2">Notes</label>
+            <textarea id="crusade-notes" rows="3" class="w-full bg-gray-700 rounded-md p-2 text-gray-200">${escapeHtml(force.notes)}</textarea>
+        `;
+    }
+
+    /**
+     * Reads the battle log form and records the battle.
+     * @param {object} force The Crusade force.
+     */
+    function recordBattleFromForm(force) {
+        const rows = [...crusadeForceContent.querySelectorAll('#battle-participants tr')];
+        const idsWhere = selector => rows.filter(row => row.querySelector(selector).checked).map(row => row.dataset.cardId);
+        const participantIds = idsWhere('.battle-participant');
+        const markedSelect = document.getElementById('battle-marked');
+        const markedForGreatnessId = markedSelect && participantIds.includes(markedSelect.value) ? markedSelect.value : null;
+        recordCrusadeBattle(force, {
+            date: document.getElementById('battle-date').value,
+            opponent: document.getElementById('battle-opponent').value.trim(),
+            mission: document.getElementById('battle-mission').value.trim(),
+            result: document.getElementById('battle-result').value,
+            participantIds,
+            destroyedIds: idsWhere('.battle-destroyed').filter(id => participantIds.includes(id)),
+            markedForGreatnessId,
+            notes: document.getElementById('battle-notes').value.trim(),
+        });
+        commitCrusadeChange();
+        showCrusadeStatus('Battle recorded.');
+    }
+
+    /**
+     * Handles clicks inside the active force's part of the tracker.
+     * @param {MouseEvent} event The click.
+     */
+    function handleCrusadeClick(event) {
+        const force = getActiveCrusadeForce();
+        const target = event.target;
+        if (!force) {
+            return;
+        }
+        if (target.closest('#add-roster-to-crusade')) {
+            const roster = rosterStore.rosters.find(candidate => candidate.id === document.getElementById('crusade-roster-select').value);
+            if (!roster) {
+                return;
+            }
+            const factionData = CACHED_DATA.factionData && CACHED_DATA.factionData.fileName === roster.factionFile ? CACHED_DATA.factionData : null;
+            const count = addRosterToOrderOfBattle(force, roster, factionData);
+            commitCrusadeChange();
+            showCrusadeStatus(count > 0 ? `Added ${count} units to the Order of Battle.` : 'Every unit of that roster is already on the Order of Battle.');
+            return;
+        }
+        if (target.closest('#spend-requisition')) {
+            const problem = spendRequisition(force, {
+                requisitionId: document.getElementById('crusade-requisition').value,
+                cost: parseInt(document.getElementById('crusade-requisition-cost').value, 10),
+                cardId: document.getElementById('crusade-requisition-unit').value,
+                note: document.getElementById('crusade-requisition-note').value.trim(),
+            });
+            if (problem) {
+                showCrusadeStatus(problem, true);
+                return;
+            }
+            commitCrusadeChange();
+            showCrusadeStatus('Requisition spent.');
+            return;
+        }
+        if (target.closest('#record-battle')) {
+            recordBattleFromForm(force);
+            return;
+        }
+
+        const cardElement = target.closest('.crusade-card');
+        const card = cardElement && force.units.find(candidate => candidate.id === cardElement.dataset.cardId);
+        if (!card) {
+            return;
+        }
+        if (target.closest('.remove-crusade-card-btn')) {
+            if (confirm(`Remove ${card.name} from the Order of Battle?`)) {
+                force.units = force.units.filter(candidate => candidate !== card);
+                commitCrusadeChange();
+            }
+        } else if (target.closest('.add-crusade-honour-btn')) {
+            const name = cardElement.querySelector('.crusade-honour-name').value.trim();
+            if (name) {
+                card.battleHonours.push({
+                    id: createId(),
+                    type: cardElement.querySelector('.crusade-honour-type').value,
+                    name,
+                    crusadePoints: Math.max(1, parseInt(cardElement.querySelector('.crusade-honour-points').value, 10) || 1),
+                });
+                commitCrusadeChange();
+            }
+        } else if (target.closest('.add-crusade-scar-btn')) {
+            const name = cardElement.querySelector('.crusade-scar-name').value.trim();
+            if (name) {
+                card.battleScars.push({ id: createId(), type: 'Battle Scar', name });
+                commitCrusadeChange();
+            }
+        } else if (target.closest('.remove-crusade-entry-btn')) {
+            const { kind, entryId } = target.closest('.remove-crusade-entry-btn').dataset;
+            const key = kind === 'honour' ? 'battleHonours' : 'battleScars';
+            card[key] = card[key].filter(entry => entry.id !== entryId);
+            commitCrusadeChange();
+        }
+    }
+
+    /**
+     * Handles edits to the fields of the active force and its Crusade cards.
+     * @param {Event} event The change event.
+     */
+    function handleCrusadeChange(event) {
+        const force = getActiveCrusadeForce();
+        const target = event.target;
+        if (!force) {
+            return;
+        }
+        if (target.id === 'crusade-supply-limit') {
+            force.supplyLimit = Math.max(0, parseInt(target.value, 10) || 0);
+        } else if (target.id === 'crusade-requisition-points') {
+            force.requisitionPoints = Math.min(MAX_REQUISITION_POINTS, Math.max(0, parseInt(target.value, 10) || 0));
+        } else if (target.id === 'crusade-notes') {
+            force.notes = target.value;
+        } else if (target.id === 'crusade-requisition') {
+            // Suggest the requisition's base cost.
+            document.getElementById('crusade-requisition-cost').value = target.selectedOptions[0].dataset.cost;
+            return;
+        } else {
+            const cardElement = target.closest('.crusade-card');
+            const card = cardElement && force.units.find(candidate => candidate.id === cardElement.dataset.cardId);
+            if (!card) {
+                return;
+            }
+            if (target.classList.contains('crusade-card-name')) {
+                card.name = target.value.trim() || card.datasheetName;
+            } else if (target.classList.contains('crusade-card-field')) {
+                const value = Math.max(0, parseInt(target.value, 10) || 0);
+                if (target.dataset.field === 'xp') {
+                    addCrusadeXp(card, value - card.xp);
+                } else {
+                    card[target.dataset.field] = value;
+                }
+            } else if (target.classList.contains('crusade-card-flag')) {
+                card[target.dataset.field] = target.checked;
+                addCrusadeXp(card, 0);
+            } else {
+                return;
+            }
+        }
+        commitCrusadeChange();
+    }
+
+    // --- Play Mode ---
+
+    /**
+     * Builds the game-day record of an army list unit: its models with their
+     * wounds, and its once-per-battle abilities.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} context The evaluation context of the army.
+     * @param {object} selection The unit's selection in that army.
+     * @returns {object} `{ uid, name, models, abilities }`, where `models` holds
+     *     `{ name, wounds, woundsLeft }` records and `abilities` holds
+     *     `{ name, description, isUsed }` records.
+     */
+    function createPlayUnit(factionData, context, selection) {
+        const unit = selection.armyUnit;
+        const playUnit = { uid: unit.uid, name: getUnitDisplayName(unit), models: [], abilities: [] };
+        const record = findUnitRecord(factionData, unit.id);
+        if (!record) {
+            playUnit.models.push({ name: unit.name, wounds: 1, woundsLeft: 1 });
+            return playUnit;
+        }
+
+        const datasheet = buildDatasheet(factionData, record, context, selection);
+        playUnit.models = getUnitModels(datasheet, selection)
+            .map(model => ({ name: model.name, wounds: model.wounds, woundsLeft: model.wounds }));
+        playUnit.abilities = [...datasheet.abilities, ...datasheet.rules]
+            .filter(ability => ONCE_PER_BATTLE_PATTERN.test(ability.description))
+            .map(ability => ({ name: ability.name, description: ability.description, isUsed: false }));
+        return playUnit;
+    }
+
+    /**
+     * Starts a game with an army. The first player's first Command phase has
+     * begun, so both players have gained its Command points.
+     * @param {object} roster The roster being played.
+     * @param {object[]} playUnits The army's units (see createPlayUnit).
+     * @param {string} firstPlayer 'player' or 'opponent'.
+     * @returns {object} The game: `{ rosterId, rosterName, round, phaseIndex,
+     *     activePlayer, firstPlayer, players, units, startedAt }`, where `players`
+     *     holds the `{ cp, primaryVp, secondaryVp }` of 'player' and 'opponent'.
+     */
+    function createPlayGame(roster, playUnits, firstPlayer) {
+        const createPlayer = () => ({ cp: COMMAND_PHASE_CP, primaryVp: 0, secondaryVp: 0 });
+        return {
+            rosterId: roster.id,
+            rosterName: roster.name,
+            round: 1,
+            phaseIndex: 0,
+            activePlayer: firstPlayer,
+            firstPlayer,
+            players: { player: createPlayer(), opponent: createPlayer() },
+            units: playUnits,
+            startedAt: Date.now(),
+        };
+    }
+
+    /**
+     * Moves a game to the next or previous phase, passing the turn to the
+     * other player after the Fight phase and starting a new battle round when
+     * both have had their turn. Both players gain Command points when a
+     * Command phase begins, and lose them again if it is stepped back out of.
+     * @param {object} game The game.
+     * @param {number} step 1 to move forward, -1 to move back.
+     * @returns {boolean} Whether the game moved; it can't move before the
+     *     first phase or past the last battle round.
+     */
+    function movePlayPhase(game, step) {
+        const phaseCount = GAME_PHASES.length;
+        const turn = (game.round - 1) * 2 + (game.activePlayer === game.firstPlayer ? 0 : 1);
+        const position = turn * phaseCount + game.phaseIndex + step;
+        if (position < 0 || position >= BATTLE_ROUNDS * 2 * phaseCount) {
+            return false;
+        }
+        const commandPoints = step > 0 && position % phaseCount === 0 ? COMMAND_PHASE_CP
+            : step < 0 && game.phaseIndex === 0 ? -COMMAND_PHASE_CP
+                : 0;
+        Object.values(game.players).forEach(player => {
+            player.cp = Math.max(0, player.cp + commandPoints);
+        });
+        const nextTurn = Math.floor(position / phaseCount);
+        const secondPlayer = game.firstPlayer === 'player' ? 'opponent' : 'player';
+        game.round = Math.floor(nextTurn / 2) + 1;
+        game.activePlayer = nextTurn % 2 === 0 ? game.firstPlayer : secondPlayer;
+        game.phaseIndex = position % phaseCount;
+        return true;
+    }
+
+    /**
+     * Tells whether every model of a unit has been destroyed.
+     * @param {object} playUnit The unit (see createPlayUnit).
+     * @returns {boolean} Whether it has.
+     */
+    function isPlayUnitDestroyed(playUnit) {
+        return playUnit.models.every(model => model.woundsLeft === 0);
+    }
+
+    /**
+     * Allocates wounds to a unit, or heals them. Each wound goes to a model
+     * that has already lost wounds if there is one, as the rules require, and
+     * healing finishes that model before bringing back a destroyed one.
+     * @param {object} playUnit The unit (see createPlayUnit).
+     * @param {number} amount The wounds to allocate; negative to heal.
+     */
+    function applyPlayWounds(playUnit, amount) {
+        const findWounded = () => playUnit.models.find(model => model.woundsLeft > 0 && model.woundsLeft < model.wounds);
+        for (let i = 0; i < Math.abs(amount); i++) {
+            if (amount > 0) {
+                const model = findWounded() || playUnit.models.find(candidate => candidate.woundsLeft > 0);
+                if (!model) {
+                    return;
+                }
+                model.woundsLeft--;
+            } else {
+                const model = findWounded() || [...playUnit.models].reverse().find(candidate => candidate.woundsLeft === 0);
+                if (!model) {
+                    return;
+                }
+                model.woundsLeft++;
+            }
+        }
+    }
+
+    /**
+     * Destroys one model of a unit (the wounded one, if any), or brings the
+     * last destroyed model back with all its wounds.
+     * @param {object} playUnit The unit (see createPlayUnit).
+     * @param {boolean} isDestroyed True to destroy a model, false to restore one.
+     */
+    function setPlayModelDestroyed(playUnit, isDestroyed) {
+        const model = isDestroyed
+            ? playUnit.models.find(candidate => candidate.woundsLeft > 0 && candidate.woundsLeft < candidate.wounds)
+                || playUnit.models.find(candidate => candidate.woundsLeft > 0)
+            : [...playUnit.models].reverse().find(candidate => candidate.woundsLeft === 0);
+        if (model) {
+            model.woundsLeft = isDestroyed ? 0 : model.wounds;
+        }
+    }
+
+    // --- Play Tracker ---
+
+    /**
+     * Loads the games in progress from localStorage.
+     */
+    function loadPlayGames() {
+        const storedGames = localStorage.getItem(PLAY_STORAGE_KEY);
+        if (!storedGames) {
+            return;
+        }
+        try {
+            const stored = JSON.parse(storedGames);
+            if (stored.version === PLAY_STORE_VERSION) {
+                playStore = stored;
+            } else {
+                console.error('Saved games use an unsupported storage version; they will not be changed.');
+                isPlayStoreReadOnly = true;
+            }
+        } catch (e) {
+            console.error("Could not parse saved games from localStorage.", e);
+        }
+    }
+
+    /**
+     * Saves the games in progress to localStorage.
+     */
+    function savePlayGames() {
+        if (isPlayStoreReadOnly) {
+            return;
+        }
+        localStorage.setItem(PLAY_STORAGE_KEY, JSON.stringify(playStore));
+    }
+
+    /**
+     * Returns the game being played with the active roster.
+     * @returns {object|undefined} The game.
+     */
+    function getActivePlayGame() {
+        return playStore.games[getActiveRoster().id];
+    }
+
+    /**
+     * Starts a game with the active roster.
+     */
+    function startPlayGame() {
+        const factionData = CACHED_DATA.factionData;
+        const roster = getActiveRoster();
+        playStatusElement.textContent = '';
+        if (!factionData || factionData.fileName !== roster.factionFile) {
+            playStatusElement.textContent = "Wait for the roster's faction to load before starting a game.";
+            return;
+        }
+        if (armyList.length === 0) {
+            playStatusElement.textContent = 'Add units to the army list before starting a game.';
+            return;
+        }
+        const context = buildRosterContext(factionData, armyList, getArmyConfiguration());
+        const playUnits = context.unitSelections.map(selection => createPlayUnit(factionData, context, selection));
+        playStore.games[roster.id] = createPlayGame(roster, playUnits, document.getElementById('play-first-player').value);
+        savePlayGames();
+        renderPlayTracker();
+    }
+
+    /**
+     * Builds the HTML of a player's Command point and victory point counters.
+     * @param {object} game The game.
+     * @param {string} playerKey 'player' or 'opponent'.
+     * @returns {string} The HTML.
+     */
+    function renderPlayScore(game, playerKey) {
+        const player = game.players[playerKey];
+        const renderCounter = (field, label) => `
+            <div class="flex items-center justify-between gap-2">
+                <span class="text-sm text-gray-300">${label}</span>
+                <div class="flex items-center gap-1">
+                    <button class="play-counter-btn w-8 py-1 bg-gray-600 hover:bg-yellow-600 rounded-md" data-player="${playerKey}" data-field="${field}" data-delta="-1" title="Subtract 1">−</button>
+                    <span class="w-10 text-center font-bold text-lg">${player[field]}</span>
+                    <button class="play-counter-btn w-8 py-1 bg-gray-600 hover:bg-yellow-600 rounded-md" data-player="${playerKey}" data-field="${field}" data-delta="1" title="Add 1">+</button>
+                </div>
+            </div>
+        `;
+        return `
+            <div class="bg-gray-700 p-4 rounded-lg space-y-2 ${game.activePlayer === playerKey ? 'ring-2 ring-yellow-500' : ''}">
+                <div class="flex items-center justify-between">
+                    <h3 class="font-bold text-yellow-500">${PLAYER_LABELS[playerKey]}</h3>
+                    <span class="text-sm text-gray-400">${player.primaryVp + player.secondaryVp} VP</span>
+                </div>
+                ${renderCounter('cp', 'Command points')}
+                ${renderCounter('primaryVp', 'Primary VP')}
+                ${renderCounter('secondaryVp', 'Secondary VP')}
+            </div>
+        `;
+    }
+
+    /**
+     * Builds the HTML of one unit in play: its models' remaining wounds and
+     * its once-per-battle abilities.
+     * @param {object} playUnit The unit (see createPlayUnit).
+     * @param {number} index The unit's index in the game.
+     * @returns {string} The HTML.
+     */
+    function renderPlayUnit(playUnit, index) {
+        const isDestroyed = isPlayUnitDestroyed(playUnit);
+        const modelsLeft = playUnit.models.filter(model => model.woundsLeft > 0).length;
+        const woundsLeft = playUnit.models.reduce((sum, model) => sum + model.woundsLeft, 0);
+        const models = playUnit.models.map(model => `
+            <span class="px-2 py-1 text-xs rounded-md ${model.woundsLeft === 0 ? 'bg-gray-900 text-gray-500 line-through' : model.woundsLeft < model.wounds ? 'bg-red-800 text-gray-100' : 'bg-gray-600 text-gray-100'}" title="${escapeHtml(model.name)}">${model.woundsLeft}/${model.wounds}</span>
+        `).join('');
+        const abilities = playUnit.abilities.map((ability, abilityIndex) => `
+            <label class="flex items-center gap-2 text-sm ${ability.isUsed ? 'text-gray-500 line-through' : 'text-gray-300'}" title="${escapeHtml(ability.description)}">
+                <input type="checkbox" class="play-ability" data-ability-index="${abilityIndex}" ${ability.isUsed ? 'checked' : ''}>
+                ${escapeHtml(ability.name)} (once per battle)
+            </label>
+        `).join('');
+        const button = (className, attributes, label, title) => `
+            <button class="${className} px-2 py-1 text-xs bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors" ${attributes} title="${title}">${label}</button>
+        `;
+        return `
+            <div class="play-unit bg-gray-700 p-3 rounded-lg ${isDestroyed ? 'opacity-50' : ''}" data-unit-index="${index}">
+                <div class="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                        <span class="unit-name">${escapeHtml(playUnit.name)}</span>
+                        ${isDestroyed ? '<span class="ml-2 text-xs font-bold text-red-400">DESTROYED</span>' : ''}
+                        <p class="text-xs text-gray-400">${modelsLeft}/${playUnit.models.length} models · ${woundsLeft} wounds left</p>
+                    </div>
+                    <div class="flex flex-wrap gap-1">
+                        ${button('play-wound-btn', 'data-delta="1"', '−1 W', 'Allocate a wound')}
+                        ${button('play-wound-btn', 'data-delta="-1"', '+1 W', 'Heal a wound')}
+                        ${playUnit.models.length > 1 ? `
+                            ${button('play-model-btn', 'data-destroyed="true"', '−1 model', 'Destroy a model')}
+                            ${button('play-model-btn', 'data-destroyed="false"', '+1 model', 'Bring back a model')}
+                        ` : ''}
+                        ${button('play-destroy-btn', '', isDestroyed ? 'Restore' : 'Destroyed', isDestroyed ? 'Restore the unit' : 'Mark the unit destroyed')}
+                    </div>
+                </div>
+                <div class="flex flex-wrap gap-1 mt-2">${models}</div>
+                ${abilities ? `<div class="mt-2 space-y-1">${abilities}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the Play tab for the active roster: a form to start a game, or
+     * the battle round, phase, scores and units of the game in progress.
+     */
+    function renderPlayTracker() {
+        const roster = getActiveRoster();
+        const game = getActivePlayGame();
+        if (!game) {
+            playContent.innerHTML = `
+                <div class="bg-gray-700 p-4 rounded-lg">
+                    <p class="text-gray-300 mb-3">Start a game with <span class="font-semibold">${escapeHtml(roster.name)}</span> (${armyList.length} units) to track the battle round, phase, Command points, victory points and your units' wounds.</p>
+                    <div class="flex flex-wrap items-center gap-2">
+                        <label for="play-first-player" class="text-sm text-gray-300">Who goes first?</label>
+                        <select id="play-first-player" class="bg-gray-800 rounded-md p-2 text-gray-200 focus:outline-none focus:ring focus:ring-yellow-500">
+                            <option value="player">${PLAYER_LABELS.player}</option>
+                            <option value="opponent">${PLAYER_LABELS.opponent}</option>
+                        </select>
+                        <button id="start-play-game" class="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 rounded-md font-bold text-gray-900 transition-colors">Start Game</button>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        const isFirstPhase = game.round === 1 && game.activePlayer === game.firstPlayer && game.phaseIndex === 0;
+        const isLastPhase = game.round === BATTLE_ROUNDS && game.activePlayer !== game.firstPlayer && game.phaseIndex === GAME_PHASES.length - 1;
+        const unitsLeft = game.units.filter(playUnit => !isPlayUnitDestroyed(playUnit)).length;
+        playContent.innerHTML = `
+            <div class="bg-gray-700 p-4 rounded-lg mb-4 flex flex-wrap items-center justify-between gap-4">
+                <div>
+                    <p class="text-sm text-gray-400">${escapeHtml(game.rosterName)}</p>
+                    <p class="text-2xl font-bold">Battle Round ${game.round} <span class="text-gray-400">of ${BATTLE_ROUNDS}</span></p>
+                    <p class="text-lg"><span class="text-yellow-500 font-bold">${GAME_PHASES[game.phaseIndex]} phase</span> · ${game.activePlayer === 'player' ? 'Your' : "Your opponent's"} turn</p>
+                </div>
+                <div class="flex flex-wrap gap-2">
+                    <button class="play-phase-btn px-4 py-2 bg-gray-600 hover:bg-yellow-600 text-gray-100 rounded-md transition-colors" data-step="-1" ${isFirstPhase ? 'disabled' : ''}>Previous Phase</button>
+                    <button class="play-phase-btn px-4 py-2 bg-yellow-600 hover:bg-yellow-500 rounded-md font-bold text-gray-900 transition-colors" data-step="1" ${isLastPhase ? 'disabled' : ''}>Next Phase</button>
+                    <button id="end-play-game" class="px-4 py-2 bg-red-600 hover:bg-red-500 text-gray-100 rounded-md transition-colors">End Game</button>
+                </div>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                ${renderPlayScore(game, 'player')}
+                ${renderPlayScore(game, 'opponent')}
+            </div>
+            <h3 class="text-xl font-bold mb-2">Units <span class="text-sm font-normal text-gray-400">${unitsLeft} of ${game.units.length} still fighting</span></h3>
+            <div class="space-y-2">
+                ${game.units.map(renderPlayUnit).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Saves the games and redraws the Play tab after a change.
+     */
+    function commitPlayChange() {
+        savePlayGames();
+        renderPlayTracker();
+    }
+
+    /**
+     * Handles the buttons of the Play tab.
+     * @param {Event} event The click event.
+     */
+    function handlePlayClick(event) {
+        const target = event.target;
+        if (target.closest('#start-play-game')) {
+            startPlayGame();
+            return;
+        }
+        const game = getActivePlayGame();
+        if (!game) {
+            return;
+        }
+        if (target.closest('#end-play-game')) {
+            if (confirm('End this game? Its scores and unit states will be cleared.')) {
+                delete playStore.games[game.rosterId];
+                commitPlayChange();
+            }
+            return;
+        }
+        const phaseBtn = target.closest('.play-phase-btn');
+        if (phaseBtn) {
+            if (movePlayPhase(game, parseInt(phaseBtn.dataset.step, 10))) {
+                commitPlayChange();
+            }
+            return;
+        }
+        const counterBtn = target.closest('.play-counter-btn');
+        if (counterBtn) {
+            const player = game.players[counterBtn.dataset.player];
+            const { field } = counterBtn.dataset;
+            player[field] = Math.max(0, player[field] + parseInt(counterBtn.dataset.delta, 10));
+            commitPlayChange();
+            return;
+        }
+
+        const unitElement = target.closest('.play-unit');
+        const playUnit = unitElement && game.units[parseInt(unitElement.dataset.unitIndex, 10)];
+        if (!playUnit) {
+            return;
+        }
+        if (target.closest('.play-wound-btn')) {
+            applyPlayWounds(playUnit, parseInt(target.closest('.play-wound-btn').dataset.delta, 10));
+        } else if (target.closest('.play-model-btn')) {
+            setPlayModelDestroyed(playUnit, target.closest('.play-model-btn').dataset.destroyed === 'true');
+        } else if (target.closest('.play-destroy-btn')) {
+            const isDestroyed = !isPlayUnitDestroyed(playUnit);
+            playUnit.models.forEach(model => {
+                model.woundsLeft = isDestroyed ? 0 : model.wounds;
+            });
+        } else {
+            return;
+        }
+        commitPlayChange();
+    }
+
+    /**
+     * Records a once-per-battle ability being used, or not.
+     * @param {Event} event The change event.
+     */
+    function handlePlayChange(event) {
+        const game = getActivePlayGame();
+        const target = event.target;
+        if (!game || !target.classList.contains('play-ability')) {
+            return;
+        }
+        const playUnit = game.units[parseInt(target.closest('.play-unit').dataset.unitIndex, 10)];
+        playUnit.abilities[parseInt(target.dataset.abilityIndex, 10)].isUsed = target.checked;
+        commitPlayChange();
+    }
+
+    // --- Damage Calculator ---
+
+    /**
+     * Fills the damage calculator's attacker and target catalogue choices
+     * from the active army and the available factions, keeping what was
+     * picked when it is still there.
+     * @returns {Promise<void>}
+     */
+    async function renderDamageCalculator() {
+        const attackerValue = calcAttackerSelect.value;
+        calcAttackerSelect.innerHTML = armyList.length === 0
+            ? '<option value="">Add units to your army first</option>'
+            : armyList.map((unit, index) => `<option value="${unit.uid}">${index + 1}. ${escapeHtml(getUnitDisplayName(unit))}</option>`).join('');
+        if (armyList.some(unit => unit.uid === attackerValue)) {
+            calcAttackerSelect.value = attackerValue;
+        }
+        renderCalculatorWeapons();
+
+        const factionValue = calcTargetFactionSelect.value;
+        calcTargetFactionSelect.innerHTML = [...factionSelect.options]
+            .filter(option => option.value)
+            .map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.textContent)}</option>`)
+            .join('');
+        const loadedFile = CACHED_DATA.factionData ? CACHED_DATA.factionData.fileName : null;
+        calcTargetFactionSelect.value = factionValue || loadedFile || calcTargetFactionSelect.value;
+        if (!calculatorTargetData || calculatorTargetData.fileName !== calcTargetFactionSelect.value) {
+            await loadCalculatorTargets();
+        } else {
+            renderCalculatorResults();
+        }
+    }
+
+    /**
+     * Lists the weapons of the attacking unit, each with a checkbox and the
+     * number of them that attack.
+     */
+    function renderCalculatorWeapons() {
+        const factionData = CACHED_DATA.factionData;
+        const unitIndex = armyList.findIndex(unit => unit.uid === calcAttackerSelect.value);
+        const record = factionData && unitIndex !== -1 && findUnitRecord(factionData, armyList[unitIndex].id);
+        calculatorWeapons = [];
+        if (!record) {
+            calcWeaponsElement.innerHTML = '<p class="text-gray-400 text-sm">Pick a unit of the loaded faction to see its weapons.</p>';
+            return;
+        }
+        const context = buildRosterContext(factionData, armyList, getArmyConfiguration());
+        const selection = context.unitSelections[unitIndex];
+        const counts = countUnitWeapons(factionData, selection);
+        calculatorWeapons = getWeaponProfiles(buildDatasheet(factionData, record, context, selection));
+        if (calculatorWeapons.length === 0) {
+            calcWeaponsElement.innerHTML = '<p class="text-gray-400 text-sm">The catalogue has no weapon profiles for this unit.</p>';
+            return;
+        }
+        // Shooting is the usual question, so ranged weapons start ticked.
+        calcWeaponsElement.innerHTML = calculatorWeapons.map((weapon, index) => `
+            <div class="calc-weapon flex items-start gap-2 text-sm" data-weapon-index="${index}">
+                <input type="checkbox" class="calc-weapon-use mt-1" ${weapon.typeName === 'Ranged Weapons' ? 'checked' : ''}>
+                <input type="number" class="calc-weapon-count w-14 bg-gray-800 rounded-md px-1 text-gray-200" min="0" value="${counts.get(weapon.name) || 1}" title="Number of these weapons attacking">
+                <div>
+                    <span class="font-semibold">${escapeHtml(weapon.name)}</span>
+                    <span class="text-gray-400">${weapon.typeName === 'Melee Weapons' ? 'Melee' : escapeHtml(weapon.range)} · A${escapeHtml(weapon.attacks)} · ${escapeHtml(weapon.skill)} · S${escapeHtml(weapon.strength)} · AP${escapeHtml(weapon.ap)} · D${escapeHtml(weapon.damage)}</span>
+                    ${weapon.keywords && weapon.keywords !== '-' ? `<p class="text-xs text-gray-400">${escapeHtml(weapon.keywords)}</p>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Loads the catalogue picked for the damage calculator's targets and
+     * lists its units.
+     * @returns {Promise<void>}
+     */
+    async function loadCalculatorTargets() {
+        const fileName = calcTargetFactionSelect.value;
+        if (!fileName) {
+            return;
+        }
+        calcTargetUnitSelect.innerHTML = '<option value="">Loading...</option>';
+        calculatorTargetData = CACHED_DATA.factionData && CACHED_DATA.factionData.fileName === fileName
+            ? CACHED_DATA.factionData
+            : await loadFactionData(fileName, getCatalogueSource());
+        if (!calculatorTargetData || calculatorTargetData.fileName !== calcTargetFactionSelect.value) {
+            calcTargetUnitSelect.innerHTML = calculatorTargetData ? '' : '<option value="">The catalogue could not be loaded</option>';
+            return;
+        }
+        calcTargetUnitSelect.innerHTML = [...calculatorTargetData.units]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(unit => `<option value="${unit.id}">${escapeHtml(unit.name)}</option>`)
+            .join('');
+        fillCalculatorTarget();
+    }
+
+    /**
+     * Fills the target's characteristics from the picked catalogue unit; they
+     * can then be adjusted by hand.
+     */
+    function fillCalculatorTarget() {
+        const record = calculatorTargetData && findUnitRecord(calculatorTargetData, calcTargetUnitSelect.value);
+        if (!record) {
+            return;
+        }
+        const target = getTargetProfile(calculatorTargetData, record);
+        calcTargetToughnessInput.value = target.toughness;
+        calcTargetSaveInput.value = target.save;
+        calcTargetInvulnerableInput.value = target.invulnerableSave || '';
+        calcTargetWoundsInput.value = target.wounds;
+        calcTargetModelsInput.value = target.models;
+        renderCalculatorResults();
+    }
+
+    /**
+     * Works out and shows the expected damage of the ticked weapons against
+     * the target, with the chance of killing each number of models.
+     */
+    function renderCalculatorResults() {
+        const attacks = [...calcWeaponsElement.querySelectorAll('.calc-weapon')]
+            .filter(row => row.querySelector('.calc-weapon-use').checked)
+            .map(row => ({
+                weapon: calculatorWeapons[parseInt(row.dataset.weaponIndex, 10)],
+                count: Math.max(0, parseInt(row.querySelector('.calc-weapon-count').value, 10) || 0),
+            }));
+        const readNumber = (input, fallback) => {
+            const value = parseInt(input.value, 10);
+            return Number.isNaN(value) ? fallback : value;
+        };
+        const target = {
+            toughness: Math.max(1, readNumber(calcTargetToughnessInput, 4)),
+            save: Math.min(7, Math.max(2, readNumber(calcTargetSaveInput, 7))),
+            invulnerableSave: readNumber(calcTargetInvulnerableInput, null),
+            wounds: Math.max(1, readNumber(calcTargetWoundsInput, 1)),
+            models: Math.max(1, readNumber(calcTargetModelsInput, 1)),
+        };
+        if (attacks.length === 0) {
+            calcResultsElement.innerHTML = '<p class="text-gray-400 text-sm">Tick the weapons that attack.</p>';
+            return;
+        }
+
+        const result = calculateDamage(attacks, target);
+        const format = value => (Math.round(value * 100) / 100).toString();
+        const stat = (label, value) => `
+            <div class="bg-gray-800 rounded-md p-2 text-center">
+                <p class="text-xl font-bold">${format(value)}</p>
+                <p class="text-xs text-gray-400">${label}</p>
+            </div>
+        `;
+        let atLeast = 1;
+        const distribution = result.killDistribution.map((probability, killed) => {
+            const row = `
+                <tr class="border-b border-gray-600">
+                    <td class="py-1 pr-2">${killed === target.models ? `${killed} (all)` : killed}</td>
+                    <td class="py-1 px-2 w-1/2">
+                        <div class="h-2 bg-gray-800 rounded-full"><div class="h-2 bg-yellow-500 rounded-full" style="width: ${Math.round(probability * 100)}%"></div></div>
+                    </td>
+                    <td class="py-1 px-2 text-right">${format(probability * 100)}%</td>
+                    <td class="py-1 pl-2 text-right text-gray-400">${format(atLeast * 100)}%</td>
+                </tr>
+            `;
+            atLeast -= probability;
+            return row;
+        }).join('');
+        calcResultsElement.innerHTML = `
+            ${result.skipped.length > 0 ? `<p class="text-sm text-yellow-400 mb-2">Left out because their profiles can't be read: ${escapeHtml(result.skipped.join(', '))}.</p>` : ''}
+            <div class="grid grid-cols-3 md:grid-cols-6 gap-2 mb-4">
+                ${stat('Attacks', result.attacks)}
+                ${stat('Hits', result.hits)}
+                ${stat('Wounds', result.wounds)}
+                ${stat('Unsaved wounds', result.unsavedWounds)}
+                ${stat('Damage', result.damage)}
+                ${stat('Models killed', result.modelsKilled)}
+            </div>
+            <h4 class="font-bold text-yellow-500 mb-1">Models Killed</h4>
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-gray-400 border-b border-gray-600">
+                        <th class="py-1 pr-2">Models</th>
+                        <th class="py-1 px-2"></th>
+                        <th class="py-1 px-2 text-right">Exactly</th>
+                        <th class="py-1 pl-2 text-right">At least</th>
+                    </tr>
+                </thead>
+                <tbody>${distribution}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Handles changes to the damage calculator's inputs.
+     * @param {Event} event The change or input event.
+     */
+    function handleCalculatorInput(event) {
+        const target = event.target;
+        if (target === calcAttackerSelect) {
+            renderCalculatorWeapons();
+            renderCalculatorResults();
+        } else if (target === calcTargetFactionSelect) {
+            loadCalculatorTargets();
+        } else if (target === calcTargetUnitSelect) {
+            fillCalculatorTarget();
+        } else {
+            renderCalculatorResults();
+        }
+    }
+
+    // --- Event Listeners and Initialization ---
+
+    // Listen for clicks on the tab buttons and show the corresponding tab.
+    tabs.forEach(btn => {
+        btn.addEventListener('click', (event) => {
+            // Get the tab ID from the button's ID (e.g., 'tab-battle-forge' -> 'battle-forge').
+            const tabId = event.target.id.replace('tab-', '');
+            showTab(tabId);
+        });
+    });
+
+    // Listen for a change on the faction dropdown. When a new faction is selected,
+    // we switch to a roster for it and load its catalogue.
+    factionSelect.addEventListener('change', async (event) => {
+        const selectedOption = event.target.selectedOptions[0];
+        await selectRosterForFaction(event.target.value, selectedOption ? selectedOption.textContent : event.target.value);
+    });
+
+    // Switch rosters from the roster dropdown.
+    rosterSelect.addEventListener('change', (event) => {
+        activateRoster(event.target.value);
+    });
+
+    // Rename the active roster.
+    rosterNameInput.addEventListener('change', () => {
+        const name = rosterNameInput.value.trim();
+        if (name) {
+            getActiveRoster().name = name;
+            saveRosters();
+        }
+        renderRosterControls();
+    });
+
+    // Start a new, empty roster for the current faction.
+    newRosterBtn.addEventListener('click', () => {
+        const activeRoster = getActiveRoster();
+        const roster = createRoster(activeRoster.factionFile, activeRoster.factionName);
+        activateRoster(roster.id);
+    });
+
+    // Copy the active roster.
+    duplicateRosterBtn.addEventListener('click', () => {
+        const copy = JSON.parse(JSON.stringify(getActiveRoster()));
+        copy.id = createId();
+        copy.name = `${copy.name} (Copy)`;
+        copy.updatedAt = Date.now();
+        rosterStore.rosters.push(copy);
+        activateRoster(copy.id);
+    });
+
+    // Delete the active roster and open the most recently edited remaining one.
+    deleteRosterBtn.addEventListener('click', () => {
+        const activeRoster = getActiveRoster();
+        if (!confirm(`Delete the roster "${activeRoster.name}"?`)) {
+            return;
+        }
+        rosterStore.rosters = rosterStore.rosters.filter(roster => roster !== activeRoster);
+        if (playStore.games[activeRoster.id]) {
+            delete playStore.games[activeRoster.id];
+            savePlayGames();
+        }
+        const nextRoster = [...rosterStore.rosters].sort((a, b) => b.updatedAt - a.updatedAt)[0]
+            || createRoster(activeRoster.factionFile, activeRoster.factionName);
+        activateRoster(nextRoster.id);
+    });
+
+    // Read the data files from another BSData repository or ref.
+    useRemoteDataBtn.addEventListener('click', () => {
+        const source = {
+            type: 'remote',
+            repo: dataRepoInput.value.trim(),
+            ref: dataRefInput.value.trim(),
+            gameSystemFile: dataGameSystemInput.value.trim(),
+        };
+        if (!source.repo || !source.ref || !source.gameSystemFile) {
+            renderMessageList(dataSourceStatusElement, [{ severity: 'error', message: 'Enter a repository, a branch, tag or commit, and a game system file.' }]);
+            return;
+        }
+        dataSourceStatusElement.innerHTML = '';
+        switchDataSource(source);
+    });
+
+    // Add local data files, either dropped on the drop zone or picked.
+    dataFileInput.addEventListener('change', async () => {
+        await addLocalDataFiles([...dataFileInput.files]);
+        // Allow the same files to be added again.
+        dataFileInput.value = '';
+    });
+    dataDropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dataDropZone.classList.add('border-yellow-500');
+    });
+    dataDropZone.addEventListener('dragleave', () => {
+        dataDropZone.classList.remove('border-yellow-500');
+    });
+    dataDropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dataDropZone.classList.remove('border-yellow-500');
+        addLocalDataFiles([...event.dataTransfer.files]);
+    });
+    useLocalDataBtn.addEventListener('click', () => {
+        dataSourceStatusElement.innerHTML = '';
+        switchDataSource({ type: 'local', gameSystemFile: findLocalGameSystemFile() });
+    });
+    clearLocalDataBtn.addEventListener('click', () => {
+        if (confirm('Remove all local data files?')) {
+            clearLocalDataFiles();
+        }
+    });
+
+    // Filter, annotate, export and import favorites.
+    favoritesFilterInput.addEventListener('input', renderFavorites);
+    favoritesContainer.addEventListener('change', (event) => {
+        if (event.target.matches('.favorite-tags, .favorite-notes')) {
+            updateFavoriteDetails(event.target);
+        }
+    });
+    exportFavoritesBtn.addEventListener('click', exportFavorites);
+    importFavoritesInput.addEventListener('change', async () => {
+        const file = importFavoritesInput.files[0];
+        if (file) {
+            await importFavorites(file);
+        }
+        importFavoritesInput.value = '';
+    });
+
+    // Dismiss the report of points changes in a newly loaded catalogue.
+    pointsReportElement.addEventListener('click', (event) => {
+        if (event.target.closest('#dismiss-points-report')) {
+            renderPointsReport(CACHED_DATA.factionData, []);
+        }
+    });
+
+    // Load newer catalogue revisions found by the background refresh.
+    dataStatusElement.addEventListener('click', (event) => {
+        if (event.target.id === 'apply-data-update') {
+            applyDataUpdates();
+        }
+    });
+
+    // Search, filter and sort the Available Units grid.
+    unitSearchInput.addEventListener('input', () => {
+        unitFilters.search = unitSearchInput.value;
+        renderAvailableUnits();
+    });
+    [unitPointsMinInput, unitPointsMaxInput].forEach(input => input.addEventListener('input', () => {
+        unitFilters.minPoints = readPointsFilter(unitPointsMinInput);
+        unitFilters.maxPoints = readPointsFilter(unitPointsMaxInput);
+        renderAvailableUnits();
+    }));
+    unitSortSelect.addEventListener('change', () => {
+        unitFilters.sort = unitSortSelect.value;
+        renderAvailableUnits();
+    });
+    unitCategoryFiltersContainer.addEventListener('click', (event) => {
+        const button = event.target.closest('.category-filter-btn');
+        if (!button) {
+            return;
+        }
+        const categoryId = button.dataset.categoryId;
+        unitFilters.categoryIds = unitFilters.categoryIds.includes(categoryId)
+            ? unitFilters.categoryIds.filter(id => id !== categoryId)
+            : [...unitFilters.categoryIds, categoryId];
+        renderAvailableUnits();
+    });
+    availableUnitsContainer.addEventListener('click', (event) => {
+        // Collapse or expand a role section.
+        const toggleBtn = event.target.closest('.role-toggle-btn');
+        if (!toggleBtn) {
+            return;
+        }
+        const role = toggleBtn.dataset.role;
+        if (collapsedUnitRoles.has(role)) {
+            collapsedUnitRoles.delete(role);
+        } else {
+            collapsedUnitRoles.add(role);
+        }
+        renderAvailableUnits();
+    });
+
+    // Export and import BattleScribe rosters.
+    exportRosBtn.addEventListener('click', () => exportRosterFile(false));
+    exportRoszBtn.addEventListener('click', () => exportRosterFile(true));
+    importRosterInput.addEventListener('change', async () => {
+        const [file] = importRosterInput.files;
+        if (file) {
+            await importRosterFile(file);
+        }
+        // Allow the same file to be imported again.
+        importRosterInput.value = '';
+    });
+
+    // Export and import text lists.
+    openTextListBtn.addEventListener('click', openTextListDialog);
+    shareRosterBtn.addEventListener('click', shareRoster);
+    // Print the roster. The print view is also filled in when the browser's
+    // own print command is used.
+    printRosterBtn.addEventListener('click', () => window.print());
+    window.addEventListener('beforeprint', renderPrintView);
+    // A share link opened in a tab that already shows the app only changes the fragment.
+    window.addEventListener('hashchange', openSharedRoster);
+    copyTextListBtn.addEventListener('click', copyTextList);
+    importTextListBtn.addEventListener('click', importTextList);
+    textListCloseBtn.addEventListener('click', closeTextListDialog);
+    textListDialog.addEventListener('click', (event) => {
+        // Clicking the backdrop closes the dialog.
+        if (event.target === textListDialog) {
+            closeTextListDialog();
+        }
+    });
+
+    // Changing the battle size changes the points limit and the force entry's rules.
+    battleSizeSelect.addEventListener('change', (event) => {
+        recordArmyChange();
+        armyConfig.battleSizeId = event.target.value;
+        refreshArmy();
+    });
+
+    // Changing the detachment can change which units and options are legal,
+    // and what they cost.
+    detachmentSelect.addEventListener('change', (event) => {
+        recordArmyChange();
+        armyConfig.detachmentId = event.target.value;
+        refreshArmy();
+    });
+
+    // Apply option changes made in the unit editor.
+    unitEditorOptions.addEventListener('change', (event) => {
+        if (event.target.matches('.option-count, .option-choice')) {
+            handleUnitEditorChange(event.target);
+        }
+    });
+
+    // Rename the unit being edited.
+    unitEditorNameInput.addEventListener('change', () => {
+        if (editingUnitIndex !== null) {
+            renameArmyUnit(editingUnitIndex, unitEditorNameInput.value);
+        }
+    });
+
+    // Undo and redo changes to the army list.
+    undoArmyBtn.addEventListener('click', undoArmyChange);
+    redoArmyBtn.addEventListener('click', redoArmyChange);
+    // Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y redoes, except while typing.
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.target.closest('input, textarea, select')) {
+            return;
+        }
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undoArmyChange();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            redoArmyChange();
+        }
+    });
+
+    // Close the unit editor with its button or by clicking the backdrop.
+    unitEditorCloseBtn.addEventListener('click', closeUnitEditor);
+    unitEditor.addEventListener('click', (event) => {
+        if (event.target === unitEditor) {
+            closeUnitEditor();
+        }
+    });
+
+    // Close the datasheet viewer with its button or by clicking the backdrop.
+    datasheetCloseBtn.addEventListener('click', closeDatasheet);
+    datasheetViewer.addEventListener('click', (event) => {
+        if (event.target === datasheetViewer) {
+            closeDatasheet();
+        }
+    });
+
+    // Use event delegation to handle clicks on dynamically added buttons.
+    document.addEventListener('click', (event) => {
+        // If the clicked element or its parent is a "add to army" button...
+        const addToArmyBtn = event.target.closest('.add-to-army-btn');
+        if (addToArmyBtn) {
+            const unitCard = addToArmyBtn.closest('.unit-card');
+            const unitId = unitCard.dataset.unitId;
+            const unitName = unitCard.dataset.unitName;
+            const unitPoints = unitCard.dataset.unitPoints;
+            
+            // Add the unit to the army list.
+            addUnitToArmy(unitId, unitName, unitPoints);
+            console.log(`Added ${unitName} to army.`);
+            return; // Exit to prevent the click from bubbling up to other listeners.
+        }
+
+        // If the clicked element or its parent is an "add favorite to army" button...
+        const addFavoriteToArmyBtn = event.target.closest('.add-favorite-to-army-btn');
+        if (addFavoriteToArmyBtn) {
+            addFavoriteToArmy(addFavoriteToArmyBtn.closest('.favorite-card').dataset.favoriteKey);
+            return;
+        }
+
+        // If the clicked element or its parent is a "configure unit" button...
+        const configureUnitBtn = event.target.closest('.configure-unit-btn');
+        if (configureUnitBtn) {
+            const unitCard = configureUnitBtn.closest('.added-unit-card');
+            openUnitEditor(parseInt(unitCard.dataset.unitIndex, 10));
+            return;
+        }
+
+        // If the clicked element or its parent is a "remove from army" button...
+        const removeFromArmyBtn = event.target.closest('.remove-from-army-btn');
+        if (removeFromArmyBtn) {
+            const unitCard = removeFromArmyBtn.closest('.added-unit-card');
+            removeUnitFromArmy(parseInt(unitCard.dataset.unitIndex, 10));
+            console.log(`Removed unit with ID ${unitCard.dataset.unitId} from army.`);
+            return;
+        }
+
+        // If the clicked element or its parent is a "duplicate unit" button...
+        const duplicateUnitBtn = event.target.closest('.duplicate-unit-btn');
+        if (duplicateUnitBtn) {
+            duplicateArmyUnit(parseInt(duplicateUnitBtn.closest('.added-unit-card').dataset.unitIndex, 10));
+            return;
+        }
+
+        // If the clicked element or its parent is a "detach leader" button...
+        const detachLeaderBtn = event.target.closest('.detach-leader-btn');
+        if (detachLeaderBtn) {
+            detachLeader(parseInt(detachLeaderBtn.closest('.added-unit-card').dataset.unitIndex, 10));
+            return;
         }
 
         // If the clicked element or its parent is a "favorite" button...
@@ -464,60 +5733,144 @@
         if (favoriteBtn) {
             // Get the parent unit card's data attributes.
             const unitCard = favoriteBtn.closest('.unit-card');
-            const unitId = unitCard.dataset.unitId;
             const unitName = unitCard.dataset.unitName;
-            const unitPoints = unitCard.dataset.unitPoints;
-            
-            // Toggle the favorited state.
-            if (favorites[unitId]) {
-                delete favorites[unitId];
-                favoriteBtn.classList.remove('favorited');
-                favoriteBtn.title = 'Unfavorite Unit';
+
+            // Cards on the Favorites tab may belong to another faction, so
+            // they are removed by their own key.
+            if (unitCard.dataset.favoriteKey) {
+                delete favorites[unitCard.dataset.favoriteKey];
+                saveFavorites();
+                renderFavorites();
                 console.log(`Removed ${unitName} from favorites.`);
-            } else {
-                favorites[unitId] = { id: unitId, name: unitName, points: parseInt(unitPoints, 10) };
-                favoriteBtn.classList.add('favorited');
-                favoriteBtn.title = 'Unfavorite Unit';
-                console.log(`Added ${unitName} to favorites.`);
+                return;
             }
-            saveFavorites(); // Save the new favorites list to localStorage.
+
+            // Toggle the favorited state.
+            const isFavorited = toggleFavorite(unitCard.dataset.unitId, unitName, unitCard.dataset.unitPoints);
+            favoriteBtn.classList.toggle('favorited', isFavorited);
+            favoriteBtn.title = `${isFavorited ? 'Unfavorite' : 'Favorite'} Unit`;
+            console.log(`${isFavorited ? 'Added' : 'Removed'} ${unitName} ${isFavorited ? 'to' : 'from'} favorites.`);
             return;
         }
+
+        // A click anywhere else on a unit card opens the unit's datasheet.
+        // Army list cards show the options that unit has actually taken.
+        const unitCard = event.target.closest('.unit-card, .added-unit-card');
+        if (unitCard && !event.target.closest('select, input, textarea, details')) {
+            const unitIndex = unitCard.classList.contains('added-unit-card') ? parseInt(unitCard.dataset.unitIndex, 10) : null;
+            openDatasheet(unitCard.dataset.unitId, unitIndex);
+        }
     });
     
-    // Save Crusade Tracker data to localStorage when the button is clicked.
-    saveCrusadeBtn.addEventListener('click', () => {
-        const crusadeData = {
-            battleHonors: crusadeBattleHonorsInput.value,
-            xp: crusadeXpInput.value,
-            rp: crusadeRpInput.value,
-        };
-        localStorage.setItem('crusadeData', JSON.stringify(crusadeData));
-        crusadeStatusElement.textContent = 'Crusade progress saved!';
-        setTimeout(() => crusadeStatusElement.textContent = '', 3000); // Clear message after 3 seconds.
+    // Drag a unit (or a Leader and its bodyguard unit) onto another to move
+    // it to that position.
+    armyListContainer.addEventListener('dragstart', (event) => {
+        const item = event.target.closest('.army-list-item');
+        if (!item) {
+            return;
+        }
+        draggedUnitIndex = parseInt(item.dataset.unitIndex, 10);
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', item.dataset.unitIndex);
+        item.classList.add('opacity-50');
+    });
+    armyListContainer.addEventListener('dragover', (event) => {
+        if (draggedUnitIndex !== null && event.target.closest('.army-list-item')) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        }
+    });
+    armyListContainer.addEventListener('drop', (event) => {
+        const item = event.target.closest('.army-list-item');
+        if (draggedUnitIndex === null || !item) {
+            return;
+        }
+        event.preventDefault();
+        moveArmyUnit(draggedUnitIndex, parseInt(item.dataset.unitIndex, 10));
+        draggedUnitIndex = null;
+    });
+    armyListContainer.addEventListener('dragend', (event) => {
+        const item = event.target.closest('.army-list-item');
+        if (item) {
+            item.classList.remove('opacity-50');
+        }
+        draggedUnitIndex = null;
     });
 
-    // Load Crusade Tracker data from localStorage on app load.
-    function loadCrusadeData() {
-        const storedData = localStorage.getItem('crusadeData');
-        if (storedData) {
-            const crusadeData = JSON.parse(storedData);
-            crusadeBattleHonorsInput.value = crusadeData.battleHonors || '';
-            crusadeXpInput.value = crusadeData.xp || '';
-            crusadeRpInput.value = crusadeData.rp || '';
+    // Attach a Leader to the unit picked from its card.
+    armyListContainer.addEventListener('change', (event) => {
+        const attachLeaderSelect = event.target.closest('.attach-leader-select');
+        if (attachLeaderSelect && attachLeaderSelect.value) {
+            attachLeader(parseInt(attachLeaderSelect.closest('.added-unit-card').dataset.unitIndex, 10), attachLeaderSelect.value);
         }
-    }
+    });
+
+    // Switch, rename, start and delete Crusade forces.
+    crusadeForceSelect.addEventListener('change', (event) => {
+        crusadeStore.activeForceId = event.target.value;
+        commitCrusadeChange();
+    });
+    crusadeForceNameInput.addEventListener('change', () => {
+        const force = getActiveCrusadeForce();
+        const name = crusadeForceNameInput.value.trim();
+        if (force && name) {
+            force.name = name;
+        }
+        commitCrusadeChange();
+    });
+    newCrusadeForceBtn.addEventListener('click', () => {
+        const factionName = getActiveRoster().factionName;
+        const force = createCrusadeForce(factionName ? `${factionName} Crusade` : 'New Crusade', factionName);
+        crusadeStore.forces.push(force);
+        crusadeStore.activeForceId = force.id;
+        commitCrusadeChange();
+    });
+    deleteCrusadeForceBtn.addEventListener('click', () => {
+        const force = getActiveCrusadeForce();
+        if (!force || !confirm(`Delete the Crusade force "${force.name}"?`)) {
+            return;
+        }
+        crusadeStore.forces = crusadeStore.forces.filter(candidate => candidate !== force);
+        crusadeStore.activeForceId = crusadeStore.forces.length > 0 ? crusadeStore.forces[0].id : null;
+        commitCrusadeChange();
+    });
+    crusadeForceContent.addEventListener('click', handleCrusadeClick);
+    crusadeForceContent.addEventListener('change', handleCrusadeChange);
+
+    // Work out the army breakdown when its panel is opened, and compare rosters.
+    armyAnalyticsPanel.addEventListener('toggle', renderArmyAnalytics);
+    compareRostersBtn.addEventListener('click', compareRosters);
+
+    damageCalculatorElement.addEventListener('change', handleCalculatorInput);
+
+    playContent.addEventListener('click', handlePlayClick);
+    playContent.addEventListener('change', handlePlayChange);
 
     // Initial setup when the page loads.
-    document.addEventListener('DOMContentLoaded', () => {
-        // Start the process by populating the faction dropdown.
-        populateFactionSelect();
+    document.addEventListener('DOMContentLoaded', async () => {
         // Load any saved favorite units.
         loadFavorites();
-        // Load any saved Crusade Tracker data.
-        loadCrusadeData();
+        // Load the games in progress.
+        loadPlayGames();
+        // Load the saved Crusade forces.
+        loadCrusadeForces();
+        renderCrusadeTracker();
+        // Load the saved rosters and make the last one used current.
+        loadRosters();
+        renderRosterControls();
+        renderArmyList();
         // Ensure the correct tab is shown on load (Battle Forge).
         showTab('battle-forge');
+        // Cache the app itself so it opens offline.
+        registerServiceWorker();
+
+        // Start the process by populating the faction dropdown from the
+        // chosen data source, then load the active roster's faction.
+        loadDataSource();
+        renderDataSourceControls();
+        await loadGameData();
+        // Open a list shared by link.
+        await openSharedRoster();
     });
 
 })();
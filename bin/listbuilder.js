@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+// bin/listbuilder.js
+// Command-line validator for army lists. It loads the game system and
+// catalogues from a local copy of a BSData repository, then prints each
+// roster's points and rule violations using the same code as the app
+// (listbuilder-core.js).
+//
+// Usage:
+//   listbuilder validate <roster> --data <dir>
+//
+// The roster can be a .ros file exported by BattleScribe or by the app, or a
+// JSON file holding one of the app's saved rosters (or its whole roster store,
+// `{ "rosters": [...] }`, in which case every roster is validated).
+//
+// Exit codes: 0 if no roster has errors, 1 if any roster has errors or is
+// over its points limit, 2 if the command could not run.
+
+const fs = require('fs');
+const path = require('path');
+const { DOMParser } = require('@xmldom/xmldom');
+const {
+    readRosterFile,
+    buildArmyFromRoster,
+    getBattleSizes,
+    loadFactionData,
+    reconcileUnitSelections,
+    calculateUnitPoints,
+    getRuleViolations,
+    getRosterConfiguration,
+} = require('../listbuilder-core.js');
+
+const USAGE = 'Usage: listbuilder validate <roster.ros|roster.json> --data <dir>';
+const DATA_FILE_PATTERN = /\.(?:gst|cat)$/i;
+// How much of a data file is read to find its root element. BSData files
+// start with it, right after the XML declaration.
+const ROOT_ELEMENT_READ_SIZE = 16 * 1024;
+const ROOT_ELEMENT_PATTERN = /<(gameSystem|catalogue)\b([^>]*)>/;
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * An error that stops the command, shown to the user without a stack trace.
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses an XML string into a document.
+ * @param {string} text The XML.
+ * @param {string} fileName The file it was read from, for error messages.
+ * @returns {Document} The parsed document.
+ */
+function parseXML(text, fileName) {
+    // xmldom throws a ParseError for fatal errors once this handler returns
+    // (throwing from it would only wrap the message), and its default handler
+    // prints every warning and error to the console, so nothing is reported here.
+    const onError = () => {};
+    try {
+        return new DOMParser({ onError }).parseFromString(text, 'text/xml');
+    } catch (error) {
+        throw new UsageError(`${fileName} is not valid XML: ${error.message}`);
+    }
+}
+
+/**
+ * Reads the command-line arguments.
+ * @param {string[]} args The arguments after the script name.
+ * @returns {object} `{ command, rosterFile, dataDir }`.
+ */
+function parseArguments(args) {
+    const positional = [];
+    let dataDir = null;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--data') {
+            dataDir = args[++i];
+        } else if (args[i].startsWith('--data=')) {
+            dataDir = args[i].slice('--data='.length);
+        } else if (args[i] === '--help' || args[i] === '-h') {
+            return { command: 'help' };
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    const [command, rosterFile] = positional;
+    if (command !== 'validate' || !rosterFile || !dataDir || positional.length > 2) {
+        throw new UsageError(USAGE);
+    }
+    return { command, rosterFile, dataDir };
+}
+
+/**
+ * Reads the root element of a data file without parsing the whole file.
+ * @param {string} filePath The file.
+ * @returns {object|null} `{ localName, id, name }`, or null if the file
+ *     doesn't start with a game system or catalogue element.
+ */
+function readRootElement(filePath) {
+    const buffer = Buffer.alloc(ROOT_ELEMENT_READ_SIZE);
+    const fd = fs.openSync(filePath, 'r');
+    let length;
+    try {
+        length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    const match = buffer.toString('utf8', 0, length).match(ROOT_ELEMENT_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const readAttribute = attribute => {
+        const value = match[2].match(new RegExp(`\\s${attribute}="([^"]*)"`));
+        return value ? value[1].replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => XML_ENTITIES[name]) : null;
+    };
+    return { localName: match[1], id: readAttribute('id'), name: readAttribute('name') };
+}
+
+/**
+ * Lists the game system and catalogue files of a data directory. Files are
+ * identified by the id of their root element, as catalogue links refer to
+ * them by id; only the start of each file is read here, and a file is parsed
+ * the first time it is needed (see loadDataFile).
+ * @param {string} dataDir The directory.
+ * @returns {object[]} `{ fileName, filePath, id, name, isGameSystem, doc }`
+ *     records; `doc` is null until the file is loaded.
+ */
+function readDataDirectory(dataDir) {
+    let fileNames;
+    try {
+        fileNames = fs.readdirSync(dataDir).filter(fileName => DATA_FILE_PATTERN.test(fileName));
+    } catch (error) {
+        throw new UsageError(`Could not read the data directory ${dataDir}: ${error.message}`);
+    }
+    return fileNames.sort().map(fileName => {
+        const filePath = path.join(dataDir, fileName);
+        const root = readRootElement(filePath) || { localName: null, id: null, name: null };
+        return {
+            fileName,
+            filePath,
+            id: root.id,
+            name: root.name,
+            isGameSystem: root.localName === 'gameSystem',
+            doc: null,
+        };
+    });
+}
+
+/**
+ * Parses a data file the first time it is needed.
+ * @param {object} file A record from readDataDirectory.
+ * @returns {Document} The parsed document.
+ */
+function loadDataFile(file) {
+    if (!file.doc) {
+        file.doc = parseXML(fs.readFileSync(file.filePath, 'utf8'), file.fileName);
+    }
+    return file.doc;
+}
+
+/**
+ * Reads the rosters of a roster file.
+ * @param {string} rosterFile The .ros or .json file.
+ * @returns {object[]} `{ kind: 'ros'|'saved', roster }` records.
+ */
+function readRosters(rosterFile) {
+    let text;
+    try {
+        text = fs.readFileSync(rosterFile, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Could not read ${rosterFile}: ${error.message}`);
+    }
+    if (/\.rosz$/i.test(rosterFile)) {
+        throw new UsageError(`${rosterFile} is zipped; unzip it and validate the .ros file inside.`);
+    }
+    if (/\.ros$/i.test(rosterFile)) {
+        const roster = readRosterFile(parseXML(text, rosterFile));
+        if (!roster) {
+            throw new UsageError(`${rosterFile} is not a BattleScribe roster.`);
+        }
+        return [{ kind: 'ros', roster }];
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new UsageError(`${rosterFile} is not valid JSON: ${error.message}`);
+    }
+    const rosters = Array.isArray(data && data.rosters) ? data.rosters : [data];
+    if (!rosters.every(roster => roster && Array.isArray(roster.units))) {
+        throw new UsageError(`${rosterFile} does not hold a saved roster.`);
+    }
+    return rosters.map(roster => ({ kind: 'saved', roster }));
+}
+
+/**
+ * Finds the catalogue a roster was built from.
+ * @param {object[]} dataFiles The files of the data directory.
+ * @param {object} item A record from readRosters.
+ * @returns {object|undefined} The catalogue's data file record.
+ */
+function findRosterCatalogue(dataFiles, item) {
+    const catalogues = dataFiles.filter(file => !file.isGameSystem);
+    if (item.kind === 'ros') {
+        const force = item.roster.forces[0];
+        return force && catalogues.find(file => file.id === force.catalogueId);
+    }
+    return catalogues.find(file => file.fileName === item.roster.factionFile)
+        || catalogues.find(file => file.name === item.roster.factionName);
+}
+
+/**
+ * Validates one roster and prints its points and rule violations.
+ * @param {object[]} dataFiles The files of the data directory.
+ * @param {object} source The catalogue source passed to loadFactionData.
+ * @param {object[]} battleSizes The game system's battle sizes.
+ * @param {object} item A record from readRosters.
+ * @returns {Promise<boolean>} Whether the roster has errors.
+ */
+async function validateRoster(dataFiles, source, battleSizes, item) {
+    const catalogue = findRosterCatalogue(dataFiles, item);
+    const rosterName = item.roster.name || 'Unnamed roster';
+    if (!catalogue) {
+        const faction = item.kind === 'ros'
+            ? (item.roster.forces[0] || {}).catalogueName
+            : item.roster.factionName || item.roster.factionFile;
+        console.log(`${rosterName}\n  Error: the catalogue of ${faction || 'the roster'} is not in the data directory.`);
+        return true;
+    }
+    const factionData = await loadFactionData(catalogue.fileName, source);
+    if (!factionData) {
+        console.log(`${rosterName}\n  Error: ${catalogue.fileName} could not be loaded.`);
+        return true;
+    }
+
+    let roster = item.roster;
+    const issues = [];
+    if (item.kind === 'ros') {
+        const army = buildArmyFromRoster(factionData, roster, battleSizes);
+        issues.push(...army.issues);
+        roster = { name: rosterName, battleSizeId: army.battleSizeId, detachmentId: army.detachmentId, units: army.units };
+    }
+
+    const units = roster.units.map(unit => ({ ...unit, selections: { ...unit.selections } }));
+    const configuration = getRosterConfiguration(factionData, roster, battleSizes);
+    units.forEach((unit, index) => {
+        // Units saved without any options take their default configuration, as in the app.
+        if (Object.keys(unit.selections).length === 0) {
+            reconcileUnitSelections(factionData, units, index, configuration);
+        }
+    });
+
+    // Units that aren't in the catalogue keep the points they were saved
+    // with, and fail the roster: the data directory is probably not the data
+    // the roster was built with.
+    const calculatedPoints = calculateUnitPoints(factionData, units, configuration);
+    const points = calculatedPoints.map((unitPoints, index) => unitPoints === null ? units[index].points || 0 : unitPoints);
+    const unresolvedCount = calculatedPoints.filter(unitPoints => unitPoints === null).length;
+    if (unresolvedCount > 0) {
+        issues.push({ severity: 'error', message: `${unresolvedCount} of ${units.length} units are not in ${catalogue.name}, so their saved points are used; check that --data holds the data the roster was built with.` });
+    }
+    const totalPoints = points.reduce((sum, unitPoints) => sum + unitPoints, 0);
+    const battleSize = battleSizes.find(size => size.id === roster.battleSizeId);
+    const pointsLimit = battleSize ? battleSize.pointsLimit : null;
+    if (pointsLimit !== null && totalPoints > pointsLimit) {
+        issues.push({ severity: 'error', message: `${totalPoints - pointsLimit} pts over the ${battleSize.name} limit.` });
+    }
+    issues.push(...getRuleViolations(factionData, units, configuration));
+
+    console.log(`${rosterName} (${catalogue.name}${battleSize ? `, ${battleSize.name}` : ''})`);
+    console.log(`  Points: ${totalPoints}${pointsLimit !== null ? ` / ${pointsLimit}` : ''}`);
+    if (issues.length === 0) {
+        console.log('  No rule violations found.');
+    }
+    issues.forEach(({ severity, message }) => {
+        console.log(`  ${severity === 'error' ? 'Error' : 'Warning'}: ${message}`);
+    });
+    return issues.some(issue => issue.severity === 'error');
+}
+
+/**
+ * Runs the command.
+ * @param {string[]} args The arguments after the script name.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(args) {
+    const { command, rosterFile, dataDir } = parseArguments(args);
+    if (command === 'help') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const rosters = readRosters(rosterFile);
+    const dataFiles = readDataDirectory(dataDir);
+    const gameSystem = dataFiles.find(file => file.isGameSystem);
+    if (!gameSystem) {
+        throw new UsageError(`No game system (.gst) file was found in ${dataDir}.`);
+    }
+    const source = {
+        readFile: async fileName => {
+            const file = dataFiles.find(dataFile => dataFile.fileName === fileName);
+            return file ? loadDataFile(file) : null;
+        },
+        gameSystem: loadDataFile(gameSystem),
+        gameSystemFile: gameSystem.fileName,
+        // Local copies can be named anything, so catalogues are found by id.
+        knownFiles: dataFiles,
+    };
+    const battleSizes = getBattleSizes(source.gameSystem);
+
+    let hasErrors = false;
+    for (const item of rosters) {
+        hasErrors = await validateRoster(dataFiles, source, battleSizes, item) || hasErrors;
+    }
+    return hasErrors ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(error instanceof UsageError ? error.message : error);
+        process.exitCode = 2;
+    });
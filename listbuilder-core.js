@@ -0,0 +1,1883 @@
+// listbuilder-core.js - Catalogue loading, unit indexing, points calculation
+// and rule validation, shared by the browser app (app.js) and the command-line
+// validator (bin/listbuilder.js). It only reads XML through standard DOM
+// methods (getAttribute, localName, child and sibling links), so it works on
+// documents parsed by the browser's DOMParser and by @xmldom/xmldom in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ListbuilderCore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    "use strict";
+
+    // --- Constants ---
+    // The name of the BattleScribe cost type that holds a unit's points value.
+    // BSData files are not consistent about its capitalisation ("pts" vs "Pts"),
+    // so it is always compared in lower case.
+    const POINTS_COST_NAME = 'pts';
+    // The points limits of the standard Warhammer 40,000 battle sizes, used
+    // when a force entry doesn't declare its limit as a points constraint.
+    const BATTLE_SIZE_POINTS = {
+        'Incursion': 1000,
+        'Strike Force': 2000,
+        'Onslaught': 3000,
+    };
+
+    // --- Helpers ---
+
+    /**
+     * Creates a short random id for rosters and other locally created records.
+     * @returns {string} The id.
+     */
+    function createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Reduces a name to lower-case letters and digits for comparison.
+     * @param {string} name The name.
+     * @returns {string} The normalised name.
+     */
+    function normalizeName(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '');
+    }
+
+    // --- Catalogue Loading ---
+
+    /**
+     * Returns the element children of a node that have the given local name.
+     * BattleScribe files wrap every list in a plural container element
+     * (e.g. <selectionEntries><selectionEntry/></selectionEntries>) and use a
+     * different namespace per file type, so walking the tree by local name is
+     * simpler than building an XPath namespace resolver for every document.
+     * @param {Node} node The parent node.
+     * @param {string} tagName The local name of the children to return.
+     * @returns {Element[]} The matching child elements in document order.
+     */
+    function childElements(node, tagName) {
+        const elements = [];
+        if (!node) {
+            return elements;
+        }
+        for (let child = node.firstChild; child; child = child.nextSibling) {
+            if (child.nodeType === 1 && child.localName === tagName) {
+                elements.push(child);
+            }
+        }
+        return elements;
+    }
+
+    /**
+     * Returns the items of a plural container element, e.g.
+     * `listChildren(entry, 'costs', 'cost')` for all `<cost>` elements of an entry.
+     * @param {Node} node The element that owns the container.
+     * @param {string} containerTag The local name of the container (e.g. 'costs').
+     * @param {string} itemTag The local name of the items (e.g. 'cost').
+     * @returns {Element[]} The items in document order.
+     */
+    function listChildren(node, containerTag, itemTag) {
+        return childElements(node, containerTag).flatMap(container => childElements(container, itemTag));
+    }
+
+    /**
+     * Adds a parsed game system or catalogue document to the faction data.
+     * Every element with an `id` attribute is indexed so that links can be
+     * resolved across all loaded files.
+     * @param {object} factionData The faction data being built by loadFactionData.
+     * @param {Document} doc The parsed XML document.
+     * @param {string} fileName The file the document was loaded from.
+     * @returns {object} The file record that was added to `factionData.files`.
+     */
+    function registerDocument(factionData, doc, fileName) {
+        const root = doc.documentElement;
+        const file = {
+            fileName,
+            id: root.getAttribute('id'),
+            name: root.getAttribute('name'),
+            revision: root.getAttribute('revision'),
+            isGameSystem: root.localName === 'gameSystem',
+            doc,
+            imports: [],
+        };
+        factionData.files.push(file);
+
+        const elements = doc.getElementsByTagName('*');
+        for (let i = 0; i < elements.length; i++) {
+            const id = elements[i].getAttribute('id');
+            // The first definition of an id wins, so a faction catalogue can't
+            // be shadowed by a library that happens to reuse an id.
+            if (id && !factionData.index.has(id)) {
+                factionData.index.set(id, elements[i]);
+            }
+        }
+        return file;
+    }
+
+    /**
+     * Works out which file a `catalogueLink` refers to.
+     * @param {Element} link The catalogue link.
+     * @param {object[]} [knownFiles] `{ fileName, id }` records of data files
+     *     that may be named anything (such as uploaded files), which are
+     *     matched to the link by catalogue id.
+     * @returns {string} The file name.
+     */
+    function getLinkedCatalogueFileName(link, knownFiles = []) {
+        const knownFile = knownFiles.find(file => file.id === link.getAttribute('targetId'));
+        if (knownFile) {
+            return knownFile.fileName;
+        }
+        // BSData names each catalogue file after the catalogue itself, so the
+        // link's name gives us the file when it has no explicit target.
+        return link.getAttribute('target') || `${link.getAttribute('name')}.cat`;
+    }
+
+    /**
+     * Fetches a catalogue and, recursively, every catalogue it imports through
+     * a `catalogueLink` (e.g. a chapter catalogue importing the Space Marines library).
+     * @param {object} factionData The faction data being built by loadFactionData.
+     * @param {string} fileName The catalogue file to load.
+     * @param {Map<string, object>} loaded File records already loaded, keyed by file name.
+     * @param {object} source Where the files are read from (see loadFactionData).
+     * @returns {Promise<object|null>} The file record, or null if the file could not be loaded.
+     */
+    async function loadCatalogueFile(factionData, fileName, loaded, source) {
+        // A library can be imported by more than one catalogue (and imports can
+        // even be circular), so each file is only fetched once.
+        if (loaded.has(fileName)) {
+            return loaded.get(fileName);
+        }
+        const doc = await source.readFile(fileName);
+        if (!doc) {
+            return null;
+        }
+        const file = registerDocument(factionData, doc, fileName);
+        loaded.set(fileName, file);
+
+        const catalogueLinks = listChildren(doc.documentElement, 'catalogueLinks', 'catalogueLink');
+        for (const link of catalogueLinks) {
+            const linkedFileName = getLinkedCatalogueFileName(link, source.knownFiles);
+            const linkedFile = await loadCatalogueFile(factionData, linkedFileName, loaded, source);
+            if (linkedFile) {
+                file.imports.push({ file: linkedFile, importRootEntries: link.getAttribute('importRootEntries') === 'true' });
+            } else {
+                console.warn(`Could not load ${linkedFileName}, imported by ${fileName}.`);
+            }
+        }
+        return file;
+    }
+
+    /**
+     * Follows an `entryLink`, `infoLink` or `categoryLink` to the element it
+     * points at. Any other element is returned unchanged.
+     * @param {object} factionData The loaded faction data.
+     * @param {Element} element The element to resolve.
+     * @returns {Element|null} The target element, or null if the link is broken.
+     */
+    function resolveLink(factionData, element) {
+        const tag = element.localName;
+        if (tag === 'entryLink' || tag === 'infoLink' || tag === 'categoryLink') {
+            return factionData.index.get(element.getAttribute('targetId')) || null;
+        }
+        return element;
+    }
+
+    /**
+     * Checks whether a `<cost>` element holds the points value.
+     * @param {Element} cost The cost element.
+     * @returns {boolean} True if it is the points cost.
+     */
+    function isPointsCost(cost) {
+        return (cost.getAttribute('name') || '').toLowerCase() === POINTS_COST_NAME;
+    }
+
+    /**
+     * Reads the base points cost of an entry. A cost declared on the link takes
+     * precedence over the one on the entry it points at.
+     * @param {Element} entry The selection entry.
+     * @param {Element|null} link The entryLink that led to the entry, if any.
+     * @returns {number|null} The points cost, or null if the entry has none.
+     */
+    function getEntryPoints(entry, link) {
+        const costs = [link, entry].filter(Boolean).flatMap(element => listChildren(element, 'costs', 'cost'));
+        const pointsCost = costs.find(isPointsCost);
+        return pointsCost ? parseFloat(pointsCost.getAttribute('value')) || 0 : null;
+    }
+
+    /**
+     * Returns the root entries available to a catalogue: its own root entries
+     * and root entry links, those of every library it imports with
+     * `importRootEntries`, and those of the game system. Links are resolved to
+     * the entries they point at.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} rootFile The file record of the catalogue.
+     * @returns {object[]} `{ entry, link, file }` records; `link` is null for
+     *     entries declared directly. Broken links are skipped.
+     */
+    function getRootEntries(factionData, rootFile) {
+        const rootEntries = [];
+        const visitedFiles = new Set();
+
+        const collectEntries = (file) => {
+            if (visitedFiles.has(file)) {
+                return;
+            }
+            visitedFiles.add(file);
+
+            const root = file.doc.documentElement;
+            const rootNodes = [
+                ...listChildren(root, 'selectionEntries', 'selectionEntry'),
+                ...listChildren(root, 'entryLinks', 'entryLink'),
+            ];
+            rootNodes.forEach(node => {
+                const entry = resolveLink(factionData, node);
+                if (entry) {
+                    rootEntries.push({ entry, link: node === entry ? null : node, file });
+                }
+            });
+
+            file.imports
+                .filter(imported => imported.importRootEntries)
+                .forEach(imported => collectEntries(imported.file));
+        };
+
+        collectEntries(rootFile);
+        factionData.files.filter(file => file.isGameSystem).forEach(collectEntries);
+        return rootEntries;
+    }
+
+    /**
+     * Builds the list of units that can be taken by a faction from its root
+     * entries (see getRootEntries). Each entry is listed only once, however
+     * many times it is linked.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} rootFile The file record of the faction catalogue.
+     * @returns {object[]} The unit index: `{ id, name, type, points, categoryIds,
+     *     entry, link, catalogue }` records.
+     */
+    function buildUnitIndex(factionData, rootFile) {
+        const units = [];
+        const seenEntries = new Set();
+
+        getRootEntries(factionData, rootFile).forEach(({ entry, link, file }) => {
+            if (entry.localName !== 'selectionEntry') {
+                return;
+            }
+            // Single-model characters are 'model' entries rather than 'unit' entries.
+            const type = entry.getAttribute('type');
+            if (type !== 'unit' && type !== 'model') {
+                return;
+            }
+            if ((link && link.getAttribute('hidden') === 'true') || entry.getAttribute('hidden') === 'true') {
+                return;
+            }
+            const id = entry.getAttribute('id');
+            if (seenEntries.has(id)) {
+                return;
+            }
+            seenEntries.add(id);
+
+            const categoryIds = [link, entry]
+                .filter(Boolean)
+                .flatMap(element => listChildren(element, 'categoryLinks', 'categoryLink'))
+                .map(categoryLink => categoryLink.getAttribute('targetId'));
+            units.push({
+                id,
+                name: (link && link.getAttribute('name')) || entry.getAttribute('name'),
+                type,
+                points: getEntryPoints(entry, link),
+                categoryIds: [...new Set(categoryIds)],
+                entry,
+                link,
+                catalogue: file.fileName,
+            });
+        });
+        return units;
+    }
+
+    /**
+     * Lists the selection entries that can be chosen inside an entry or group,
+     * descending into its selection entry groups and resolving entry links.
+     * @param {object} factionData The loaded faction data.
+     * @param {Element} element The entry or group.
+     * @returns {object[]} `{ entry, link }` records.
+     */
+    function collectChildEntries(factionData, element) {
+        const entries = [];
+        [
+            ...listChildren(element, 'selectionEntries', 'selectionEntry'),
+            ...listChildren(element, 'entryLinks', 'entryLink'),
+        ].forEach(node => {
+            const entry = resolveLink(factionData, node);
+            if (!entry) {
+                return;
+            }
+            if (entry.localName === 'selectionEntryGroup') {
+                entries.push(...collectChildEntries(factionData, entry));
+            } else if (entry.localName === 'selectionEntry') {
+                entries.push({ entry, link: node === entry ? null : node });
+            }
+        });
+        listChildren(element, 'selectionEntryGroups', 'selectionEntryGroup').forEach(group => {
+            entries.push(...collectChildEntries(factionData, group));
+        });
+        return entries;
+    }
+
+    /**
+     * Finds the detachments a faction can choose from. BSData models them as
+     * the options of a root "Detachment" configuration entry.
+     * @param {object} factionData The loaded faction data.
+     * @returns {object[]} `{ id, name, entry, link, parentEntry, parentLink }` records.
+     */
+    function findDetachmentOptions(factionData) {
+        const detachments = [];
+        const seenEntries = new Set();
+        getRootEntries(factionData, factionData.catalogue)
+            .filter(({ entry }) => /^detachment/i.test(entry.getAttribute('name') || ''))
+            .forEach(({ entry: parentEntry, link: parentLink }) => {
+                collectChildEntries(factionData, parentEntry).forEach(({ entry, link }) => {
+                    const id = entry.getAttribute('id');
+                    if (seenEntries.has(id)) {
+                        return;
+                    }
+                    seenEntries.add(id);
+                    detachments.push({
+                        id,
+                        name: (link && link.getAttribute('name')) || entry.getAttribute('name'),
+                        entry,
+                        link,
+                        parentEntry,
+                        parentLink,
+                    });
+                });
+            });
+        return detachments;
+    }
+
+    /**
+     * Reads the battle sizes a game system offers from its force entries.
+     * The points limit comes from the force entry's points constraint; failing
+     * that, from a number in its name, or from the standard Warhammer 40,000
+     * battle sizes.
+     * @param {Document} gameSystem The parsed game system (.gst) document.
+     * @returns {object[]} `{ id, name, pointsLimit, entry }` records; `pointsLimit` is null if unknown.
+     */
+    function getBattleSizes(gameSystem) {
+        const root = gameSystem.documentElement;
+        const pointsCostType = listChildren(root, 'costTypes', 'costType').find(isPointsCost);
+        const pointsCostTypeId = pointsCostType ? pointsCostType.getAttribute('id') : null;
+
+        return listChildren(root, 'forceEntries', 'forceEntry')
+            .filter(forceEntry => forceEntry.getAttribute('hidden') !== 'true')
+            .map(forceEntry => {
+                const name = forceEntry.getAttribute('name');
+                const pointsConstraint = listChildren(forceEntry, 'constraints', 'constraint')
+                    .find(constraint => constraint.getAttribute('type') === 'max' && constraint.getAttribute('field') === pointsCostTypeId);
+                const numberInName = name.match(/(\d[\d,]*)\s*(?:pts|points?)/i);
+                const knownSize = Object.keys(BATTLE_SIZE_POINTS).find(size => name.toLowerCase().includes(size.toLowerCase()));
+
+                let pointsLimit = null;
+                if (pointsConstraint) {
+                    pointsLimit = parseFloat(pointsConstraint.getAttribute('value'));
+                } else if (numberInName) {
+                    pointsLimit = parseInt(numberInName[1].replace(/,/g, ''), 10);
+                } else if (knownSize) {
+                    pointsLimit = BATTLE_SIZE_POINTS[knownSize];
+                }
+                return { id: forceEntry.getAttribute('id'), name, pointsLimit, entry: forceEntry };
+            });
+    }
+
+    /**
+     * Loads a faction catalogue together with every library catalogue it
+     * imports, and builds one id index and one de-duplicated unit index from
+     * them (and from the game system, which holds the shared categories,
+     * profile types and rules).
+     * @param {string} fileName The faction catalogue file (e.g. 'Imperium - Blood Angels.cat').
+     * @param {object} source Where the files come from: `readFile(fileName)`
+     *     resolves to a parsed document (or null if the file can't be read),
+     *     `gameSystem` is the parsed game system document (or null) and
+     *     `gameSystemFile` its file name, and `knownFiles` lists files that
+     *     are found by catalogue id (see getLinkedCatalogueFileName).
+     * @returns {Promise<object|null>} The faction data, or null if the faction catalogue failed to load.
+     */
+    async function loadFactionData(fileName, source) {
+        const factionData = { fileName, files: [], index: new Map(), units: [] };
+        if (source.gameSystem) {
+            registerDocument(factionData, source.gameSystem, source.gameSystemFile);
+        }
+
+        const catalogue = await loadCatalogueFile(factionData, fileName, new Map(), source);
+        if (!catalogue) {
+            return null;
+        }
+        factionData.catalogue = catalogue;
+        factionData.units = buildUnitIndex(factionData, catalogue);
+        factionData.pointsCostTypeId = findPointsCostTypeId(factionData);
+        factionData.detachments = findDetachmentOptions(factionData);
+        return factionData;
+    }
+
+    // --- Rule Evaluation ---
+    // BattleScribe describes army construction rules with three kinds of
+    // elements: constraints (min/max limits), conditions (tests against the
+    // current roster) and modifiers (changes to a constraint, cost, category or
+    // the hidden flag that apply while their conditions hold). The functions
+    // below evaluate them against a "selection tree" built from the army list,
+    // mirroring the roster structure BattleScribe uses: force -> units -> child
+    // selections.
+
+    // Condition and constraint scopes that refer to the whole army. The app
+    // only ever builds a single force, so they all resolve to it.
+    const ROSTER_SCOPES = ['roster', 'force', 'primary-catalogue'];
+
+    /**
+     * Finds a unit in the faction's unit index by its entry id.
+     * @param {object} factionData The loaded faction data.
+     * @param {string} unitId The selection entry id of the unit.
+     * @returns {object|undefined} The unit index record.
+     */
+    function findUnitRecord(factionData, unitId) {
+        return factionData.units.find(unit => unit.id === unitId);
+    }
+
+    /**
+     * Looks up the id of the points cost type declared in the game system.
+     * Cost modifiers and cost constraints refer to a cost type by this id.
+     * @param {object} factionData The loaded faction data.
+     * @returns {string|null} The cost type id, or null if none is declared.
+     */
+    function findPointsCostTypeId(factionData) {
+        for (const file of factionData.files) {
+            const costType = listChildren(file.doc.documentElement, 'costTypes', 'costType').find(isPointsCost);
+            if (costType) {
+                return costType.getAttribute('id');
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Creates a node of the selection tree for an entry.
+     * @param {Element|null} entry The selection entry (or force entry).
+     * @param {Element|null} link The entryLink that led to the entry, if any.
+     * @param {object|null} parent The parent selection.
+     * @returns {object} The selection.
+     */
+    function createSelection(entry, link, parent) {
+        const staticCategories = [link, entry]
+            .filter(Boolean)
+            .flatMap(element => listChildren(element, 'categoryLinks', 'categoryLink'))
+            .map(categoryLink => categoryLink.getAttribute('targetId'));
+        return {
+            entry,
+            link,
+            entryId: entry ? entry.getAttribute('id') : null,
+            linkId: link ? link.getAttribute('id') : null,
+            name: (link && link.getAttribute('name')) || (entry && entry.getAttribute('name')) || '',
+            type: entry ? entry.getAttribute('type') : null,
+            number: 1,
+            points: 0,
+            categoryIds: [...new Set(staticCategories)],
+            groupIds: [],
+            children: [],
+            parent,
+        };
+    }
+
+    /**
+     * Builds the selection tree for the army list.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {object} configuration The army's `forceEntry` (Element|null) and
+     *     `detachment` (a findDetachmentOptions record, or null).
+     * @returns {object} The evaluation context: `{ factionData, force, unitSelections }`,
+     *     where `unitSelections` holds the selection of each army list unit, in order.
+     */
+    function buildRosterContext(factionData, units, configuration) {
+        const force = createSelection(configuration.forceEntry, null, null);
+        force.type = 'force';
+        force.catalogueId = factionData.catalogue ? factionData.catalogue.id : null;
+        const context = { factionData, force, unitSelections: [] };
+
+        // The detachment is a selection like any other in BattleScribe, so
+        // conditions such as "only in the Gladius Task Force" can count it.
+        const { detachment } = configuration;
+        if (detachment) {
+            const holder = createSelection(detachment.parentEntry, detachment.parentLink, force);
+            holder.children.push(createSelection(detachment.entry, detachment.link, holder));
+            force.children.push(holder);
+        }
+
+        units.forEach(unit => {
+            const record = findUnitRecord(factionData, unit.id);
+            const selection = record ? createSelection(record.entry, record.link, force) : createSelection(null, null, force);
+            selection.name = selection.name || unit.name;
+            selection.points = unit.points;
+            selection.armyUnit = unit;
+            if (record) {
+                selection.options = getUnitOptions(factionData, record);
+                addOptionSelections(selection, selection.options, unit.selections || {});
+            }
+            force.children.push(selection);
+            context.unitSelections.push(selection);
+        });
+
+        // Category modifiers and costs can depend on the rest of the roster, so
+        // they are worked out once every selection is in the tree.
+        getDescendants(force, true).forEach(selection => applyCategoryModifiers(context, selection));
+        context.unitSelections
+            .filter(selection => selection.entry)
+            .forEach(selection => computeSelectionPoints(context, selection));
+        return context;
+    }
+
+    /**
+     * Returns the child selections of a selection.
+     * @param {object} selection The selection.
+     * @param {boolean} includeChildSelections Whether to include grandchildren and below.
+     * @returns {object[]} The selections.
+     */
+    function getDescendants(selection, includeChildSelections) {
+        const descendants = [];
+        selection.children.forEach(child => {
+            descendants.push(child);
+            if (includeChildSelections) {
+                descendants.push(...getDescendants(child, true));
+            }
+        });
+        return descendants;
+    }
+
+    /**
+     * Checks whether a selection is an instance of a condition's `childId`,
+     * which can be an entry, link, category or group id, or one of the
+     * BattleScribe keywords 'any', 'model', 'unit' and 'upgrade'.
+     * @param {object} selection The selection.
+     * @param {string|null} childId The id to test.
+     * @returns {boolean} True if the selection matches.
+     */
+    function matchesChild(selection, childId) {
+        if (!childId || childId === 'any') {
+            return true;
+        }
+        if (childId === 'model' || childId === 'unit' || childId === 'upgrade') {
+            return selection.type === childId;
+        }
+        return selection.entryId === childId
+            || selection.linkId === childId
+            || selection.catalogueId === childId
+            || selection.categoryIds.includes(childId)
+            || selection.groupIds.includes(childId);
+    }
+
+    /**
+     * Resolves a condition or constraint scope to the selection it refers to.
+     * @param {object} context The evaluation context.
+     * @param {object} selection The selection the condition belongs to.
+     * @param {string} scope 'self', 'parent', a roster scope, or the id of an ancestor entry.
+     * @returns {object|null} The scope selection, or null if there is none.
+     */
+    function getScopeSelection(context, selection, scope) {
+        if (scope === 'self') {
+            return selection;
+        }
+        if (scope === 'parent') {
+            return selection.parent || context.force;
+        }
+        if (ROSTER_SCOPES.includes(scope)) {
+            return context.force;
+        }
+        for (let ancestor = selection.parent; ancestor; ancestor = ancestor.parent) {
+            if (matchesChild(ancestor, scope)) {
+                return ancestor;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Counts the selections (or sums the points) matching `childId` within a scope.
+     * @param {object} context The evaluation context.
+     * @param {object} selection The selection the condition or constraint belongs to.
+     * @param {object} query The `scope`, `childId`, `field` and `includeChildSelections` to count with.
+     * @returns {number} The count or points total.
+     */
+    function countSelections(context, selection, query) {
+        const scopeSelection = getScopeSelection(context, selection, query.scope);
+        if (!scopeSelection) {
+            return 0;
+        }
+        if (query.field === 'selections') {
+            return getDescendants(scopeSelection, query.includeChildSelections)
+                .filter(child => matchesChild(child, query.childId))
+                .reduce((sum, child) => sum + child.number, 0);
+        }
+        if (query.field === 'forces') {
+            return 1;
+        }
+        // Any other field is a cost type. A selection's points already include
+        // those of its children, so costs are only summed one level deep.
+        if (query.field !== context.factionData.pointsCostTypeId) {
+            return 0;
+        }
+        if (scopeSelection === selection && query.scope === 'self') {
+            return selection.points;
+        }
+        return getDescendants(scopeSelection, false)
+            .filter(child => matchesChild(child, query.childId))
+            .reduce((sum, child) => sum + (child.points || 0), 0);
+    }
+
+    /**
+     * Reads the counting attributes shared by conditions, constraints and repeats.
+     * @param {Element} element The condition, constraint or repeat element.
+     * @param {string|null} defaultChildId The childId to use if the element has none.
+     * @returns {object} The query for countSelections.
+     */
+    function getCountQuery(element, defaultChildId) {
+        return {
+            scope: element.getAttribute('scope'),
+            childId: element.getAttribute('childId') || defaultChildId,
+            field: element.getAttribute('field'),
+            includeChildSelections: element.getAttribute('includeChildSelections') === 'true',
+        };
+    }
+
+    /**
+     * Evaluates a single `<condition>` element.
+     * @param {object} context The evaluation context.
+     * @param {Element} condition The condition element.
+     * @param {object} selection The selection the condition is evaluated for.
+     * @returns {boolean} True if the condition holds.
+     */
+    function evaluateCondition(context, condition, selection) {
+        const type = condition.getAttribute('type');
+        if (type === 'instanceOf' || type === 'notInstanceOf') {
+            const scopeSelection = getScopeSelection(context, selection, condition.getAttribute('scope'));
+            const isInstance = !!scopeSelection && matchesChild(scopeSelection, condition.getAttribute('childId'));
+            return type === 'instanceOf' ? isInstance : !isInstance;
+        }
+
+        const count = countSelections(context, selection, getCountQuery(condition, null));
+        const value = parseFloat(condition.getAttribute('value')) || 0;
+        switch (type) {
+            case 'lessThan': return count < value;
+            case 'greaterThan': return count > value;
+            case 'equalTo': return count === value;
+            case 'notEqualTo': return count !== value;
+            case 'atLeast': return count >= value;
+            case 'atMost': return count <= value;
+            default:
+                console.warn(`Unsupported condition type: ${type}`);
+                return false;
+        }
+    }
+
+    /**
+     * Checks the conditions and condition groups of a modifier, modifier
+     * group or condition group. Condition groups combine their children with
+     * their own 'and'/'or' type; everything else requires all of them to hold.
+     * @param {object} context The evaluation context.
+     * @param {Element} element The element owning the conditions.
+     * @param {object} selection The selection the conditions are evaluated for.
+     * @returns {boolean} True if the conditions hold (or there are none).
+     */
+    function conditionsPass(context, element, selection) {
+        const checks = [
+            ...listChildren(element, 'conditions', 'condition').map(condition => () => evaluateCondition(context, condition, selection)),
+            ...listChildren(element, 'conditionGroups', 'conditionGroup').map(group => () => conditionsPass(context, group, selection)),
+        ];
+        if (checks.length === 0) {
+            return true;
+        }
+        const isOrGroup = element.localName === 'conditionGroup' && element.getAttribute('type') === 'or';
+        return isOrGroup ? checks.some(check => check()) : checks.every(check => check());
+    }
+
+    /**
+     * Collects the modifiers of an element, including those nested in modifier groups.
+     * @param {Element} element The entry, link or other element owning the modifiers.
+     * @returns {object[]} `{ modifier, guards }` pairs, where `guards` are the
+     *     modifier and the groups around it, whose conditions must all hold.
+     */
+    function collectModifiers(element) {
+        const modifiers = [];
+        const walk = (owner, guards) => {
+            listChildren(owner, 'modifiers', 'modifier').forEach(modifier => modifiers.push({ modifier, guards: [...guards, modifier] }));
+            listChildren(owner, 'modifierGroups', 'modifierGroup').forEach(group => walk(group, [...guards, group]));
+        };
+        walk(element, []);
+        return modifiers;
+    }
+
+    /**
+     * Works out how many times a modifier applies. Modifiers without
+     * `<repeat>` elements apply once.
+     * @param {object} context The evaluation context.
+     * @param {Element} modifier The modifier element.
+     * @param {object} selection The selection the modifier is evaluated for.
+     * @returns {number} The number of times to apply the modifier.
+     */
+    function getRepeatCount(context, modifier, selection) {
+        const repeats = listChildren(modifier, 'repeats', 'repeat');
+        if (repeats.length === 0) {
+            return 1;
+        }
+        return repeats.reduce((total, repeat) => {
+            const count = countSelections(context, selection, getCountQuery(repeat, null));
+            const value = parseFloat(repeat.getAttribute('value')) || 1;
+            const steps = repeat.getAttribute('roundUp') === 'true' ? Math.ceil(count / value) : Math.floor(count / value);
+            return total + steps * (parseInt(repeat.getAttribute('repeats'), 10) || 1);
+        }, 0);
+    }
+
+    /**
+     * Adds to a numeric value. Characteristics are text (e.g. '6"' or '3+'),
+     * so for those the first number in the text is adjusted instead.
+     * @param {number|string} value The value to adjust.
+     * @param {number} delta The amount to add.
+     * @returns {number|string} The adjusted value.
+     */
+    function adjustValue(value, delta) {
+        if (typeof value === 'number') {
+            return value + delta;
+        }
+        return String(value).replace(/-?\d+/, number => String(parseInt(number, 10) + delta));
+    }
+
+    /**
+     * Applies the modifiers of the given elements that target a field.
+     * @param {object} context The evaluation context.
+     * @param {Element[]} owners The elements whose modifiers apply (e.g. an entry and its link).
+     * @param {string} field The modified field: a constraint id, cost type id, 'hidden' or 'name'.
+     * @param {number|boolean|string} baseValue The unmodified value.
+     * @param {object} selection The selection the modifiers are evaluated for.
+     * @returns {number|boolean|string} The modified value, of the same type as `baseValue`.
+     */
+    function applyModifiers(context, owners, field, baseValue, selection) {
+        let value = baseValue;
+        owners.filter(Boolean).forEach(owner => {
+            collectModifiers(owner).forEach(({ modifier, guards }) => {
+                if (modifier.getAttribute('field') !== field) {
+                    return;
+                }
+                if (!guards.every(guard => conditionsPass(context, guard, selection))) {
+                    return;
+                }
+                const amount = modifier.getAttribute('value');
+                const times = getRepeatCount(context, modifier, selection);
+                switch (modifier.getAttribute('type')) {
+                    case 'set':
+                        if (typeof baseValue === 'number') {
+                            value = parseFloat(amount) || 0;
+                        } else if (typeof baseValue === 'boolean') {
+                            value = amount === 'true';
+                        } else {
+                            value = amount;
+                        }
+                        break;
+                    case 'increment':
+                        value = adjustValue(value, (parseFloat(amount) || 0) * times);
+                        break;
+                    case 'decrement':
+                        value = adjustValue(value, -(parseFloat(amount) || 0) * times);
+                        break;
+                    case 'append':
+                        value = `${value} ${amount}`;
+                        break;
+                }
+            });
+        });
+        return value;
+    }
+
+    /**
+     * Applies the 'add'/'remove' category modifiers of a selection's entry,
+     * e.g. a unit that gains the Battleline keyword in a particular detachment.
+     * @param {object} context The evaluation context.
+     * @param {object} selection The selection to update.
+     */
+    function applyCategoryModifiers(context, selection) {
+        [selection.link, selection.entry].filter(Boolean).forEach(owner => {
+            collectModifiers(owner).forEach(({ modifier, guards }) => {
+                if (modifier.getAttribute('field') !== 'category') {
+                    return;
+                }
+                if (!guards.every(guard => conditionsPass(context, guard, selection))) {
+                    return;
+                }
+                const categoryId = modifier.getAttribute('value');
+                const type = modifier.getAttribute('type');
+                if ((type === 'add' || type === 'set-primary') && !selection.categoryIds.includes(categoryId)) {
+                    selection.categoryIds.push(categoryId);
+                } else if (type === 'remove') {
+                    selection.categoryIds = selection.categoryIds.filter(id => id !== categoryId);
+                }
+            });
+        });
+    }
+
+    /**
+     * Describes where a constraint is counted, for use in messages.
+     * @param {object} context The evaluation context.
+     * @param {object} scopeSelection The selection the constraint is counted in.
+     * @returns {string} e.g. 'in the army' or 'in Intercessor Squad'.
+     */
+    function describeScope(context, scopeSelection) {
+        return scopeSelection === context.force ? 'in the army' : `in ${scopeSelection.name}`;
+    }
+
+    /**
+     * Records that a constraint has been reported for a scope.
+     * @param {Map<object, Set<string>>} reported The constraint ids already
+     *     reported, keyed by the selection they were counted in.
+     * @param {object} scopeSelection The selection the constraint is counted in.
+     * @param {string} constraintId The constraint's id.
+     * @returns {boolean} False if it had already been reported for that scope.
+     */
+    function markReported(reported, scopeSelection, constraintId) {
+        const ids = reported.get(scopeSelection) || new Set();
+        if (ids.has(constraintId)) {
+            return false;
+        }
+        reported.set(scopeSelection, ids.add(constraintId));
+        return true;
+    }
+
+    /**
+     * Checks one constraint and records a violation if it is broken.
+     * @param {object} context The evaluation context.
+     * @param {Element} constraint The constraint element.
+     * @param {Element[]} owners The elements whose modifiers can change the constraint.
+     * @param {object} selection The selection the constraint belongs to.
+     * @param {string} label The name of what is being counted.
+     * @param {object[]} violations The list to add the violation to.
+     * @param {Map<object, Set<string>>} reported Constraints already reported
+     *     (see markReported). Army-wide limits are reported once, so e.g. a
+     *     fourth copy of a unit produces one error rather than four, while a
+     *     limit on each unit is reported for every unit that breaks it.
+     */
+    function checkConstraint(context, constraint, owners, selection, label, violations, reported) {
+        const scope = constraint.getAttribute('scope');
+        const scopeSelection = getScopeSelection(context, selection, scope);
+        if (!scopeSelection) {
+            return;
+        }
+        const limit = applyModifiers(context, owners, constraint.getAttribute('id'), parseFloat(constraint.getAttribute('value')) || 0, selection);
+        // A limit of -1 means "unlimited".
+        if (limit < 0) {
+            return;
+        }
+
+        const query = getCountQuery(constraint, selection === context.force ? 'any' : selection.entryId);
+        const count = countSelections(context, selection, query);
+        const type = constraint.getAttribute('type');
+        const isBroken = (type === 'max' && count > limit) || (type === 'min' && count < limit);
+        if (!isBroken || !markReported(reported, scopeSelection, constraint.getAttribute('id'))) {
+            return;
+        }
+
+        const unit = query.field === context.factionData.pointsCostTypeId ? ' pts' : '';
+        // The force's own constraints (such as its points limit) need no location.
+        const where = selection === context.force ? 'in total' : describeScope(context, scopeSelection);
+        violations.push({
+            severity: 'error',
+            message: type === 'max'
+                ? `${label}: ${count}${unit} ${where}, the maximum is ${limit}${unit}.`
+                : `${label}: ${count}${unit} ${where}, at least ${limit}${unit} required.`,
+        });
+    }
+
+    /**
+     * Checks a selection's own constraints and availability, then those of its children.
+     * @param {object} context The evaluation context.
+     * @param {object} selection The selection to check.
+     * @param {object[]} violations The list to add violations to.
+     * @param {Map<object, Set<string>>} reported Constraints already reported (see markReported).
+     */
+    function checkSelection(context, selection, violations, reported) {
+        if (!selection.entry && selection.armyUnit) {
+            violations.push({ severity: 'warning', message: `${selection.name} is not in the loaded catalogue and cannot be validated.` });
+            return;
+        }
+        const owners = [selection.link, selection.entry].filter(Boolean);
+        // A unit's options are checked against their parent by checkOptionLimits,
+        // so only their roster-wide constraints are checked here.
+        const isOption = !!selection.option;
+        const isHidden = owners.some(owner => owner.getAttribute('hidden') === 'true');
+        if (!isOption && applyModifiers(context, owners, 'hidden', isHidden, selection)) {
+            violations.push({ severity: 'warning', message: `${selection.name} is not available with the current army configuration.` });
+        }
+        owners.forEach(owner => {
+            listChildren(owner, 'constraints', 'constraint').forEach(constraint => {
+                if (isOption && constraint.getAttribute('scope') === 'parent') {
+                    return;
+                }
+                checkConstraint(context, constraint, owners, selection, selection.name, violations, reported);
+            });
+        });
+
+        const options = selection.option ? selection.option.children : selection.options;
+        if (options) {
+            checkOptionLimits(context, selection, options, violations);
+        }
+        selection.children.forEach(child => checkSelection(context, child, violations, reported));
+    }
+
+    /**
+     * Checks the force entry's own constraints (such as its points limit) and
+     * the per-category minimums and maximums it sets (e.g. the number of
+     * Characters or Epic Heroes a detachment may include).
+     * @param {object} context The evaluation context.
+     * @param {object[]} violations The list to add violations to.
+     * @param {Map<object, Set<string>>} reported Constraints already reported (see markReported).
+     */
+    function checkForceConstraints(context, violations, reported) {
+        const forceEntry = context.force.entry;
+        if (!forceEntry) {
+            return;
+        }
+        listChildren(forceEntry, 'constraints', 'constraint').forEach(constraint => {
+            checkConstraint(context, constraint, [forceEntry], context.force, 'Army', violations, reported);
+        });
+
+        listChildren(forceEntry, 'categoryLinks', 'categoryLink').forEach(categoryLink => {
+            const category = resolveLink(context.factionData, categoryLink);
+            const owners = [categoryLink, category].filter(Boolean);
+            const categoryId = categoryLink.getAttribute('targetId');
+            const label = (category && category.getAttribute('name')) || categoryLink.getAttribute('name');
+            owners.forEach(owner => {
+                listChildren(owner, 'constraints', 'constraint').forEach(constraint => {
+                    const scope = constraint.getAttribute('scope');
+                    const limit = applyModifiers(context, owners, constraint.getAttribute('id'), parseFloat(constraint.getAttribute('value')) || 0, context.force);
+                    if (limit < 0) {
+                        return;
+                    }
+                    const count = countSelections(context, context.force, {
+                        ...getCountQuery(constraint, categoryId),
+                        // Category constraints always count the whole force.
+                        scope: ROSTER_SCOPES.includes(scope) ? scope : 'force',
+                        childId: categoryId,
+                    });
+                    const type = constraint.getAttribute('type');
+                    const isBroken = (type === 'max' && count > limit) || (type === 'min' && count < limit);
+                    if (isBroken && markReported(reported, context.force, constraint.getAttribute('id'))) {
+                        violations.push({
+                            severity: 'error',
+                            message: type === 'max'
+                                ? `${label}: ${count} in the army, the maximum is ${limit}.`
+                                : `${label}: ${count} in the army, at least ${limit} required.`,
+                        });
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Checks that every unit shares the army's Faction keyword, taking the
+     * keyword carried by the most units as the army's faction.
+     * @param {object} context The evaluation context.
+     * @param {object[]} violations The list to add violations to.
+     */
+    function checkFactionKeywords(context, violations) {
+        const getFactionKeywords = selection => selection.categoryIds
+            .map(id => context.factionData.index.get(id))
+            .filter(category => category && /^Faction: /.test(category.getAttribute('name')))
+            .map(category => category.getAttribute('name'));
+
+        const units = context.force.children.filter(selection => selection.entry && selection.armyUnit);
+        const tally = new Map();
+        units.forEach(unit => getFactionKeywords(unit).forEach(keyword => tally.set(keyword, (tally.get(keyword) || 0) + 1)));
+        if (tally.size === 0) {
+            return;
+        }
+        const armyKeyword = [...tally.entries()].sort((a, b) => b[1] - a[1])[0][0];
+        units
+            .filter(unit => !getFactionKeywords(unit).includes(armyKeyword))
+            .forEach(unit => violations.push({
+                severity: 'warning',
+                message: `${unit.name} does not have the ${armyKeyword} keyword shared by the rest of the army; check it can be included as an allied unit.`,
+            }));
+    }
+
+    /**
+     * Evaluates the catalogue's army construction rules against an army list.
+     * @param {object|null} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {object} configuration The army's `forceEntry` and `detachment` (see buildRosterContext).
+     * @returns {object[]} The violations found, as `{ severity: 'error'|'warning', message }`.
+     */
+    function getRuleViolations(factionData, units, configuration) {
+        const violations = [];
+        if (!factionData || units.length === 0) {
+            return violations;
+        }
+        if (factionData.detachments.length > 0 && !configuration.detachment) {
+            violations.push({ severity: 'warning', message: 'No detachment selected.' });
+        }
+        const context = buildRosterContext(factionData, units, configuration);
+        const reported = new Map();
+        context.force.children.forEach(selection => checkSelection(context, selection, violations, reported));
+        checkForceConstraints(context, violations, reported);
+        checkFactionKeywords(context, violations);
+        checkLeaderAttachments(factionData, units, violations);
+        return violations;
+    }
+
+    // --- Unit Options ---
+    // A unit's options are the selection entries and groups nested inside its
+    // entry (models, wargear, upgrades). An army list unit records how many of
+    // each option it has taken in `selections`, keyed by the option's path of
+    // ids within the unit, e.g. `/<model entry id>/<weapon link id>`. Counts are
+    // totals for the whole unit, so five models each with a bolt rifle is
+    // stored as 5 bolt rifles.
+
+    /**
+     * Finds the per-parent min/max selection constraints of an option.
+     * @param {Element[]} owners The option's link and entry (or group).
+     * @returns {object} `{ minConstraint, maxConstraint, min, max }`; `max` is -1 when unlimited.
+     */
+    function getOptionConstraints(owners) {
+        const constraints = { minConstraint: null, maxConstraint: null };
+        owners.forEach(owner => {
+            listChildren(owner, 'constraints', 'constraint').forEach(constraint => {
+                if (constraint.getAttribute('field') !== 'selections' || constraint.getAttribute('scope') !== 'parent') {
+                    return;
+                }
+                const type = constraint.getAttribute('type');
+                if (type === 'min' && !constraints.minConstraint) {
+                    constraints.minConstraint = constraint;
+                } else if (type === 'max' && !constraints.maxConstraint) {
+                    constraints.maxConstraint = constraint;
+                }
+            });
+        });
+        return {
+            ...constraints,
+            min: constraints.minConstraint ? parseFloat(constraints.minConstraint.getAttribute('value')) || 0 : 0,
+            max: constraints.maxConstraint ? parseFloat(constraints.maxConstraint.getAttribute('value')) : -1,
+        };
+    }
+
+    /**
+     * Builds the option tree of an entry or group.
+     * @param {object} factionData The loaded faction data.
+     * @param {Element} element The entry or group whose options to list.
+     * @param {string} parentKey The key of the element ('' for the unit itself).
+     * @param {string[]} groupIds The ids of the groups (and group links) the options sit in.
+     * @returns {object[]} Option nodes: `{ kind: 'entry'|'group', key, entry, link,
+     *     owners, name, type, groupIds, defaultEntryId, min, max, minConstraint,
+     *     maxConstraint, children }`. For groups, `entry` is the group element.
+     */
+    function buildOptionTree(factionData, element, parentKey, groupIds) {
+        const options = [];
+
+        const addOption = (target, link) => {
+            const kind = target.localName === 'selectionEntryGroup' ? 'group' : 'entry';
+            const key = `${parentKey}/${(link || target).getAttribute('id')}`;
+            const owners = [link, target].filter(Boolean);
+            const option = {
+                kind,
+                key,
+                entry: target,
+                link,
+                owners,
+                name: (link && link.getAttribute('name')) || target.getAttribute('name'),
+                type: target.getAttribute('type'),
+                groupIds,
+                defaultEntryId: (link && link.getAttribute('defaultSelectionEntryId')) || target.getAttribute('defaultSelectionEntryId'),
+                ...getOptionConstraints(owners),
+            };
+            option.children = kind === 'group'
+                ? buildOptionTree(factionData, target, key, [...groupIds, ...owners.map(owner => owner.getAttribute('id'))])
+                : buildOptionTree(factionData, target, key, []);
+            options.push(option);
+        };
+
+        [
+            ...listChildren(element, 'selectionEntries', 'selectionEntry'),
+            ...listChildren(element, 'entryLinks', 'entryLink'),
+            ...listChildren(element, 'selectionEntryGroups', 'selectionEntryGroup'),
+        ].forEach(node => {
+            const target = resolveLink(factionData, node);
+            if (target && (target.localName === 'selectionEntry' || target.localName === 'selectionEntryGroup')) {
+                addOption(target, node === target ? null : node);
+            }
+        });
+        return options;
+    }
+
+    /**
+     * Returns the option tree of a unit, building it on first use.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} record The unit index record.
+     * @returns {object[]} The unit's option nodes (see buildOptionTree).
+     */
+    function getUnitOptions(factionData, record) {
+        if (!factionData.unitOptions) {
+            factionData.unitOptions = new Map();
+        }
+        if (!factionData.unitOptions.has(record.id)) {
+            factionData.unitOptions.set(record.id, buildOptionTree(factionData, record.entry, '', []));
+        }
+        return factionData.unitOptions.get(record.id);
+    }
+
+    /**
+     * Returns the entry options of a group, including those of nested groups.
+     * @param {object} group The group option node.
+     * @returns {object[]} The entry option nodes.
+     */
+    function getGroupEntries(group) {
+        return group.children.flatMap(child => child.kind === 'group' ? getGroupEntries(child) : [child]);
+    }
+
+    /**
+     * Adds the selections recorded for a unit's options to the selection tree.
+     * @param {object} selection The selection the options belong to.
+     * @param {object[]} options The option nodes.
+     * @param {object} selections The unit's option counts, keyed by option key.
+     */
+    function addOptionSelections(selection, options, selections) {
+        options.forEach(option => {
+            if (option.kind === 'group') {
+                addOptionSelections(selection, option.children, selections);
+                return;
+            }
+            const count = selections[option.key] || 0;
+            if (count <= 0) {
+                return;
+            }
+            const child = createSelection(option.entry, option.link, selection);
+            child.number = count;
+            child.option = option;
+            child.groupIds = option.groupIds;
+            selection.children.push(child);
+            addOptionSelections(child, option.children, selections);
+        });
+    }
+
+    /**
+     * Works out a selection's points: its own cost (after cost modifiers, such
+     * as the higher price of a larger squad) times its number, plus the points
+     * of its children. The result is also stored on the selection.
+     * @param {object} context The evaluation context.
+     * @param {object} selection The selection.
+     * @returns {number} The selection's points.
+     */
+    function computeSelectionPoints(context, selection) {
+        const childPoints = selection.children.reduce((sum, child) => sum + computeSelectionPoints(context, child), 0);
+        const basePoints = getEntryPoints(selection.entry, selection.link) || 0;
+        const owners = [selection.link, selection.entry];
+        const points = applyModifiers(context, owners, context.factionData.pointsCostTypeId, basePoints, selection);
+        selection.points = points * selection.number + childPoints;
+        return selection.points;
+    }
+
+    /**
+     * Evaluates an option's limits and availability for one instance of its
+     * parent selection, applying any modifiers (e.g. "one special weapon per
+     * five models").
+     * @param {object} context The evaluation context.
+     * @param {object} option The option node.
+     * @param {object} parentSelection The selection the option would be added to.
+     * @returns {object} `{ min, max, hidden }`; `max` is -1 when unlimited.
+     */
+    function getOptionLimits(context, option, parentSelection) {
+        // A stand-in selection for the option, so that 'self' and 'parent'
+        // scopes in the modifiers' conditions resolve as they would once taken.
+        const probe = createSelection(option.entry, option.link, parentSelection);
+        const min = option.minConstraint
+            ? applyModifiers(context, option.owners, option.minConstraint.getAttribute('id'), option.min, probe)
+            : 0;
+        const max = option.maxConstraint
+            ? applyModifiers(context, option.owners, option.maxConstraint.getAttribute('id'), option.max, probe)
+            : -1;
+        const isHidden = option.owners.some(owner => owner.getAttribute('hidden') === 'true');
+        return {
+            min: Math.max(0, min),
+            max,
+            hidden: applyModifiers(context, option.owners, 'hidden', isHidden, probe),
+        };
+    }
+
+    /**
+     * Counts how many of an option a selection has taken.
+     * @param {object} selection The parent selection.
+     * @param {object} option The entry or group option node.
+     * @returns {number} The number taken.
+     */
+    function countOption(selection, option) {
+        const groupId = option.entry.getAttribute('id');
+        return selection.children
+            .filter(child => option.kind === 'group' ? child.groupIds.includes(groupId) : child.option === option)
+            .reduce((sum, child) => sum + child.number, 0);
+    }
+
+    /**
+     * Finds the child selection made for an option.
+     * @param {object} selection The parent selection.
+     * @param {string} key The option key.
+     * @returns {object|undefined} The child selection.
+     */
+    function findOptionSelection(selection, key) {
+        return selection.children.find(child => child.option && child.option.key === key);
+    }
+
+    /**
+     * Removes the recorded counts of a set of options and all their descendants.
+     * @param {object} selections The unit's option counts.
+     * @param {object[]} options The option nodes to clear.
+     */
+    function clearOptions(selections, options) {
+        options.forEach(option => {
+            delete selections[option.key];
+            clearOptions(selections, option.children);
+        });
+    }
+
+    /**
+     * Brings a unit's option counts in line with their limits: fixed options
+     * are set, counts are clamped to their min/max, groups below their minimum
+     * get their default option, and the options of anything no longer taken
+     * are removed. Limits are per parent instance, so they scale with the
+     * parent's count (e.g. one bolt rifle per Intercessor).
+     * @param {object} context The evaluation context.
+     * @param {object} selections The unit's option counts (updated in place).
+     * @param {object[]} options The option nodes to reconcile.
+     * @param {object} parentSelection The selection the options belong to.
+     * @param {number} parentCount The number of the parent taken.
+     */
+    function reconcileOptions(context, selections, options, parentSelection, parentCount) {
+        options.forEach(option => {
+            const limits = getOptionLimits(context, option, parentSelection);
+            if (option.kind === 'group') {
+                reconcileOptions(context, selections, option.children, parentSelection, parentCount);
+
+                const entries = getGroupEntries(option);
+                const total = entries.reduce((sum, entry) => sum + (selections[entry.key] || 0), 0);
+                const min = limits.min * parentCount;
+                const max = limits.max < 0 ? -1 : limits.max * parentCount;
+                if (total < min) {
+                    const defaultEntry = entries.find(entry => [entry.entry, entry.link].some(element => element && element.getAttribute('id') === option.defaultEntryId)) || entries[0];
+                    if (defaultEntry) {
+                        selections[defaultEntry.key] = (selections[defaultEntry.key] || 0) + (min - total);
+                    }
+                } else if (max >= 0 && total > max) {
+                    // Take the excess off the last options first.
+                    let excess = total - max;
+                    [...entries].reverse().forEach(entry => {
+                        const removed = Math.min(excess, selections[entry.key] || 0);
+                        excess -= removed;
+                        if (removed > 0) {
+                            selections[entry.key] -= removed;
+                            if (selections[entry.key] === 0) {
+                                clearOptions(selections, [entry]);
+                            }
+                        }
+                    });
+                }
+                return;
+            }
+
+            const min = limits.min * parentCount;
+            const max = limits.max < 0 ? -1 : limits.max * parentCount;
+            let count = selections[option.key] || 0;
+            if (min === max) {
+                count = min;
+            }
+            count = Math.max(count, min);
+            if (max >= 0) {
+                count = Math.min(count, max);
+            }
+
+            if (count > 0) {
+                selections[option.key] = count;
+                const childSelection = findOptionSelection(parentSelection, option.key) || createSelection(option.entry, option.link, parentSelection);
+                reconcileOptions(context, selections, option.children, childSelection, count);
+            } else {
+                clearOptions(selections, [option]);
+            }
+        });
+    }
+
+    /**
+     * Reconciles the option counts of one unit of an army list (see
+     * reconcileOptions). A new unit with no recorded selections gets its
+     * default configuration this way.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {number} unitIndex The index of the unit to reconcile.
+     * @param {object} configuration The army's force entry and detachment (see buildRosterContext).
+     */
+    function reconcileUnitSelections(factionData, units, unitIndex, configuration) {
+        const unit = units[unitIndex];
+        const record = findUnitRecord(factionData, unit.id);
+        if (!record) {
+            return;
+        }
+        unit.selections = unit.selections || {};
+        // The limits are evaluated against the selection tree, which changes
+        // as counts are corrected, so a second pass settles anything the first
+        // pass unlocked (e.g. the options of a newly added model).
+        for (let pass = 0; pass < 2; pass++) {
+            const context = buildRosterContext(factionData, units, configuration);
+            reconcileOptions(context, unit.selections, getUnitOptions(factionData, record), context.unitSelections[unitIndex], 1);
+        }
+    }
+
+    /**
+     * Works out the points of every unit of an army list from its selections.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {object} configuration The army's force entry and detachment (see buildRosterContext).
+     * @returns {Array<number|null>} The points of each unit, or null for units
+     *     that are not in the loaded catalogue.
+     */
+    function calculateUnitPoints(factionData, units, configuration) {
+        const context = buildRosterContext(factionData, units, configuration);
+        return context.unitSelections.map(selection => selection.entry ? selection.points : null);
+    }
+
+    /**
+     * Checks the number of each option a selection has taken against the
+     * option's limits, and that no unavailable option is taken.
+     * @param {object} context The evaluation context.
+     * @param {object} selection The selection whose options to check.
+     * @param {object[]} options The option nodes.
+     * @param {object[]} violations The list to add violations to.
+     */
+    function checkOptionLimits(context, selection, options, violations) {
+        options.forEach(option => {
+            const limits = getOptionLimits(context, option, selection);
+            const count = countOption(selection, option);
+            const min = limits.min * selection.number;
+            const max = limits.max < 0 ? -1 : limits.max * selection.number;
+            if (limits.hidden && count > 0) {
+                violations.push({ severity: 'warning', message: `${selection.name}: ${option.name} is not available with the current configuration.` });
+            }
+            if (count < min) {
+                violations.push({ severity: 'error', message: `${selection.name}: ${count} × ${option.name}, at least ${min} required.` });
+            } else if (max >= 0 && count > max) {
+                violations.push({ severity: 'error', message: `${selection.name}: ${count} × ${option.name}, the maximum is ${max}.` });
+            }
+            if (option.kind === 'group') {
+                checkOptionLimits(context, selection, option.children, violations);
+            }
+        });
+    }
+
+    // --- Datasheets ---
+
+    /**
+     * Reads the profile types declared in the loaded files, which give the
+     * name and column order of each kind of profile (Unit, Ranged Weapons, ...).
+     * @param {object} factionData The loaded faction data.
+     * @returns {Map<string, object>} `{ name, characteristics }` records keyed by
+     *     profile type id, where `characteristics` holds `{ id, name }` records.
+     */
+    function getProfileTypes(factionData) {
+        if (!factionData.profileTypes) {
+            factionData.profileTypes = new Map();
+            factionData.files.forEach(file => {
+                listChildren(file.doc.documentElement, 'profileTypes', 'profileType').forEach(profileType => {
+                    factionData.profileTypes.set(profileType.getAttribute('id'), {
+                        name: profileType.getAttribute('name'),
+                        characteristics: listChildren(profileType, 'characteristicTypes', 'characteristicType').map(type => ({
+                            id: type.getAttribute('id'),
+                            name: type.getAttribute('name'),
+                        })),
+                    });
+                });
+            });
+        }
+        return factionData.profileTypes;
+    }
+
+    /**
+     * Collects the profiles and rules attached directly to an element: its own
+     * `profile` and `rule` elements, the targets of its `infoLink`s, and the
+     * contents of its `infoGroup`s.
+     * @param {object} factionData The loaded faction data.
+     * @param {Element[]} owners The elements to read (e.g. an entry and its link).
+     * @param {object|null} selection The selection the profiles belong to, used
+     *     to apply characteristic modifiers; null when browsing the catalogue.
+     * @param {object} info The `{ profiles, rules }` lists to add to.
+     * @param {Set<string>} seen Ids already collected, so shared profiles appear once.
+     */
+    function collectInfo(factionData, owners, selection, info, seen) {
+        owners.forEach(owner => {
+            const items = [
+                ...listChildren(owner, 'profiles', 'profile').map(profile => ({ target: profile, link: null })),
+                ...listChildren(owner, 'rules', 'rule').map(rule => ({ target: rule, link: null })),
+                ...listChildren(owner, 'infoLinks', 'infoLink').map(link => ({ target: resolveLink(factionData, link), link })),
+            ];
+            items.forEach(({ target, link }) => {
+                if (!target || (link && link.getAttribute('hidden') === 'true') || target.getAttribute('hidden') === 'true') {
+                    return;
+                }
+                if (target.localName === 'infoGroup') {
+                    collectInfo(factionData, [target], selection, info, seen);
+                    return;
+                }
+                const id = target.getAttribute('id');
+                if (seen.has(id)) {
+                    return;
+                }
+                seen.add(id);
+                const item = { element: target, owners: [link, target].filter(Boolean), selection };
+                if (target.localName === 'profile') {
+                    info.profiles.push(item);
+                } else if (target.localName === 'rule') {
+                    info.rules.push(item);
+                }
+            });
+            listChildren(owner, 'infoGroups', 'infoGroup').forEach(group => collectInfo(factionData, [group], selection, info, seen));
+        });
+    }
+
+    /**
+     * Collects the profiles and rules of an entry and of every option nested
+     * inside it, i.e. everything its datasheet can show.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} options The entry's option nodes (see buildOptionTree).
+     * @param {object} info The `{ profiles, rules }` lists to add to.
+     * @param {Set<string>} seen Ids already collected.
+     */
+    function collectOptionInfo(factionData, options, info, seen) {
+        options.forEach(option => {
+            collectInfo(factionData, option.owners, null, info, seen);
+            collectOptionInfo(factionData, option.children, info, seen);
+        });
+    }
+
+    /**
+     * Collects the profiles and rules of a selection and of the options it has taken.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} selection The selection.
+     * @param {object} info The `{ profiles, rules }` lists to add to.
+     * @param {Set<string>} seen Ids already collected.
+     */
+    function collectSelectionInfo(factionData, selection, info, seen) {
+        collectInfo(factionData, [selection.link, selection.entry].filter(Boolean), selection, info, seen);
+        selection.children.forEach(child => collectSelectionInfo(factionData, child, info, seen));
+    }
+
+    /**
+     * Reads a characteristic's value from a profile, applying the modifiers of
+     * the profile (and the infoLink that led to it) when it belongs to a selection.
+     * @param {object|null} context The evaluation context, or null when browsing the catalogue.
+     * @param {object} item A collected profile (see collectInfo).
+     * @param {object} characteristicType The `{ id, name }` of the characteristic.
+     * @returns {string} The value.
+     */
+    function getCharacteristicValue(context, item, characteristicType) {
+        const characteristic = listChildren(item.element, 'characteristics', 'characteristic')
+            .find(element => element.getAttribute('typeId') === characteristicType.id || element.getAttribute('name') === characteristicType.name);
+        const value = characteristic ? characteristic.textContent.trim() : '';
+        if (!context || !item.selection) {
+            return value;
+        }
+        return applyModifiers(context, item.owners, characteristicType.id, value, item.selection);
+    }
+
+    /**
+     * Builds the contents of a unit's datasheet.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} record The unit index record.
+     * @param {object|null} context The evaluation context of an army, or null
+     *     to show everything the catalogue offers the unit.
+     * @param {object|null} selection The unit's selection in that army, if any.
+     * @returns {object} `{ name, keywords, factionKeywords, profileGroups, abilities, rules }`:
+     *     `profileGroups` holds `{ typeName, columns, rows }` tables, where each row is
+     *     `{ name, values }`; `abilities` and `rules` hold `{ name, description }` records.
+     */
+    function buildDatasheet(factionData, record, context, selection) {
+        const info = { profiles: [], rules: [] };
+        const seen = new Set();
+        if (selection) {
+            collectSelectionInfo(factionData, selection, info, seen);
+        } else {
+            collectInfo(factionData, [record.link, record.entry].filter(Boolean), null, info, seen);
+            collectOptionInfo(factionData, getUnitOptions(factionData, record), info, seen);
+        }
+
+        const profileTypes = getProfileTypes(factionData);
+        const groups = new Map();
+        info.profiles.forEach(item => {
+            const typeId = item.element.getAttribute('typeId');
+            const profileType = profileTypes.get(typeId) || {
+                name: item.element.getAttribute('typeName') || 'Profile',
+                characteristics: listChildren(item.element, 'characteristics', 'characteristic').map(element => ({
+                    id: element.getAttribute('typeId'),
+                    name: element.getAttribute('name'),
+                })),
+            };
+            if (!groups.has(profileType.name)) {
+                groups.set(profileType.name, { typeName: profileType.name, columns: profileType.characteristics.map(type => type.name), rows: [] });
+            }
+            groups.get(profileType.name).rows.push({
+                name: item.element.getAttribute('name'),
+                values: profileType.characteristics.map(type => getCharacteristicValue(context, item, type)),
+            });
+        });
+
+        // Profiles with a single characteristic (such as Abilities, whose only
+        // column is the description) read better as text than as a table.
+        const abilities = [];
+        const profileGroups = [];
+        groups.forEach(group => {
+            if (group.columns.length === 1) {
+                group.rows.forEach(row => abilities.push({ name: row.name, description: row.values[0] }));
+            } else {
+                profileGroups.push(group);
+            }
+        });
+        // Show the unit's statline first, then weapons, then anything else.
+        const order = ['Unit', 'Ranged Weapons', 'Melee Weapons'];
+        const rank = group => (order.includes(group.typeName) ? order.indexOf(group.typeName) : order.length);
+        profileGroups.sort((a, b) => rank(a) - rank(b));
+
+        const categoryIds = selection
+            ? selection.categoryIds
+            : [record.link, record.entry].filter(Boolean)
+                .flatMap(element => listChildren(element, 'categoryLinks', 'categoryLink'))
+                .map(categoryLink => categoryLink.getAttribute('targetId'));
+        const categoryNames = [...new Set(categoryIds)]
+            .map(id => factionData.index.get(id))
+            .filter(Boolean)
+            .map(category => category.getAttribute('name'));
+
+        return {
+            name: record.name,
+            keywords: categoryNames.filter(name => !/^Faction: /.test(name)),
+            factionKeywords: categoryNames.filter(name => /^Faction: /.test(name)).map(name => name.replace(/^Faction: /, '')),
+            profileGroups,
+            abilities,
+            rules: info.rules.map(item => ({
+                name: item.element.getAttribute('name'),
+                description: childElements(item.element, 'description').map(element => element.textContent.trim()).join('\n'),
+            })),
+        };
+    }
+
+    /**
+     * Lists the models of a unit in an army, each with the Wounds and
+     * Objective Control characteristics of the Unit profile named after it
+     * (or the unit's first Unit profile).
+     * @param {object} datasheet The unit's datasheet (see buildDatasheet).
+     * @param {object} selection The unit's selection in the army.
+     * @returns {object[]} `{ name, wounds, oc }`, one record per model.
+     */
+    function getUnitModels(datasheet, selection) {
+        const unitProfiles = datasheet.profileGroups.find(group => group.typeName === 'Unit');
+        const readCharacteristic = (modelName, column, fallback) => {
+            const columnIndex = unitProfiles ? unitProfiles.columns.indexOf(column) : -1;
+            if (columnIndex === -1) {
+                return fallback;
+            }
+            const row = unitProfiles.rows.find(candidate => normalizeName(candidate.name) === normalizeName(modelName)) || unitProfiles.rows[0];
+            const value = parseInt(row.values[columnIndex], 10);
+            return Number.isNaN(value) ? fallback : value;
+        };
+        const createModel = name => ({
+            name,
+            wounds: Math.max(1, readCharacteristic(name, 'W', 1)),
+            oc: readCharacteristic(name, 'OC', 0),
+        });
+
+        // Single-model characters are 'model' entries; other units hold
+        // their models as child selections.
+        const modelSelections = selection.type === 'model'
+            ? [selection]
+            : getDescendants(selection, true).filter(child => child.type === 'model');
+        const models = modelSelections.flatMap(modelSelection => Array.from({ length: modelSelection.number }, () => createModel(modelSelection.name)));
+        return models.length > 0 ? models : [createModel(datasheet.name)];
+    }
+
+    // --- Leaders ---
+    // A Character with the Leader ability can be attached to one of the
+    // bodyguard units its ability lists, and the two fight as one unit. The
+    // ability names the bodyguard units in its description ("This model can
+    // be attached to the following units: ■ Intercessor Squad ..."). An army
+    // list unit records its bodyguard's instance id in `attachedTo`.
+
+    /**
+     * Reads the names of the units a Leader can be attached to.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} record The unit index record.
+     * @returns {string[]|null} The unit names, or null if the unit is not a Leader.
+     */
+    function getLeaderTargets(factionData, record) {
+        if (!factionData.leaderTargets) {
+            factionData.leaderTargets = new Map();
+        }
+        if (!factionData.leaderTargets.has(record.id)) {
+            const datasheet = buildDatasheet(factionData, record, null, null);
+            const leaderAbility = [...datasheet.abilities, ...datasheet.rules].find(ability => /^leader$/i.test(ability.name.trim()));
+            let targets = null;
+            if (leaderAbility) {
+                const list = leaderAbility.description.split(/following units?:/i)[1] || '';
+                targets = list
+                    .split(/[\n■•▪]+/)
+                    .map(name => name.replace(/^[\s\-*]+|[\s*]+$/g, ''))
+                    .filter(Boolean);
+            }
+            factionData.leaderTargets.set(record.id, targets);
+        }
+        return factionData.leaderTargets.get(record.id);
+    }
+
+    /**
+     * Checks whether a Leader can be attached to a unit of the army.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {object} leader The army list unit to attach.
+     * @param {object} bodyguard The army list unit to attach it to.
+     * @returns {string|null} Why the attachment is not allowed, or null if it is.
+     */
+    function getAttachmentProblem(factionData, units, leader, bodyguard) {
+        if (leader === bodyguard) {
+            return `${leader.name} can't be attached to itself.`;
+        }
+        const leaderRecord = findUnitRecord(factionData, leader.id);
+        const bodyguardRecord = findUnitRecord(factionData, bodyguard.id);
+        if (!leaderRecord || !bodyguardRecord) {
+            return `${leader.name} and ${bodyguard.name} must both be in the loaded catalogue.`;
+        }
+        const targets = getLeaderTargets(factionData, leaderRecord);
+        if (!targets) {
+            return `${leader.name} does not have the Leader ability.`;
+        }
+        if (!targets.some(name => normalizeName(name) === normalizeName(bodyguardRecord.name))) {
+            return `${leader.name} can't be attached to ${bodyguard.name}.`;
+        }
+        if (bodyguard.attachedTo) {
+            return `${bodyguard.name} is itself attached to another unit.`;
+        }
+        if (units.some(other => other !== leader && other.attachedTo === bodyguard.uid)) {
+            return `${bodyguard.name} already has a Leader attached.`;
+        }
+        return null;
+    }
+
+    /**
+     * Lists the units of the army a Leader can be attached to.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {object} leader The army list unit.
+     * @returns {object[]} The eligible army list units.
+     */
+    function getEligibleBodyguards(factionData, units, leader) {
+        return units.filter(unit => !getAttachmentProblem(factionData, units, leader, unit));
+    }
+
+    /**
+     * Checks every Leader attachment in the army.
+     * @param {object} factionData The loaded faction data.
+     * @param {object[]} units The army list.
+     * @param {object[]} violations The list to add violations to.
+     */
+    function checkLeaderAttachments(factionData, units, violations) {
+        units.filter(unit => unit.attachedTo).forEach(leader => {
+            const bodyguard = units.find(unit => unit.uid === leader.attachedTo);
+            if (!bodyguard) {
+                violations.push({ severity: 'warning', message: `${leader.name} is attached to a unit that is no longer in the army.` });
+                return;
+            }
+            const problem = getAttachmentProblem(factionData, units, leader, bodyguard);
+            if (problem) {
+                violations.push({ severity: 'error', message: `Illegal attachment: ${problem}` });
+            }
+        });
+    }
+
+    // --- Roster Files ---
+    // Reading BattleScribe rosters (.ros) back into army lists. Writing them
+    // needs the browser's DOM, so it stays in app.js.
+
+    /**
+     * Splits a roster selection's `entryId` into the ids it refers to.
+     * @param {string} entryId The entryId attribute.
+     * @returns {string[]} The link and entry ids, outermost first.
+     */
+    function splitEntryId(entryId) {
+        return (entryId || '').split('::').filter(Boolean);
+    }
+
+    /**
+     * Reads the parts of a parsed BattleScribe roster the app can rebuild an
+     * army from.
+     * @param {Document} doc The parsed .ros document.
+     * @returns {object|null} `{ name, gameSystemId, gameSystemRevision, forces }`,
+     *     or null if the document is not a roster. Each force is `{ name,
+     *     entryId, catalogueId, catalogueName, catalogueRevision, selections }`
+     *     and each selection `{ name, customName, entryId, number, selections }`.
+     */
+    function readRosterFile(doc) {
+        const root = doc.documentElement;
+        if (!root || root.localName !== 'roster') {
+            return null;
+        }
+        const readSelection = element => ({
+            name: element.getAttribute('name') || '',
+            customName: element.getAttribute('customName') || null,
+            entryId: element.getAttribute('entryId') || '',
+            number: parseInt(element.getAttribute('number'), 10) || 1,
+            selections: listChildren(element, 'selections', 'selection').map(readSelection),
+        });
+        return {
+            name: root.getAttribute('name') || '',
+            gameSystemId: root.getAttribute('gameSystemId'),
+            gameSystemRevision: root.getAttribute('gameSystemRevision'),
+            forces: listChildren(root, 'forces', 'force').map(force => ({
+                name: force.getAttribute('name') || '',
+                entryId: force.getAttribute('entryId') || '',
+                catalogueId: force.getAttribute('catalogueId'),
+                catalogueName: force.getAttribute('catalogueName'),
+                catalogueRevision: force.getAttribute('catalogueRevision'),
+                selections: listChildren(force, 'selections', 'selection').map(readSelection),
+            })),
+        };
+    }
+
+    /**
+     * Rebuilds an army list from a roster read by readRosterFile. Selections
+     * are matched to the loaded catalogues by id; anything that no longer
+     * exists is reported rather than imported.
+     * @param {object} factionData The loaded faction data of the roster's faction.
+     * @param {object} roster The roster read by readRosterFile.
+     * @param {object[]} battleSizes The game system's battle sizes (see getBattleSizes).
+     * @returns {object} `{ units, battleSizeId, detachmentId, issues }`, where
+     *     `issues` holds `{ severity, message }` records.
+     */
+    function buildArmyFromRoster(factionData, roster, battleSizes) {
+        const result = { units: [], battleSizeId: null, detachmentId: null, issues: [] };
+        const force = roster.forces[0];
+        if (!force) {
+            result.issues.push({ severity: 'error', message: 'The roster has no forces.' });
+            return result;
+        }
+        if (roster.forces.length > 1) {
+            result.issues.push({ severity: 'warning', message: `Only the first of ${roster.forces.length} forces was imported.` });
+        }
+
+        const catalogue = factionData.catalogue;
+        if (force.catalogueRevision && force.catalogueRevision !== catalogue.revision) {
+            result.issues.push({ severity: 'warning', message: `The roster was built with revision ${force.catalogueRevision} of ${catalogue.name}; revision ${catalogue.revision} is loaded.` });
+        }
+        const gameSystem = factionData.files.find(file => file.isGameSystem);
+        if (gameSystem && roster.gameSystemRevision && roster.gameSystemRevision !== gameSystem.revision) {
+            result.issues.push({ severity: 'warning', message: `The roster was built with revision ${roster.gameSystemRevision} of ${gameSystem.name}; revision ${gameSystem.revision} is loaded.` });
+        }
+
+        const forceIds = splitEntryId(force.entryId);
+        const battleSize = battleSizes.find(size => forceIds.includes(size.id));
+        if (battleSize) {
+            result.battleSizeId = battleSize.id;
+        } else if (force.entryId) {
+            result.issues.push({ severity: 'warning', message: `Battle size "${force.name}" (${force.entryId}) was not found in the game system.` });
+        }
+
+        const reportMissing = (selection, owner) => {
+            const label = owner ? `${owner}: ${selection.name}` : selection.name;
+            result.issues.push({ severity: 'error', message: `${label} (${selection.entryId}) no longer exists in the catalogue and was not imported.` });
+        };
+        const isKnown = selection => splitEntryId(selection.entryId).every(id => factionData.index.has(id));
+
+        // Adds the counts of a selection's children to a unit's option counts.
+        const readOptions = (options, children, selections, unitName) => {
+            const entries = options.flatMap(option => option.kind === 'group' ? getGroupEntries(option) : [option]);
+            children.forEach(child => {
+                const ids = splitEntryId(child.entryId);
+                const candidates = entries.filter(option => ids.includes(option.entry.getAttribute('id')));
+                const option = candidates.find(candidate => candidate.link && ids.includes(candidate.link.getAttribute('id'))) || candidates[0];
+                if (!option) {
+                    reportMissing(child, unitName);
+                    return;
+                }
+                selections[option.key] = (selections[option.key] || 0) + child.number;
+                readOptions(option.children, child.selections, selections, unitName);
+            });
+        };
+
+        force.selections.forEach(selection => {
+            const ids = splitEntryId(selection.entryId);
+            const record = factionData.units.find(unit => ids.includes(unit.id));
+            if (record) {
+                for (let i = 0; i < selection.number; i++) {
+                    const unit = { uid: createId(), id: record.id, name: record.name, points: record.points || 0, selections: {} };
+                    if (selection.customName) {
+                        unit.customName = selection.customName;
+                    }
+                    readOptions(getUnitOptions(factionData, record), selection.selections, unit.selections, record.name);
+                    result.units.push(unit);
+                }
+                return;
+            }
+
+            const detachment = selection.selections
+                .map(child => factionData.detachments.find(candidate => splitEntryId(child.entryId).includes(candidate.id)))
+                .find(Boolean);
+            if (detachment) {
+                result.detachmentId = detachment.id;
+            } else if (!isKnown(selection)) {
+                reportMissing(selection, null);
+            }
+            // Anything else is a configuration entry of the game system that
+            // the app doesn't model (e.g. display options), so it is skipped.
+        });
+        return result;
+    }
+
+    /**
+     * Builds the evaluation configuration a saved roster was built with.
+     * @param {object} factionData The loaded faction data.
+     * @param {object} roster The roster.
+     * @param {object[]} battleSizes The battle sizes of the game system.
+     * @returns {object} The roster's `forceEntry` and `detachment` (see buildRosterContext).
+     */
+    function getRosterConfiguration(factionData, roster, battleSizes) {
+        const battleSize = battleSizes.find(size => size.id === roster.battleSizeId);
+        return {
+            forceEntry: battleSize ? battleSize.entry : null,
+            detachment: factionData.detachments.find(detachment => detachment.id === roster.detachmentId) || null,
+        };
+    }
+
+    return {
+        POINTS_COST_NAME,
+        readRosterFile,
+        buildArmyFromRoster,
+        createId,
+        listChildren,
+        getLinkedCatalogueFileName,
+        getEntryPoints,
+        getBattleSizes,
+        loadFactionData,
+        findUnitRecord,
+        createSelection,
+        buildRosterContext,
+        getRuleViolations,
+        getUnitOptions,
+        getGroupEntries,
+        getOptionLimits,
+        findOptionSelection,
+        clearOptions,
+        reconcileUnitSelections,
+        calculateUnitPoints,
+        getProfileTypes,
+        collectInfo,
+        buildDatasheet,
+        getUnitModels,
+        getLeaderTargets,
+        getAttachmentProblem,
+        getEligibleBodyguards,
+        normalizeName,
+        getRosterConfiguration,
+    };
+}));
@@ -1,52 +1,161 @@
 // netlify/functions/fetch-proxy.js
-// This serverless function acts as a proxy to fetch data from an external URL,
-// bypassing CORS restrictions on the client side.
+// This serverless function acts as a proxy to fetch BattleScribe data files
+// from the BSData GitHub repositories, bypassing CORS restrictions on the
+// client side. It only serves .gst and .cat files from the repositories in
+// ALLOWED_REPOS, so it can't be used as an open proxy.
+//
+// Query parameters:
+//   repo - the BSData repository (default: wh40k-10e)
+//   ref  - the branch, tag or commit to read from (default: main)
+//   file - the file name, e.g. "Warhammer 40,000.gst"
+// A full raw.githubusercontent.com `url` is still accepted in place of the
+// three parameters, as long as it points into an allowed repository.
+//
+// Errors are returned as JSON: `{ "error": { "code": "...", "message": "..." } }`.
 
 const fetch = require('node-fetch');
 
+// The BSData repositories the proxy may read from. Set the ALLOWED_REPOS
+// environment variable (a comma-separated list) to change them.
+const ALLOWED_REPOS = (process.env.ALLOWED_REPOS || 'wh40k-10e,wh40k-killteam,horus-heresy')
+    .split(',')
+    .map(repo => repo.trim())
+    .filter(Boolean);
+const DEFAULT_REPO = 'wh40k-10e';
+const DEFAULT_REF = 'main';
+const RAW_GITHUB_ORIGIN = 'https://raw.githubusercontent.com';
+const GITHUB_OWNER = 'BSData';
+// Branch and tag names, or commit hashes. Path segments may not start with a dot.
+const REF_PATTERN = /^(?!.*(?:^|\/)\.)[A-Za-z0-9._\/-]{1,100}$/;
+// A data file in the repository root.
+const FILE_PATTERN = /^[^\/\\]+\.(?:gst|cat)$/i;
+// A full commit hash never changes what it points at.
+const COMMIT_PATTERN = /^[0-9a-f]{40}$/i;
+// How long browsers and the CDN may reuse a file read from a branch or tag.
+const DEFAULT_CACHE_CONTROL = 'public, max-age=300, stale-while-revalidate=3600';
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Builds a JSON error response.
+ * @param {number} statusCode The HTTP status code.
+ * @param {string} code A machine-readable error code.
+ * @param {string} message A message that can be shown to the user.
+ * @returns {object} The Netlify function response.
+ */
+function errorResponse(statusCode, code, message) {
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+        },
+        body: JSON.stringify({ error: { code, message } }),
+    };
+}
+
+/**
+ * Reads the repository, ref and file a request asks for, either from the
+ * `repo`, `ref` and `file` parameters or from a raw.githubusercontent.com `url`.
+ * @param {object} params The query string parameters.
+ * @returns {object} `{ repo, ref, file }`, or `{ error }` holding an error response.
+ */
+function parseTarget(params) {
+    if (params.url) {
+        let url;
+        try {
+            url = new URL(params.url);
+        } catch (error) {
+            return { error: errorResponse(400, 'INVALID_URL', 'The "url" parameter is not a valid URL.') };
+        }
+        if (url.origin !== RAW_GITHUB_ORIGIN) {
+            return { error: errorResponse(403, 'URL_NOT_ALLOWED', `Only ${RAW_GITHUB_ORIGIN}/${GITHUB_OWNER} data files can be fetched.`) };
+        }
+        let segments;
+        try {
+            segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            return { error: errorResponse(400, 'INVALID_URL', 'The "url" parameter is not a valid URL.') };
+        }
+        const [owner, repo, ...rest] = segments;
+        if (owner !== GITHUB_OWNER || rest.length < 2) {
+            return { error: errorResponse(403, 'URL_NOT_ALLOWED', `Only ${RAW_GITHUB_ORIGIN}/${GITHUB_OWNER} data files can be fetched.`) };
+        }
+        return { repo, ref: rest.slice(0, -1).join('/'), file: rest[rest.length - 1] };
+    }
+    if (!params.file) {
+        return { error: errorResponse(400, 'MISSING_PARAMETER', 'Missing "file" query parameter.') };
+    }
+    return { repo: params.repo || DEFAULT_REPO, ref: params.ref || DEFAULT_REF, file: params.file };
+}
+
 exports.handler = async (event) => {
-    // Get the URL from the query string of the request.
-    const githubUrl = event.queryStringParameters.url;
+    if (event.httpMethod && event.httpMethod !== 'GET') {
+        return errorResponse(405, 'METHOD_NOT_ALLOWED', 'Only GET requests are supported.');
+    }
 
-    // Check if the URL parameter exists and is a valid string.
-    if (!githubUrl) {
-        return {
-            statusCode: 400,
-            body: 'Error: Missing "url" query parameter.'
-        };
+    const target = parseTarget(event.queryStringParameters || {});
+    if (target.error) {
+        return target.error;
+    }
+    const { repo, ref, file } = target;
+    if (!ALLOWED_REPOS.includes(repo)) {
+        return errorResponse(403, 'REPO_NOT_ALLOWED', `The repository "${repo}" is not available. Allowed repositories: ${ALLOWED_REPOS.join(', ')}.`);
+    }
+    if (!REF_PATTERN.test(ref)) {
+        return errorResponse(400, 'INVALID_REF', `"${ref}" is not a valid branch, tag or commit.`);
+    }
+    if (!FILE_PATTERN.test(file)) {
+        return errorResponse(400, 'INVALID_FILE', `"${file}" is not a game system (.gst) or catalogue (.cat) file.`);
     }
 
+    const githubUrl = `${RAW_GITHUB_ORIGIN}/${GITHUB_OWNER}/${repo}/${ref.split('/').map(encodeURIComponent).join('/')}/${encodeURIComponent(file)}`;
+    // Pass the browser's cached ETag on, so an unchanged file costs a 304.
+    const requestHeaders = event.headers || {};
+    const ifNoneMatch = requestHeaders['if-none-match'] || requestHeaders['If-None-Match'];
+
     try {
         // Fetch the data from the GitHub URL.
-        const response = await fetch(githubUrl);
-        
+        const response = await fetch(githubUrl, {
+            headers: ifNoneMatch ? { 'If-None-Match': ifNoneMatch } : {},
+        });
+
+        const cacheControl = COMMIT_PATTERN.test(ref)
+            ? IMMUTABLE_CACHE_CONTROL
+            : response.headers.get('cache-control') || DEFAULT_CACHE_CONTROL;
+        const etag = response.headers.get('etag');
+        const cacheHeaders = {
+            'Cache-Control': cacheControl,
+            ...(etag ? { ETag: etag } : {}),
+        };
+
+        if (response.status === 304) {
+            return { statusCode: 304, headers: cacheHeaders, body: '' };
+        }
         // If the fetch was not successful, return an appropriate status code.
+        if (response.status === 404) {
+            return errorResponse(404, 'NOT_FOUND', `${file} was not found in ${repo} at "${ref}".`);
+        }
         if (!response.ok) {
-            return {
-                statusCode: response.status,
-                body: `Error fetching data: ${response.statusText}`
-            };
+            return errorResponse(502, 'UPSTREAM_ERROR', `GitHub returned ${response.status} ${response.statusText} for ${file}.`);
         }
 
         // Get the raw text of the response.
         const data = await response.text();
 
-        // This is the new, crucial part. We are explicitly setting the Content-Type header.
-        // This tells the browser that the data is an XML file, which allows the
-        // DOMParser to correctly handle the XML namespaces in your app.js file.
+        // We explicitly set the Content-Type header. This tells the browser
+        // that the data is an XML file, which allows the DOMParser to correctly
+        // handle the XML namespaces in the app.js file.
         return {
             statusCode: 200,
             headers: {
                 'Content-Type': 'application/xml',
+                ...cacheHeaders,
             },
             body: data,
         };
 
     } catch (error) {
-        // Catch any network or other errors and return a 500 status.
-        return {
-            statusCode: 500,
-            body: `Internal Server Error: ${error.message}`
-        };
+        // Catch any network or other errors.
+        return errorResponse(502, 'UPSTREAM_UNAVAILABLE', `Could not reach GitHub: ${error.message}`);
     }
 };
@@ -0,0 +1,62 @@
+// sw.js - Service worker that caches the app shell so the builder opens offline.
+// Game data is not handled here: app.js keeps its own revision-aware copy of
+// the catalogue files in IndexedDB, so requests to the proxy go straight to
+// the network.
+
+// Bump the version whenever the list of shell files changes.
+const SHELL_CACHE = 'listbuilder-shell-v3';
+// The files the app needs to start. Third-party scripts and fonts are cached
+// the first time they are used.
+const SHELL_FILES = ['/', '/index.html', '/listbuilder-core.js', '/app.js', '/style.css'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove the caches of older versions of the shell.
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.pathname.startsWith('/api') || url.pathname.startsWith('/.netlify/')) {
+        return;
+    }
+
+    // Serve from the cache straight away and update the cached copy from the
+    // network, so a new deploy is picked up on the next visit.
+    event.respondWith(caches.open(SHELL_CACHE).then(async cache => {
+        const cached = await cache.match(event.request, { ignoreSearch: event.request.mode === 'navigate' });
+        const network = fetch(event.request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    cache.put(event.request, response.clone());
+                }
+                return response;
+            })
+            .catch(() => null);
+
+        if (cached) {
+            event.waitUntil(network);
+            return cached;
+        }
+        const response = await network;
+        if (response) {
+            return response;
+        }
+        // Offline and not cached: fall back to the app itself for page loads.
+        if (event.request.mode === 'navigate') {
+            return cache.match('/index.html');
+        }
+        return Response.error();
+    }));
+});
@@ -0,0 +1,149 @@
+// test/listbuilder.test.js
+// Checks listbuilder-core.js and the command-line validator against the small
+// game system, catalogues and rosters in test/fixtures. The faction imports
+// its library by catalogue id, and the library's file is named differently
+// from the catalogue, as in a local copy of BSData with renamed files.
+// 'Broken Faction.cat' is malformed and must only matter to its own rosters.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { DOMParser } = require('@xmldom/xmldom');
+const {
+    loadFactionData,
+    getBattleSizes,
+    reconcileUnitSelections,
+    calculateUnitPoints,
+    getRuleViolations,
+    getRosterConfiguration,
+} = require('../listbuilder-core.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DATA_DIR = path.join(FIXTURES_DIR, 'data');
+const CLI = path.join(__dirname, '..', 'bin', 'listbuilder.js');
+// The data files the fixture faction is built from.
+const FACTION_FILES = ['Test System.gst', 'Test Faction.cat', 'library-file.cat'];
+
+/**
+ * Loads the fixture faction and its game system.
+ * @returns {Promise<object>} `{ factionData, battleSizes }`.
+ */
+async function loadFixtureFaction() {
+    const files = FACTION_FILES.map(fileName => {
+        const doc = new DOMParser().parseFromString(fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8'), 'text/xml');
+        return { fileName, id: doc.documentElement.getAttribute('id'), doc };
+    });
+    const gameSystem = files.find(file => file.fileName.endsWith('.gst'));
+    const factionData = await loadFactionData('Test Faction.cat', {
+        readFile: async fileName => (files.find(file => file.fileName === fileName) || {}).doc || null,
+        gameSystem: gameSystem.doc,
+        gameSystemFile: gameSystem.fileName,
+        knownFiles: files,
+    });
+    return { factionData, battleSizes: getBattleSizes(gameSystem.doc) };
+}
+
+/**
+ * Runs `listbuilder validate` on a fixture roster.
+ * @param {string} rosterFile The roster's file name in test/fixtures.
+ * @returns {object} `{ status, stdout, stderr }`.
+ */
+function validate(rosterFile) {
+    return spawnSync(process.execPath, [CLI, 'validate', path.join(FIXTURES_DIR, rosterFile), '--data', DATA_DIR], { encoding: 'utf8' });
+}
+
+test('loads the faction with the units of its library', async () => {
+    const { factionData, battleSizes } = await loadFixtureFaction();
+    assert.deepEqual(factionData.units.map(unit => [unit.name, unit.points]), [['Hero', 100], ['Troopers', 60]]);
+    assert.deepEqual(battleSizes.map(size => [size.name, size.pointsLimit]), [['Skirmish', 500]]);
+});
+
+test('calculates unit points with their options', async () => {
+    const { factionData, battleSizes } = await loadFixtureFaction();
+    const roster = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'valid.json'), 'utf8'));
+    const configuration = getRosterConfiguration(factionData, roster, battleSizes);
+    assert.deepEqual(calculateUnitPoints(factionData, roster.units, configuration), [100, 70]);
+    assert.deepEqual(getRuleViolations(factionData, roster.units, configuration), []);
+});
+
+test('reports a unit taken more often than the roster allows', async () => {
+    const { factionData, battleSizes } = await loadFixtureFaction();
+    const roster = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'double-hero.json'), 'utf8'));
+    const configuration = getRosterConfiguration(factionData, roster, battleSizes);
+    roster.units.forEach((unit, index) => reconcileUnitSelections(factionData, roster.units, index, configuration));
+    const errors = getRuleViolations(factionData, roster.units, configuration).filter(violation => violation.severity === 'error');
+    assert.deepEqual(errors.map(error => error.message), ['Hero: 2 in the army, the maximum is 1.']);
+});
+
+test('reports every unit that breaks its own limit', async () => {
+    const { factionData, battleSizes } = await loadFixtureFaction();
+    const roster = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'heavy-troopers.json'), 'utf8'));
+    const configuration = getRosterConfiguration(factionData, roster, battleSizes);
+    const errors = getRuleViolations(factionData, roster.units, configuration)
+        .filter(violation => violation.severity === 'error' && / pts /.test(violation.message));
+    assert.deepEqual(errors.map(error => error.message), [
+        'Troopers: 80 pts in Troopers, the maximum is 70 pts.',
+        'Troopers: 80 pts in Troopers, the maximum is 70 pts.',
+    ]);
+});
+
+test('validate exits 0 for a valid saved roster', () => {
+    const result = validate('valid.json');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Points: 170 \/ 500/);
+    assert.match(result.stdout, /No rule violations found\./);
+});
+
+test('validate reads BattleScribe rosters', () => {
+    const result = validate('valid.ros');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Valid Ros \(Test Faction, Skirmish\)/);
+    assert.match(result.stdout, /Points: 170 \/ 500/);
+});
+
+test('validate exits 1 when a constraint is broken', () => {
+    const result = validate('double-hero.json');
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /Error: Hero: 2 in the army, the maximum is 1\./);
+});
+
+test('validate exits 1 when the roster is over its points limit', () => {
+    const result = validate('over-limit.json');
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /Points: 520 \/ 500/);
+    assert.match(result.stdout, /Error: 20 pts over the Skirmish limit\./);
+});
+
+test('validate exits 1 when units are not in the catalogue', () => {
+    const result = validate('unknown-units.json');
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /Points: 90 \/ 500/);
+    assert.match(result.stdout, /Error: 1 of 1 units are not in Test Faction/);
+});
+
+test('validate only parses the data files a roster needs', () => {
+    const result = validate('valid.json');
+    assert.equal(result.status, 0);
+    assert.equal(result.stderr, '');
+});
+
+test('validate exits 2 without a data directory or on unreadable input', () => {
+    const usage = spawnSync(process.execPath, [CLI, 'validate', path.join(FIXTURES_DIR, 'valid.json')], { encoding: 'utf8' });
+    assert.equal(usage.status, 2);
+    assert.match(usage.stderr, /^Usage: listbuilder validate/);
+
+    const missing = validate('missing.json');
+    assert.equal(missing.status, 2);
+    assert.match(missing.stderr, /Could not read/);
+
+    const brokenData = validate('broken-faction.json');
+    assert.equal(brokenData.status, 2);
+    assert.match(brokenData.stderr, /^Broken Faction\.cat is not valid XML: /);
+
+    const malformed = validate('malformed.ros');
+    assert.equal(malformed.status, 2);
+    assert.match(malformed.stderr, /^\S*malformed\.ros is not valid XML: /);
+    assert.doesNotMatch(malformed.stderr, /\[xmldom/);
+});